@@ -0,0 +1,45 @@
+/**
+ * Apply Memory Retention Rules
+ *
+ * Reports which rows each retention rule would delete, and deletes them when
+ * --apply is passed.
+ *
+ * Usage: node .cursor/apply-retention.js [--apply] [--table=episodic_memory]
+ */
+
+const path = require("path");
+
+const args = process.argv.slice(2);
+const tables = args
+  .filter((arg) => arg.startsWith("--table="))
+  .map((arg) => arg.split("=")[1]);
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+
+const report = MemoryDB.retention.apply({
+  dryRun: !args.includes("--apply"),
+  tables: tables.length > 0 ? tables : undefined,
+});
+
+console.log(`\n🧹 Retention ${report.dryRun ? "(dry run)" : "applied"}`);
+
+for (const [table, summary] of Object.entries(report.tables)) {
+  const rule = Object.entries(summary.rule)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(", ");
+
+  console.log(`\n--- ${table} ---`);
+  console.log(`Rule: ${rule || "none"}`);
+  console.log(
+    `${report.dryRun ? "Would delete" : "Deleted"}: ${
+      report.dryRun ? summary.keys.length : summary.deleted
+    } (kept ${summary.keptImportant} important, ${
+      summary.keptReferenced
+    } referenced)`
+  );
+}
+
+if (report.error) {
+  console.error(`\n❌ ${report.error}`);
+  process.exit(1);
+}
@@ -0,0 +1,57 @@
+/**
+ * Archive Inactive Scratchpad Threads
+ *
+ * Lists threads inactive for longer than the given number of days, and
+ * archives them when --apply is passed: their messages are replaced by one
+ * summary message. --unarchive restores a thread's messages.
+ *
+ * Usage: node .cursor/archive-threads.js [--days=30] [--apply]
+ *        node .cursor/archive-threads.js --unarchive=<threadId>
+ */
+
+const path = require("path");
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split("=")[1] : undefined;
+};
+
+const ScratchpadDB = require(path.join(
+  __dirname,
+  "db",
+  "scratchpad-system.js"
+));
+
+const threadId = option("unarchive");
+if (threadId) {
+  const restored = ScratchpadDB.threads.unarchive(threadId);
+  if (restored === null) process.exit(1);
+  console.log(`\n📂 Restored ${restored} message(s) to ${threadId}`);
+  process.exit(0);
+}
+
+const report = ScratchpadDB.archive.archiveInactive({
+  inactiveDays: option("days") ? Number(option("days")) : undefined,
+  dryRun: !args.includes("--apply"),
+});
+
+console.log(`\n🗄️  Thread archival ${report.dryRun ? "(dry run)" : "applied"}`);
+console.log(`Inactive since: ${new Date(report.cutoff).toISOString()}`);
+
+console.log(`\n--- ${report.dryRun ? "WOULD ARCHIVE" : "ARCHIVED"} ---`);
+if (report.archived.length === 0) console.log("None");
+report.archived.forEach((id) => console.log(id));
+console.log(`Messages: ${report.messages}`);
+
+if (report.skipped.length > 0) {
+  console.log("\n--- SKIPPED ---");
+  report.skipped.forEach((skip) =>
+    console.log(`${skip.threadId} (${skip.reason})`)
+  );
+}
+
+if (report.error) {
+  console.error(`\n❌ ${report.error}`);
+  process.exit(1);
+}
@@ -0,0 +1,51 @@
+/**
+ * Check Memory Integrity
+ *
+ * Reports relationships, history and embeddings of deleted knowledge,
+ * related_ids that point at nothing and JSON columns that do not parse.
+ * Pass --repair to fix what it finds.
+ *
+ * Usage: node .cursor/check-integrity.js [--repair]
+ */
+
+const path = require("path");
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+
+const report = MemoryDB.integrity.check({
+  repair: process.argv.includes("--repair"),
+});
+
+console.log(`\n🔍 SQLite quick check: ${report.sqlite}`);
+
+const SECTIONS = {
+  orphanEdges: (row) =>
+    `edge ${row.id}: ${row.source_id} -[${row.relationship_type}]-> ${row.target_id}`,
+  orphanHistory: (row) =>
+    `history ${row.id}: revision ${row.revision} of ${row.knowledge_id}`,
+  orphanEmbeddings: (row) => `embedding of ${row.knowledge_id}`,
+  danglingRelatedIds: (row) => `episode ${row.episode_id} -> ${row.related_id}`,
+  malformedJson: (row) => `${row.table}.${row.column} of ${row.key}`,
+};
+
+for (const [name, describe] of Object.entries(SECTIONS)) {
+  const rows = (report.issues || {})[name] || [];
+  console.log(`\n--- ${name.toUpperCase()} (${rows.length}) ---`);
+  rows.slice(0, 20).forEach((row) => console.log(`- ${describe(row)}`));
+  if (rows.length > 20) {
+    console.log(`... and ${rows.length - 20} more`);
+  }
+}
+
+if (report.error) {
+  console.error(`\n❌ ${report.error}`);
+  process.exit(1);
+}
+
+if (report.repaired > 0) {
+  console.log(`\n🔧 Repaired ${report.repaired} issue(s)`);
+} else if (!report.ok) {
+  console.log("\n⚠️ Issues found; run with --repair to fix them");
+} else {
+  console.log("\n✅ No integrity issues found");
+}
@@ -0,0 +1,92 @@
+/**
+ * Check Database Schema Versions
+ *
+ * This script reports the schema version of each SQLite database and any
+ * migrations still pending. Pass --migrate to apply pending migrations.
+ *
+ * Usage: node .cursor/check-schema.js [--migrate]
+ */
+
+console.log("🔍 Checking database schema versions...\n");
+
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require(path.join(__dirname, "node_modules", "better-sqlite3"));
+const migrator = require("./db/migrator");
+const dbPaths = require("./db/db-paths");
+
+const DATABASES = [
+  {
+    name: "memory-system.db",
+    path: dbPaths.resolveDbPath("memory-system").dbPath,
+    module: path.join(__dirname, "db", "memory-system.js"),
+    migrations: require("./db/migrations/memory-system"),
+  },
+  {
+    name: "scratchpad-system.db",
+    path: dbPaths.resolveDbPath("scratchpad-system").dbPath,
+    module: path.join(__dirname, "db", "scratchpad-system.js"),
+    migrations: require("./db/migrations/scratchpad-system"),
+  },
+];
+
+// Apply pending migrations by loading the database modules
+if (process.argv.includes("--migrate")) {
+  for (const database of DATABASES) {
+    require(database.module);
+  }
+  console.log("");
+}
+
+let hasErrors = false;
+
+for (const database of DATABASES) {
+  console.log(`--- ${database.name} ---`);
+  console.log(`Path: ${database.path}`);
+
+  if (!fs.existsSync(database.path)) {
+    console.log("Not created yet (will be initialized on first load)\n");
+    continue;
+  }
+
+  let db;
+  try {
+    db = new sqlite3(database.path, { readonly: true, fileMustExist: true });
+
+    const version = migrator.getSchemaVersion(db);
+    const latest = migrator.getLatestVersion(database.migrations);
+    const pending = database.migrations.filter((m) => m.version > version);
+
+    console.log(`Current version: ${version}`);
+    console.log(`Latest version:  ${latest}`);
+
+    if (version > latest) {
+      console.error(
+        "❌ Database is newer than this code and will not be opened"
+      );
+      hasErrors = true;
+    } else if (pending.length > 0) {
+      console.log("Pending migrations:");
+      pending.forEach((m) => console.log(`- ${m.version}: ${m.name}`));
+    } else {
+      console.log("✅ Up to date");
+    }
+
+    for (const applied of migrator.getAppliedMigrations(db)) {
+      console.log(
+        `  applied ${applied.version} (${applied.name}) at ${new Date(
+          applied.applied_at
+        ).toISOString()}`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Error reading schema: ${error.message}`);
+    hasErrors = true;
+  } finally {
+    if (db) db.close();
+  }
+
+  console.log("");
+}
+
+process.exit(hasErrors ? 1 : 0);
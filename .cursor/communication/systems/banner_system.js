@@ -135,12 +135,33 @@ class BannerSystem {
     ));
     
     // Add memory system banner
-    globalThis.SYSTEM_BANNERS.push(this.formatBanner(
-      'memory',
-      'MEMORY SYSTEM',
-      this.status.memoryActive ? 'ACTIVE' : 'INACTIVE',
-      this.getMemoryStats()
-    ));
+    const memoryStorage = this.getStorageStatus(globalThis.MEMORY_SYSTEM);
+    if (memoryStorage && memoryStorage.degraded) {
+      globalThis.SYSTEM_BANNERS.push(this.formatBanner(
+        'warning',
+        'MEMORY SYSTEM',
+        'DEGRADED',
+        `in-memory only, ${memoryStorage.journaledWrites} write(s) journaled`
+      ));
+    } else {
+      globalThis.SYSTEM_BANNERS.push(this.formatBanner(
+        'memory',
+        'MEMORY SYSTEM',
+        this.status.memoryActive ? 'ACTIVE' : 'INACTIVE',
+        this.getMemoryStats()
+      ));
+    }
+    
+    // Only surface the scratchpad when its storage is degraded
+    const scratchpadStorage = this.getStorageStatus(globalThis.SCRATCHPAD);
+    if (scratchpadStorage && scratchpadStorage.degraded) {
+      globalThis.SYSTEM_BANNERS.push(this.formatBanner(
+        'warning',
+        'SCRATCHPAD SYSTEM',
+        'DEGRADED',
+        `in-memory only, ${scratchpadStorage.journaledWrites} write(s) journaled`
+      ));
+    }
     
     // Add to nextResponsePrepend
     this.injectBannersToResponse();
@@ -160,6 +181,20 @@ class BannerSystem {
     return `${styleConfig.prefix} [${systemName}: ${status}${detailsText}]${styleConfig.suffix}`;
   }
   
+  // Get the storage status reported by a system's database module
+  getStorageStatus(system) {
+    if (!system || !system.db || !system.db.storage || typeof system.db.storage.getStatus !== 'function') {
+      return null;
+    }
+    
+    try {
+      return system.db.storage.getStatus();
+    } catch (error) {
+      console.error("Error getting storage status:", error);
+      return null;
+    }
+  }
+  
   // Get memory system statistics
   getMemoryStats() {
     if (!this.status.memoryActive || !globalThis.MEMORY_SYSTEM || typeof globalThis.MEMORY_SYSTEM.getStatus !== 'function') {
@@ -192,7 +227,7 @@ class BannerSystem {
     
     // Clear any existing system banners
     globalThis.nextResponsePrepend = globalThis.nextResponsePrepend.filter(
-      line => !line.includes('MULTI-AGENT SYSTEM') && !line.includes('MEMORY SYSTEM')
+      line => !line.includes('MULTI-AGENT SYSTEM') && !line.includes('MEMORY SYSTEM') && !line.includes('SCRATCHPAD SYSTEM: DEGRADED')
     );
     
     // Add all system banners to response prepend
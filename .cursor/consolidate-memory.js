@@ -0,0 +1,57 @@
+/**
+ * Consolidate Episodic Memory
+ *
+ * Extracts decisions, definitions, preferences and file/module mentions from
+ * episodes captured since the last run and stores them as semantic knowledge.
+ *
+ * Usage: node .cursor/consolidate-memory.js [--min-importance=2] [--limit=500] [--dry-run] [--reset]
+ */
+
+const path = require("path");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const flag = args.find((arg) => arg.startsWith(`--${name}=`));
+  return flag ? flag.split("=")[1] : fallback;
+};
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+
+if (args.includes("--reset")) {
+  MemoryDB.consolidation.resetCheckpoint();
+  console.log("🔄 Consolidation checkpoint reset");
+}
+
+const report = MemoryDB.consolidation.run({
+  minImportance: Number(option("min-importance", 2)),
+  limit: Number(option("limit", 500)),
+  dryRun: args.includes("--dry-run"),
+});
+
+console.log(
+  `\n🧠 Consolidation ${report.dryRun ? "(dry run) " : ""}from episode ${
+    report.fromEpisodeId
+  } to ${report.lastEpisodeId}`
+);
+console.log(`Episodes scanned: ${report.scanned}`);
+
+console.log("\n--- EXTRACTED FACTS ---");
+if (report.facts.length === 0) {
+  console.log("No new facts found");
+}
+for (const fact of report.facts) {
+  console.log(
+    `- ${fact.created ? "➕" : fact.preserved ? "📎" : "🔁"} [${
+      fact.category
+    }] ${fact.topic} (confidence ${fact.confidence.toFixed(
+      2
+    )}, episodes ${fact.episodeIds.join(", ")})${
+      fact.preserved ? " - provenance only, existing content kept" : ""
+    }`
+  );
+}
+
+if (report.error) {
+  console.error(`\n❌ ${report.error}`);
+  process.exit(1);
+}
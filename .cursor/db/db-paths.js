@@ -0,0 +1,159 @@
+/**
+ * Database Location Resolution
+ * Version: 1.0.0
+ *
+ * Decides where each database file lives, so workspaces that share one
+ * .cursor copy do not share memory. For the "memory-system" database:
+ *
+ *   1. MEMORY_DB_PATH       - full path to the file
+ *   2. CURSOR_DB_DIR        - directory holding this workspace's databases
+ *   3. storage.dbDir in .cursor/cursor.json
+ *   4. the default, derived from the workspace root: .cursor/db for the
+ *      workspace this .cursor directory belongs to, and
+ *      .cursor/db/workspaces/<name>-<hash> for any other workspace
+ *
+ * The scratchpad database reads SCRATCHPAD_DB_PATH instead. Relative paths
+ * resolve against the workspace root (CURSOR_WORKSPACE, or the current
+ * directory). In configured paths, "${workspace}" is replaced by the
+ * workspace root and a leading "~" by the home directory.
+ *
+ * The global knowledge database is per user rather than per workspace:
+ * CURSOR_GLOBAL_DB_PATH, then storage.globalDbPath, then
+ * ~/.cursor-systems/global-knowledge.db. Set either one to "off" to disable it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const cursorRoot = path.resolve(__dirname, "..");
+const CONFIG_PATH = path.join(cursorRoot, "cursor.json");
+const DEFAULT_DIR = path.join(cursorRoot, "db");
+const DEFAULT_GLOBAL_PATH = path.join(
+  os.homedir(),
+  ".cursor-systems",
+  "global-knowledge.db"
+);
+
+// Read the storage section of cursor.json
+function loadStorageConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) return {};
+
+  try {
+    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+    return config.storage || {};
+  } catch (error) {
+    console.error(`Failed to read storage config: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Root directory of the workspace the databases belong to
+ * @returns {string} Absolute path
+ */
+function getWorkspaceRoot(env = process.env) {
+  return path.resolve(env.CURSOR_WORKSPACE || process.cwd());
+}
+
+// Compare paths by where they really point, so symlinked checkouts match
+function realPath(target) {
+  try {
+    return fs.realpathSync(target);
+  } catch (error) {
+    return path.resolve(target);
+  }
+}
+
+/**
+ * Default database directory for a workspace
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string} Absolute path
+ */
+function getDefaultDir(env = process.env) {
+  const workspace = realPath(getWorkspaceRoot(env));
+  if (workspace === realPath(path.dirname(cursorRoot))) return DEFAULT_DIR;
+
+  const hash = crypto
+    .createHash("sha1")
+    .update(workspace)
+    .digest("hex")
+    .slice(0, 12);
+  return path.join(
+    DEFAULT_DIR,
+    "workspaces",
+    `${path.basename(workspace) || "root"}-${hash}`
+  );
+}
+
+// Expand ~ and ${workspace}, then resolve against the workspace root
+function expandPath(value, env) {
+  const workspace = getWorkspaceRoot(env);
+  let expanded = String(value).replace(/\$\{workspace\}/g, workspace);
+
+  if (expanded === "~" || expanded.startsWith("~/")) {
+    expanded = path.join(os.homedir(), expanded.slice(1));
+  }
+
+  return path.resolve(workspace, expanded);
+}
+
+/**
+ * Resolve the file for a workspace database
+ * @param {string} name - Database name, e.g. "memory-system"
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} { dbPath, dir, journalPath, source }
+ */
+function resolveDbPath(name, env = process.env) {
+  const fileName = `${name}.db`;
+  const envVar = `${name.split("-")[0].toUpperCase()}_DB_PATH`;
+  const config = loadStorageConfig();
+
+  let dbPath;
+  let source;
+  if (env[envVar]) {
+    dbPath = expandPath(env[envVar], env);
+    source = envVar;
+  } else if (env.CURSOR_DB_DIR) {
+    dbPath = path.join(expandPath(env.CURSOR_DB_DIR, env), fileName);
+    source = "CURSOR_DB_DIR";
+  } else if (config.dbDir) {
+    dbPath = path.join(expandPath(config.dbDir, env), fileName);
+    source = "cursor.json";
+  } else {
+    dbPath = path.join(getDefaultDir(env), fileName);
+    source = "default";
+  }
+
+  const dir = path.dirname(dbPath);
+  return {
+    dbPath,
+    dir,
+    journalPath: path.join(
+      dir,
+      `${path.basename(dbPath, path.extname(dbPath))}.journal.ndjson`
+    ),
+    source,
+  };
+}
+
+/**
+ * Resolve the user-level global knowledge database
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} Absolute path, or null when disabled
+ */
+function resolveGlobalDbPath(env = process.env) {
+  const configured =
+    env.CURSOR_GLOBAL_DB_PATH || loadStorageConfig().globalDbPath;
+
+  if (configured === "off") return null;
+  return configured ? expandPath(configured, env) : DEFAULT_GLOBAL_PATH;
+}
+
+module.exports = {
+  getWorkspaceRoot,
+  getDefaultDir,
+  resolveDbPath,
+  resolveGlobalDbPath,
+};
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const dbPaths = require("./db-paths");
+const { tempDir } = require("./testing");
+
+test("workspaces get separate databases by default", () => {
+  const workspace = tempDir();
+  const first = dbPaths.resolveDbPath("memory-system", {
+    CURSOR_WORKSPACE: workspace,
+  });
+  const second = dbPaths.resolveDbPath("memory-system", {
+    CURSOR_WORKSPACE: tempDir(),
+  });
+
+  assert.strictEqual(first.source, "default");
+  assert.notStrictEqual(first.dbPath, second.dbPath);
+  assert.ok(first.dir.startsWith(path.join(__dirname, "workspaces")));
+
+  // The same workspace always finds its own file again
+  assert.strictEqual(
+    dbPaths.resolveDbPath("memory-system", { CURSOR_WORKSPACE: workspace })
+      .dbPath,
+    first.dbPath
+  );
+});
+
+test("the workspace holding .cursor keeps .cursor/db", () => {
+  const own = dbPaths.resolveDbPath("memory-system", {
+    CURSOR_WORKSPACE: path.resolve(__dirname, "..", ".."),
+  });
+  assert.strictEqual(own.dbPath, path.join(__dirname, "memory-system.db"));
+});
+
+test("a configured directory is shared on purpose", () => {
+  const shared = tempDir();
+  const env = (workspace) => ({
+    CURSOR_WORKSPACE: workspace,
+    CURSOR_DB_DIR: shared,
+  });
+  assert.strictEqual(
+    dbPaths.resolveDbPath("memory-system", env(tempDir())).dbPath,
+    dbPaths.resolveDbPath("memory-system", env(tempDir())).dbPath
+  );
+});
@@ -0,0 +1,161 @@
+/**
+ * Offline Text Embeddings
+ * Version: 1.0.0
+ *
+ * Dependency-free embeddings for semantic memory. Text is broken into word
+ * unigrams, word bigrams and character trigrams which are hashed into a
+ * fixed-size vector (the "hashing trick"), then L2-normalised so cosine
+ * similarity is a plain dot product. Nothing here needs the network.
+ *
+ * With a key, n-grams are hashed with HMAC-SHA256 instead of FNV-1a, so a
+ * stored vector cannot be matched against guessed words without the key.
+ */
+
+const crypto = require("crypto");
+
+const DIMENSIONS = 512;
+const MODEL = `hashed-ngram-v1:${DIMENSIONS}`;
+
+// Feature weights by n-gram kind
+const WEIGHTS = {
+  word: 1.0,
+  bigram: 0.75,
+  trigram: 0.35,
+};
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "was",
+  "were",
+  "with",
+]);
+
+// 32-bit FNV-1a hash
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens with stopwords removed
+ */
+function tokenize(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}_]+/gu) || []
+  ).filter((token) => !STOPWORDS.has(token));
+}
+
+// Count weighted n-gram features for a piece of text
+function extractFeatures(text) {
+  const features = new Map();
+  const add = (feature, weight) =>
+    features.set(feature, (features.get(feature) || 0) + weight);
+
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    add(`w:${token}`, WEIGHTS.word);
+
+    if (i > 0) {
+      add(`b:${tokens[i - 1]} ${token}`, WEIGHTS.bigram);
+    }
+
+    const padded = `^${token}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, WEIGHTS.trigram);
+    }
+  });
+
+  return features;
+}
+
+// 32-bit keyed hash of a feature
+function keyedHash(key, text) {
+  return crypto.createHmac("sha256", key).update(text).digest().readUInt32BE(0);
+}
+
+/**
+ * Embed text into a normalised vector
+ * @param {string} text - Input text
+ * @param {Object} options - { key } to hash features with a secret key
+ * @returns {Float32Array} Unit-length vector (all zeros for empty text)
+ */
+function embed(text, options = {}) {
+  const vector = new Float32Array(DIMENSIONS);
+
+  for (const [feature, weight] of extractFeatures(text)) {
+    const hash = options.key ? keyedHash(options.key, feature) : fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    // Sublinear term frequency keeps repeated words from dominating
+    vector[hash % DIMENSIONS] += sign * Math.log1p(weight);
+  }
+
+  let norm = 0;
+  for (let i = 0; i < DIMENSIONS; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+
+  if (norm > 0) {
+    for (let i = 0; i < DIMENSIONS; i++) vector[i] /= norm;
+  }
+
+  return vector;
+}
+
+/**
+ * Cosine similarity of two normalised vectors
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// Serialise a vector for a BLOB column
+function toBuffer(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+// Deserialise a vector from a BLOB column
+function fromBuffer(buffer) {
+  const copy = new Uint8Array(buffer);
+  return new Float32Array(copy.buffer, 0, copy.byteLength / 4);
+}
+
+module.exports = {
+  DIMENSIONS,
+  MODEL,
+  tokenize,
+  embed,
+  cosine,
+  toBuffer,
+  fromBuffer,
+};
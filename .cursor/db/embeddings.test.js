@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const embeddings = require("./embeddings");
+
+test("vectors are unit length and deterministic", () => {
+  const vector = embeddings.embed("Deploys go out on Fridays");
+  assert.strictEqual(vector.length, embeddings.DIMENSIONS);
+  assert.ok(Math.abs(embeddings.cosine(vector, vector) - 1) < 1e-6);
+  assert.deepStrictEqual(vector, embeddings.embed("deploys go out on fridays"));
+
+  // Stopwords and empty text carry no features
+  assert.deepStrictEqual(embeddings.tokenize("The cache is warm"), [
+    "cache",
+    "warm",
+  ]);
+  assert.strictEqual(
+    embeddings.embed("the of and").every((value) => value === 0),
+    true
+  );
+
+  const restored = embeddings.fromBuffer(embeddings.toBuffer(vector));
+  assert.deepStrictEqual(restored, vector);
+});
+
+test("related wording scores higher than unrelated text", () => {
+  const query = embeddings.embed("database connection pooling");
+  const close = embeddings.embed("pooling database connections");
+  const far = embeddings.embed("the office coffee machine is broken");
+  assert.ok(
+    embeddings.cosine(query, close) > embeddings.cosine(query, far) + 0.3
+  );
+
+  // A key changes where features land
+  const keyed = embeddings.embed("database connection pooling", {
+    key: Buffer.alloc(32, 7),
+  });
+  assert.ok(embeddings.cosine(query, keyed) < 0.5);
+});
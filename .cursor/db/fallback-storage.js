@@ -0,0 +1,502 @@
+/**
+ * Fallback Storage With Write Journal
+ * Version: 1.0.0
+ *
+ * Opens a database module's SQLite file. If that fails, the module runs on
+ * an in-memory SQLite database instead, and every write is appended to a
+ * journal file next to the database. The next time the file opens (on
+ * restart or through reconnect()), the journal is replayed into it.
+ *
+ * AUTOINCREMENT counters in the in-memory database start at the current
+ * timestamp, so IDs handed out while degraded do not collide with rows
+ * already on disk. Replay gives inserted rows the same IDs again, so later
+ * journaled statements that refer to those IDs still match.
+ *
+ * Each journaled transaction replays on its own. An insert that collides
+ * with a row written to the file in the meantime updates that row instead,
+ * and only the transactions that still fail are set aside.
+ *
+ * Only statement writes are journaled. Schema changes made with exec() are
+ * not, since the database file runs its own migrations before replay.
+ *
+ * A database file whose schema is newer than this code (SCHEMA_TOO_NEW) is
+ * not a reason to fall back: that error is passed on to the caller.
+ */
+
+const fs = require("fs");
+
+// Encode statement parameters that JSON cannot represent
+function encodeValue(value) {
+  if (Buffer.isBuffer(value)) {
+    return { $type: "buffer", base64: value.toString("base64") };
+  }
+  if (typeof value === "bigint") {
+    return { $type: "bigint", value: value.toString() };
+  }
+  return value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === "object" && value.$type === "buffer") {
+    return Buffer.from(value.base64, "base64");
+  }
+  if (value && typeof value === "object" && value.$type === "bigint") {
+    return BigInt(value.value);
+  }
+  return value;
+}
+
+// Map over positional parameters and named-parameter objects alike
+function mapParams(params, fn) {
+  return params.map((param) =>
+    param &&
+    typeof param === "object" &&
+    !Buffer.isBuffer(param) &&
+    param.$type === undefined
+      ? Object.fromEntries(
+          Object.entries(param).map(([key, value]) => [key, fn(value)])
+        )
+      : fn(param)
+  );
+}
+
+// Tables whose integer IDs come from AUTOINCREMENT
+function getAutoincrementTables(connection) {
+  return new Set(
+    connection
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND sql LIKE '%AUTOINCREMENT%'`
+      )
+      .all()
+      .map((row) => row.name)
+  );
+}
+
+/**
+ * Create fallback-aware storage for one database module
+ * @param {Object} options - { label, system, activeBanner, dbPath, journalPath, open, initialize }
+ *   open(target) returns a better-sqlite3 connection for a path or ":memory:";
+ *   initialize(connection) brings its schema up to date and may throw to refuse it
+ * @returns {Object} Storage controller
+ */
+function createFallbackStorage(options) {
+  const { label, system, activeBanner, dbPath, journalPath, open, initialize } =
+    options;
+
+  const status = {
+    mode: "disk",
+    degraded: false,
+    reason: null,
+    since: null,
+    journalPath,
+    journaledWrites: 0,
+    lastReplay: null,
+  };
+
+  // Journal entries written inside a transaction wait for it to commit
+  let pending = [];
+  let transactionDepth = 0;
+  let transactionCount = 0;
+
+  function appendToJournal(entries) {
+    if (entries.length === 0) return;
+
+    fs.appendFileSync(
+      journalPath,
+      entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n"
+    );
+    status.journaledWrites += entries.length;
+  }
+
+  function record(sql, params, result) {
+    const entry = {
+      at: Date.now(),
+      sql,
+      params: mapParams(params, encodeValue),
+    };
+
+    if (/^\s*INSERT\b/i.test(sql) && result.changes > 0) {
+      entry.rowid = Number(result.lastInsertRowid);
+    }
+
+    if (transactionDepth > 0) {
+      pending.push(entry);
+    } else {
+      appendToJournal([entry]);
+    }
+  }
+
+  // Route every write on the in-memory connection through the journal
+  function attachJournal(connection) {
+    const prepare = connection.prepare.bind(connection);
+    connection.prepare = (sql) => {
+      const stmt = prepare(sql);
+      if (stmt.reader) return stmt;
+
+      const run = stmt.run.bind(stmt);
+      stmt.run = (...params) => {
+        const result = run(...params);
+        record(sql, params, result);
+        return result;
+      };
+      return stmt;
+    };
+
+    // Hold a transaction's journal entries until it commits
+    function journaled(wrapped) {
+      return (...args) => {
+        const mark = pending.length;
+        transactionDepth++;
+        try {
+          const result = wrapped(...args);
+          transactionDepth--;
+          if (transactionDepth === 0) {
+            const tx = `${Date.now()}-${++transactionCount}`;
+            const committed = pending.map((entry) => ({ ...entry, tx }));
+            pending = [];
+            appendToJournal(committed);
+          }
+          return result;
+        } catch (error) {
+          // Rolled-back writes must never reach the journal
+          transactionDepth--;
+          pending.length = mark;
+          throw error;
+        }
+      };
+    }
+
+    const transaction = connection.transaction.bind(connection);
+    connection.transaction = (fn) => {
+      const wrapped = transaction(fn);
+      const run = journaled(wrapped);
+      // Keep better-sqlite3's transaction variants available
+      for (const variant of ["deferred", "immediate", "exclusive"]) {
+        run[variant] = journaled(wrapped[variant]);
+      }
+      return run;
+    };
+  }
+
+  // Start in-memory AUTOINCREMENT counters beyond anything on disk
+  function seedSequences(connection) {
+    const tables = getAutoincrementTables(connection);
+    if (tables.size === 0) return;
+
+    const seed = Date.now();
+    const insert = connection.prepare(
+      `INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)`
+    );
+    for (const table of tables) {
+      insert.run(table, seed);
+    }
+  }
+
+  function readJournal() {
+    if (!journalPath || !fs.existsSync(journalPath)) return [];
+
+    const entries = [];
+    const lines = fs
+      .readFileSync(journalPath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim());
+
+    for (const line of lines) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // A crash mid-append can leave a partial final line
+        console.error(`${label}: Skipping unreadable journal line`);
+      }
+    }
+
+    return entries;
+  }
+
+  // Columns that identify a row: the declared primary key, or the rowid
+  function getKeyColumns(connection, table) {
+    const keys = connection
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .filter((column) => column.pk > 0)
+      .map((column) => column.name);
+    return keys.length > 0 ? keys : ["rowid"];
+  }
+
+  // Turn a plain INSERT into an upsert that keeps the existing row's key
+  function toUpsert(connection, sql) {
+    const match = sql.match(
+      /^\s*INSERT\s+INTO\s+(\w+)\s*\(([^)]*)\)\s*VALUES\s*\([^)]*\)\s*;?\s*$/i
+    );
+    if (!match) return null;
+
+    const [, table, list] = match;
+    const keys = getKeyColumns(connection, table);
+    const columns = list.split(",").map((column) => column.trim());
+    const updated = columns.filter((column) => !keys.includes(column));
+    const set =
+      updated.length > 0
+        ? `DO UPDATE SET ${updated
+            .map((column) => `${column} = excluded.${column}`)
+            .join(", ")}`
+        : `DO UPDATE SET ${columns[0]} = ${columns[0]}`;
+
+    return {
+      sql: `${sql.trim().replace(/;$/, "")} ON CONFLICT ${set} RETURNING ${keys
+        .map((key) => `${key} AS ${key}`)
+        .join(", ")}`,
+      table,
+      keys,
+      columns,
+    };
+  }
+
+  // Entries journaled by one transaction replay together
+  function groupEntries(entries) {
+    const groups = [];
+    for (const entry of entries) {
+      const last = groups[groups.length - 1];
+      if (entry.tx !== undefined && last && last[0].tx === entry.tx) {
+        last.push(entry);
+      } else {
+        groups.push([entry]);
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Replay journaled writes into an on-disk connection, one journaled
+   * transaction at a time
+   * @param {Object} connection - Connection to the database file
+   * @returns {Object|null} { replayed, failed, at, failedPath } or null when there was no journal
+   */
+  function replayJournal(connection) {
+    let entries;
+    try {
+      entries = readJournal();
+    } catch (error) {
+      console.error(`${label}: Could not read write journal: ${error.message}`);
+      return null;
+    }
+    if (entries.length === 0) return null;
+
+    console.log(
+      `${label}: Replaying ${entries.length} journaled write(s) from ${journalPath}`
+    );
+
+    const autoincrement = getAutoincrementTables(connection);
+    // In-memory keys that resolved to a different row on disk
+    const keyMap = new Map();
+    const remap = (value) => (keyMap.has(value) ? keyMap.get(value) : value);
+
+    function apply(entry) {
+      const table = (entry.sql.match(
+        /^\s*INSERT\s+(?:OR\s+\w+\s+)?INTO\s+(\w+)/i
+      ) || [])[1];
+      const keepId =
+        entry.rowid !== undefined && table && autoincrement.has(table);
+      const params = mapParams(entry.params || [], (value) =>
+        remap(decodeValue(value))
+      );
+
+      // Give replayed rows the IDs they had in memory by moving the
+      // counter just below them, so insert triggers see the final ID
+      if (keepId) {
+        const moved = connection
+          .prepare(`UPDATE sqlite_sequence SET seq = ? WHERE name = ?`)
+          .run(entry.rowid - 1, table);
+        if (moved.changes === 0) {
+          connection
+            .prepare(`INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)`)
+            .run(table, entry.rowid - 1);
+        }
+      }
+
+      let result;
+      try {
+        result = connection.prepare(entry.sql).run(...params);
+      } catch (error) {
+        const upsert =
+          (error.code === "SQLITE_CONSTRAINT_UNIQUE" ||
+            error.code === "SQLITE_CONSTRAINT_PRIMARYKEY") &&
+          toUpsert(connection, entry.sql);
+        if (!upsert) throw error;
+
+        // The row already exists on disk: update it like a normal upsert
+        const existing = connection.prepare(upsert.sql).get(...params);
+        for (const key of upsert.keys) {
+          const journaled =
+            key === "rowid" ? entry.rowid : params[upsert.columns.indexOf(key)];
+          if (journaled !== undefined && journaled !== existing[key]) {
+            keyMap.set(journaled, existing[key]);
+          }
+        }
+        if (keepId && existing.rowid === undefined) {
+          keyMap.set(entry.rowid, existing[upsert.keys[0]]);
+        }
+        return;
+      }
+
+      // Larger IDs already on disk win over the counter; renumber instead
+      if (
+        keepId &&
+        result.changes > 0 &&
+        Number(result.lastInsertRowid) !== entry.rowid
+      ) {
+        connection
+          .prepare(`UPDATE ${table} SET rowid = ? WHERE rowid = ?`)
+          .run(entry.rowid, result.lastInsertRowid);
+      }
+    }
+
+    const failed = [];
+    let replayed = 0;
+    for (const group of groupEntries(entries)) {
+      const mapped = new Map(keyMap);
+      try {
+        connection.transaction(() => group.forEach(apply))();
+        replayed += group.length;
+      } catch (error) {
+        // Forget keys mapped by the rolled-back group
+        keyMap.clear();
+        mapped.forEach((value, key) => keyMap.set(key, value));
+        failed.push(
+          ...group.map((entry) => ({ ...entry, error: error.message }))
+        );
+      }
+    }
+
+    status.lastReplay = { replayed, failed: failed.length, at: Date.now() };
+
+    try {
+      if (failed.length > 0) {
+        // Keep failed writes aside so they are not lost or retried forever
+        const failedPath = `${journalPath}.${Date.now()}.failed`;
+        fs.writeFileSync(
+          failedPath,
+          failed.map((entry) => JSON.stringify(entry)).join("\n") + "\n"
+        );
+        status.lastReplay.failedPath = failedPath;
+        console.error(
+          `${label}: ${failed.length} journaled write(s) failed to replay (${failed[0].error}); kept in ${failedPath}`
+        );
+      }
+      fs.unlinkSync(journalPath);
+    } catch (error) {
+      console.error(
+        `${label}: Could not clear the write journal: ${error.message}`
+      );
+      status.lastReplay.error = error.message;
+    }
+
+    return status.lastReplay;
+  }
+
+  // Open and prepare the database file, replaying any journal into it
+  function openDisk() {
+    let connection;
+    try {
+      connection = open(dbPath);
+      initialize(connection);
+      replayJournal(connection);
+      return connection;
+    } catch (error) {
+      if (connection) connection.close();
+      throw error;
+    }
+  }
+
+  return {
+    /**
+     * Open the database file, or fall back to memory if it cannot be used
+     * @returns {Object} better-sqlite3 connection
+     */
+    connect: function () {
+      try {
+        const connection = openDisk();
+        console.log(`Connected to database at: ${dbPath}`);
+        return connection;
+      } catch (error) {
+        // A newer schema is not an I/O problem: running on memory would
+        // journal writes for a database this code must not touch
+        if (error.code === "SCHEMA_TOO_NEW") throw error;
+
+        console.error(`Failed to open database: ${error.message}`);
+        console.error(
+          `${label}: Falling back to an in-memory database; writes are journaled to ${journalPath}`
+        );
+
+        const connection = open(":memory:");
+        initialize(connection);
+        seedSequences(connection);
+        attachJournal(connection);
+
+        status.mode = "memory";
+        status.degraded = true;
+        status.reason = error.message;
+        status.since = Date.now();
+        return connection;
+      }
+    },
+
+    /**
+     * Try the database file again while degraded
+     * @returns {Object|null} New disk connection after replay, or null if still unavailable
+     */
+    reconnect: function () {
+      if (!status.degraded) return null;
+
+      try {
+        const connection = openDisk();
+        console.log(`${label}: Database file available again at ${dbPath}`);
+
+        status.mode = "disk";
+        status.degraded = false;
+        status.reason = null;
+        status.since = null;
+        return connection;
+      } catch (error) {
+        console.error(
+          `${label}: Database file still unavailable: ${error.message}`
+        );
+        status.reason = error.message;
+        return null;
+      }
+    },
+
+    getStatus: function () {
+      return { ...status };
+    },
+
+    /**
+     * Show the storage state in response banners
+     */
+    reportStatus: function () {
+      if (typeof globalThis === "undefined") return;
+
+      if (!globalThis.nextResponsePrepend) {
+        globalThis.nextResponsePrepend = [];
+      }
+
+      // Drop this system's previous banner before adding the current one
+      globalThis.nextResponsePrepend = globalThis.nextResponsePrepend.filter(
+        (line) =>
+          !line.includes(system) ||
+          (!status.degraded && !line.includes("DEGRADED"))
+      );
+
+      if (status.degraded) {
+        globalThis.nextResponsePrepend.push(
+          `⚠️ [${system}: DEGRADED: in-memory only, ${status.journaledWrites} write(s) journaled]`
+        );
+      } else if (
+        !globalThis.nextResponsePrepend.some((line) => line.includes(system))
+      ) {
+        globalThis.nextResponsePrepend.push(activeBanner);
+      }
+    },
+  };
+}
+
+module.exports = createFallbackStorage;
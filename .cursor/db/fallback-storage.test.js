@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const migrator = require("./migrator");
+const createFallbackStorage = require("./fallback-storage");
+const { tempDir } = require("./testing");
+
+const migrations = [
+  {
+    version: 1,
+    name: "notes",
+    up: (db) => {
+      db.exec(
+        `CREATE TABLE notes (id INTEGER PRIMARY KEY AUTOINCREMENT, text TEXT)`
+      );
+    },
+  },
+  {
+    version: 2,
+    name: "knowledge",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE knowledge (
+          id TEXT PRIMARY KEY,
+          category TEXT,
+          topic TEXT,
+          content TEXT,
+          UNIQUE(category, topic)
+        );
+        CREATE TABLE knowledge_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          knowledge_id TEXT,
+          content TEXT
+        );
+      `);
+    },
+  },
+];
+
+function createStorage(dbPath, journalPath = `${dbPath}.journal.ndjson`) {
+  return createFallbackStorage({
+    label: "TEST-DB",
+    system: "TEST SYSTEM",
+    activeBanner: "[TEST SYSTEM: ACTIVE]",
+    dbPath,
+    journalPath,
+    open: (target) => new sqlite3(target),
+    initialize: (connection) =>
+      migrator.migrate(connection, migrations, { label: "TEST-DB" }),
+  });
+}
+
+test("falls back to memory and replays the journal on reconnect", () => {
+  const dir = tempDir();
+  const dbPath = path.join(dir, "blocked", "test.db");
+  const storage = createStorage(dbPath, path.join(dir, "test.journal.ndjson"));
+
+  // The parent directory does not exist yet, so the file cannot open
+  const memory = storage.connect();
+  assert.strictEqual(storage.getStatus().degraded, true);
+
+  memory
+    .transaction(() => {
+      memory.prepare(`INSERT INTO notes (text) VALUES (?)`).run("kept");
+    })
+    .immediate();
+  assert.throws(() =>
+    memory.transaction(() => {
+      memory.prepare(`INSERT INTO notes (text) VALUES (?)`).run("dropped");
+      throw new Error("rollback");
+    })()
+  );
+  assert.strictEqual(storage.getStatus().journaledWrites, 1);
+
+  fs.mkdirSync(path.dirname(dbPath));
+  const disk = storage.reconnect();
+  assert.deepStrictEqual(
+    disk
+      .prepare(`SELECT text FROM notes`)
+      .all()
+      .map((row) => row.text),
+    ["kept"]
+  );
+  assert.strictEqual(storage.getStatus().degraded, false);
+});
+
+test("refuses a database with a newer schema instead of falling back", () => {
+  const dbPath = path.join(tempDir(), "newer.db");
+  const newer = new sqlite3(dbPath);
+  migrator.migrate(newer, [
+    ...migrations,
+    { version: 3, name: "future", up: () => {} },
+  ]);
+  newer.close();
+
+  const storage = createStorage(dbPath);
+  assert.throws(() => storage.connect(), { code: "SCHEMA_TOO_NEW" });
+  assert.strictEqual(storage.getStatus().degraded, false);
+});
+
+test("replay updates rows written to the file meanwhile and sets aside only failures", () => {
+  const dir = tempDir();
+  const dbPath = path.join(dir, "blocked", "test.db");
+  const journalPath = path.join(dir, "test.journal.ndjson");
+  const storage = createStorage(dbPath, journalPath);
+
+  const memory = storage.connect();
+  const insert = memory.prepare(
+    `INSERT INTO knowledge (id, category, topic, content) VALUES (?, ?, ?, ?)`
+  );
+  const archive = memory.prepare(
+    `INSERT INTO knowledge_history (knowledge_id, content) VALUES (?, ?)`
+  );
+  memory.transaction(() => {
+    insert.run("memory-staging", "ops", "staging", "from memory");
+    archive.run("memory-staging", "first draft");
+  })();
+  insert.run("memory-other", "ops", "other", "unrelated");
+  memory
+    .prepare(
+      `INSERT INTO knowledge (id, category, topic, content) SELECT ?, ?, ?, ?`
+    )
+    .run("memory-prod", "ops", "prod", "cannot be merged");
+
+  // Another process writes the same topics to the file in the meantime
+  fs.mkdirSync(path.dirname(dbPath));
+  const other = new sqlite3(dbPath);
+  migrator.migrate(other, migrations);
+  const seed = other.prepare(
+    `INSERT INTO knowledge (id, category, topic, content) VALUES (?, ?, ?, ?)`
+  );
+  seed.run("disk-staging", "ops", "staging", "from disk");
+  seed.run("disk-prod", "ops", "prod", "from disk");
+  other.close();
+
+  const disk = storage.reconnect();
+  const rows = disk
+    .prepare(`SELECT id, topic, content FROM knowledge ORDER BY topic`)
+    .all();
+  assert.deepStrictEqual(rows, [
+    { id: "memory-other", topic: "other", content: "unrelated" },
+    { id: "disk-prod", topic: "prod", content: "from disk" },
+    { id: "disk-staging", topic: "staging", content: "from memory" },
+  ]);
+
+  // The history row follows the staging topic to its ID on disk
+  assert.deepStrictEqual(
+    disk.prepare(`SELECT knowledge_id FROM knowledge_history`).all(),
+    [{ knowledge_id: "disk-staging" }]
+  );
+
+  const replay = storage.getStatus().lastReplay;
+  assert.strictEqual(replay.replayed, 3);
+  assert.strictEqual(replay.failed, 1);
+  assert.strictEqual(fs.existsSync(journalPath), false);
+  const failed = fs
+    .readFileSync(replay.failedPath, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.deepStrictEqual(
+    failed.map((entry) => entry.params[0]),
+    ["memory-prod"]
+  );
+});
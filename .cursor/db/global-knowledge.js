@@ -0,0 +1,442 @@
+/**
+ * Global Knowledge Store
+ * Version: 1.0.0
+ *
+ * A user-level database of semantic knowledge shared by every workspace.
+ * Knowledge only gets there when it is promoted explicitly from a workspace;
+ * semantic lookups in a workspace fall back to it after local results.
+ *
+ * The file is opened lazily. Lookups never create it, so a user who never
+ * promotes anything never gets one. Global knowledge does not decay.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const migrator = require("./migrator");
+const migrations = require("./migrations/global-knowledge");
+const embeddings = require("./embeddings");
+const createMemoryEncryption = require("./memory-encryption");
+
+const COLUMNS = `id, category, topic, content, confidence, timestamp, last_accessed, source, metadata,
+  origin_workspace, origin_id, promoted_at`;
+
+// Parse JSON columns and mark the row as coming from the global store
+function parseRow(row) {
+  try {
+    row.content = JSON.parse(row.content);
+  } catch (e) {
+    // Leave as string if not valid JSON
+  }
+
+  if (row.metadata) {
+    try {
+      row.metadata = JSON.parse(row.metadata);
+    } catch (e) {
+      // Leave as string if not valid JSON
+    }
+  }
+
+  row.scope = "global";
+  return row;
+}
+
+/**
+ * Create the global knowledge store
+ * @param {Object} context - { dbPath, workspace, open, env, getMemoryDB, deleteLocalKnowledge }
+ *   open(path) returns a better-sqlite3 connection
+ * @returns {Object} Global knowledge methods
+ */
+function createGlobalKnowledge(context) {
+  const { dbPath, workspace, open, getMemoryDB } = context;
+
+  let connection = null;
+  let lastError = null;
+
+  // Same key material as the workspace, salted for this database
+  const encryption = createMemoryEncryption({
+    getDb: () => connection,
+    env: context.env,
+    label: "GLOBAL-KNOWLEDGE-DB",
+  });
+
+  // Open the database, creating it only when asked to
+  function connect(options = {}) {
+    if (connection) return connection;
+    if (!dbPath) return null;
+    if (!options.create && !fs.existsSync(dbPath)) return null;
+
+    try {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      const opened = open(dbPath);
+      try {
+        migrator.migrate(opened, migrations, { label: "GLOBAL-KNOWLEDGE-DB" });
+      } catch (error) {
+        opened.close();
+        throw error;
+      }
+      encryption.attach(opened);
+
+      connection = opened;
+      encryption.unlock();
+      lastError = null;
+      console.log(`Connected to global knowledge at: ${dbPath}`);
+    } catch (error) {
+      // Report once; lookups keep working on the workspace database alone
+      if (lastError !== error.message) {
+        console.error(
+          `Global knowledge unavailable (${dbPath}): ${error.message}`
+        );
+      }
+      lastError = error.message;
+    }
+
+    return connection;
+  }
+
+  // Same category matching as workspace knowledge: the category and below it
+  function categoryFilter(category) {
+    return getMemoryDB().categories.categoryFilter("category", category);
+  }
+
+  function touch(ids) {
+    if (ids.length === 0) return;
+
+    const stmt = connection.prepare(
+      `UPDATE global_knowledge SET last_accessed = ? WHERE id = ?`
+    );
+    const now = Date.now();
+    ids.forEach((id) => stmt.run(now, id));
+  }
+
+  return {
+    /**
+     * Where the global store lives and whether it can be used
+     * @returns {Object} { enabled, path, available, count, error }
+     */
+    getStatus: function () {
+      const db = connect();
+      let count = 0;
+      try {
+        count = db
+          ? db.prepare(`SELECT COUNT(*) AS count FROM global_knowledge`).get()
+              .count
+          : 0;
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      return {
+        enabled: !!dbPath,
+        path: dbPath,
+        available: !!db,
+        count,
+        error: lastError,
+      };
+    },
+
+    get: function (id) {
+      try {
+        const db = connect();
+        if (!db) return null;
+
+        const row = db
+          .prepare(`SELECT ${COLUMNS} FROM global_knowledge WHERE id = ?`)
+          .get(id);
+        if (!row) return null;
+
+        touch([row.id]);
+        return parseRow(row);
+      } catch (error) {
+        console.error(`Error retrieving global knowledge: ${error.message}`);
+        return null;
+      }
+    },
+
+    getKnowledge: function (category, topic) {
+      try {
+        const db = connect();
+        if (!db) return null;
+
+        const row = db
+          .prepare(
+            `SELECT ${COLUMNS} FROM global_knowledge WHERE category = ? AND topic = ?`
+          )
+          .get(category, topic);
+        if (!row) return null;
+
+        touch([row.id]);
+        return parseRow(row);
+      } catch (error) {
+        console.error(`Error retrieving global knowledge: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * List global knowledge, optionally for one category and its subcategories
+     * @param {Object} options - { category, includeDescendants = true, limit = 100 }
+     * @returns {Array} Knowledge rows ordered by category and topic
+     */
+    list: function (options = {}) {
+      try {
+        const db = connect();
+        if (!db) return [];
+
+        let sql = `SELECT ${COLUMNS} FROM global_knowledge`;
+        const params = [];
+
+        if (options.category) {
+          const filter =
+            options.includeDescendants === false
+              ? { sql: `category = ?`, params: [options.category] }
+              : categoryFilter(options.category);
+          sql += ` WHERE ${filter.sql}`;
+          params.push(...filter.params);
+        }
+
+        sql += ` ORDER BY category, topic LIMIT ?`;
+        params.push(options.limit || 100);
+
+        return db
+          .prepare(sql)
+          .all(...params)
+          .map(parseRow);
+      } catch (error) {
+        console.error(`Error listing global knowledge: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Substring search over topic and content. Encrypted content is matched
+     * after decryption, which is fine for a store of promoted knowledge.
+     * @param {string} query - Search text
+     * @param {Object} options - { category, minConfidence, limit = 10 }
+     * @returns {Array} Matching rows by confidence
+     */
+    search: function (query, options = {}) {
+      try {
+        const db = connect();
+        if (!db) return [];
+
+        let sql = `SELECT ${COLUMNS} FROM global_knowledge WHERE confidence >= ?`;
+        const params = [options.minConfidence || 0];
+
+        if (options.category) {
+          const filter = categoryFilter(options.category);
+          sql += ` AND ${filter.sql}`;
+          params.push(...filter.params);
+        }
+
+        sql += ` ORDER BY confidence DESC, last_accessed DESC`;
+
+        const needle = String(query).toLowerCase();
+        const rows = db
+          .prepare(sql)
+          .all(...params)
+          .filter(
+            (row) =>
+              row.topic.toLowerCase().includes(needle) ||
+              String(row.content).toLowerCase().includes(needle)
+          )
+          .slice(0, options.limit || 10);
+
+        touch(rows.map((row) => row.id));
+        return rows.map(parseRow);
+      } catch (error) {
+        console.error(`Error searching global knowledge: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Rank global knowledge by embedding similarity
+     * @param {string} text - Free text to compare against
+     * @param {Object} options - { k = 5, category, minScore = 0 }
+     * @returns {Array} Rows with a `similarity` score, best first
+     */
+    similar: function (text, options = {}) {
+      try {
+        const db = connect();
+        if (!db) return [];
+
+        let sql = `SELECT ${COLUMNS}, vector FROM global_knowledge WHERE model = ?`;
+        const params = [encryption.embeddingModel()];
+
+        if (options.category) {
+          const filter = categoryFilter(options.category);
+          sql += ` AND ${filter.sql}`;
+          params.push(...filter.params);
+        }
+
+        const queryVector = encryption.embed(text);
+        const rows = db
+          .prepare(sql)
+          .all(...params)
+          .map((row) => {
+            const similarity = embeddings.cosine(
+              queryVector,
+              embeddings.fromBuffer(row.vector)
+            );
+            delete row.vector;
+            return { ...row, similarity };
+          })
+          .filter((row) => row.similarity > (options.minScore || 0))
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, options.k || 5);
+
+        touch(rows.map((row) => row.id));
+        return rows.map(parseRow);
+      } catch (error) {
+        console.error(
+          `Error finding similar global knowledge: ${error.message}`
+        );
+        return [];
+      }
+    },
+
+    /**
+     * Copy a workspace knowledge node into the global store. An existing
+     * global entry with the same category and topic is updated in place.
+     * New entries get their own ID, since workspace IDs are only unique
+     * within one workspace; the workspace ID is kept as origin_id.
+     * @param {string} id - Workspace knowledge node ID
+     * @param {Object} options - { move } to delete the workspace copy afterwards
+     * @returns {string|null} Global knowledge ID
+     */
+    promote: function (id, options = {}) {
+      try {
+        const local = getMemoryDB().semantic.getById(id, {
+          includeGlobal: false,
+        });
+        if (!local) {
+          console.error(
+            `Knowledge node ${id} does not exist in this workspace`
+          );
+          return null;
+        }
+
+        const db = connect({ create: true });
+        if (!db) return null;
+
+        const content =
+          typeof local.content === "object"
+            ? JSON.stringify(local.content)
+            : String(local.content);
+        const metadata = local.metadata ? JSON.stringify(local.metadata) : null;
+        const vector = encryption.embed(
+          `${local.topic} ${local.topic} ${local.category} ${content}`
+        );
+        const now = Date.now();
+
+        db.prepare(
+          `
+          INSERT INTO global_knowledge
+          (id, category, topic, content, confidence, timestamp, last_accessed, source, metadata,
+           origin_workspace, origin_id, promoted_at, model, vector)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(category, topic) DO UPDATE SET
+            content = excluded.content,
+            confidence = excluded.confidence,
+            timestamp = excluded.timestamp,
+            source = excluded.source,
+            metadata = excluded.metadata,
+            origin_workspace = excluded.origin_workspace,
+            origin_id = excluded.origin_id,
+            promoted_at = excluded.promoted_at,
+            model = excluded.model,
+            vector = excluded.vector
+        `
+        ).run(
+          `global_${now}_${Math.floor(Math.random() * 10000)}`,
+          local.category,
+          local.topic,
+          encryption.seal(content),
+          local.confidence,
+          local.timestamp,
+          now,
+          local.source,
+          encryption.seal(metadata),
+          workspace,
+          local.id,
+          now,
+          encryption.embeddingModel(),
+          embeddings.toBuffer(vector)
+        );
+
+        const { id: globalId } = db
+          .prepare(
+            `SELECT id FROM global_knowledge WHERE category = ? AND topic = ?`
+          )
+          .get(local.category, local.topic);
+
+        if (options.move) context.deleteLocalKnowledge([local.id]);
+
+        console.log(
+          `${options.move ? "Moved" : "Promoted"} ${local.category}/${
+            local.topic
+          } to global knowledge`
+        );
+        return globalId;
+      } catch (error) {
+        console.error(`Error promoting knowledge: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Copy a global entry into this workspace's semantic knowledge
+     * @param {string} id - Global knowledge ID
+     * @param {Object} options - { move } to delete the global entry afterwards
+     * @returns {string|null} Workspace knowledge ID
+     */
+    pull: function (id, options = {}) {
+      try {
+        const entry = this.get(id);
+        if (!entry) {
+          console.error(`Global knowledge ${id} does not exist`);
+          return null;
+        }
+
+        const localId = getMemoryDB().semantic.storeKnowledge(
+          entry.category,
+          entry.topic,
+          entry.content,
+          {
+            confidence: entry.confidence,
+            source: entry.source || "global",
+            metadata: entry.metadata,
+          }
+        );
+
+        if (localId && options.move) this.remove(id);
+        return localId;
+      } catch (error) {
+        console.error(`Error pulling global knowledge: ${error.message}`);
+        return null;
+      }
+    },
+
+    remove: function (id) {
+      try {
+        const db = connect();
+        if (!db) return false;
+
+        return (
+          db.prepare(`DELETE FROM global_knowledge WHERE id = ?`).run(id)
+            .changes > 0
+        );
+      } catch (error) {
+        console.error(`Error removing global knowledge: ${error.message}`);
+        return false;
+      }
+    },
+
+    close: function () {
+      if (connection) connection.close();
+      connection = null;
+    },
+  };
+}
+
+module.exports = createGlobalKnowledge;
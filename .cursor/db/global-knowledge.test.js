@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { tempDir, loadMemory } = require("./testing");
+
+// Another module registered search first; promotion must still be exposed
+globalThis.MEMORY_SYSTEM = { searchKnowledge: () => [] };
+
+const M = loadMemory({
+  env: { CURSOR_GLOBAL_DB_PATH: path.join(tempDir(), "global.db") },
+});
+
+test("promoteKnowledge is registered on its own", () => {
+  assert.strictEqual(
+    typeof globalThis.MEMORY_SYSTEM.promoteKnowledge,
+    "function"
+  );
+});
+
+test("global fallbacks use the normalized category", () => {
+  const id = M.semantic.storeKnowledge(" Backend / Auth ", "tokens", "JWT");
+  assert.ok(globalThis.MEMORY_SYSTEM.promoteKnowledge(id, { move: true }));
+  assert.strictEqual(
+    M.semantic.getKnowledge("Backend/Auth", "tokens", { includeGlobal: false }),
+    null
+  );
+
+  assert.strictEqual(
+    M.semantic.getKnowledge(" Backend / Auth ", "tokens").content,
+    "JWT"
+  );
+  assert.deepStrictEqual(
+    M.semantic
+      .getByCategory("Backend/Auth/", { includeDescendants: false })
+      .map((row) => row.topic),
+    ["tokens"]
+  );
+});
+
+test("global lookups by category include subcategories", () => {
+  const id = M.semantic.storeKnowledge("ops/deploy", "rollback", "helm");
+  M.global.promote(id, { move: true });
+
+  const topics = (rows) => rows.map((row) => row.topic);
+  assert.deepStrictEqual(topics(M.global.list({ category: "ops" })), [
+    "rollback",
+  ]);
+  assert.deepStrictEqual(
+    topics(M.global.list({ category: "ops", includeDescendants: false })),
+    []
+  );
+  assert.deepStrictEqual(topics(M.global.search("helm", { category: "ops" })), [
+    "rollback",
+  ]);
+  assert.deepStrictEqual(
+    topics(M.global.similar("rollback helm", { category: "ops" })),
+    ["rollback"]
+  );
+});
+
+test("promoting a node whose ID is already taken globally adds a new entry", () => {
+  const first = M.semantic.storeKnowledge("infra", "dns", "route53", {
+    id: "shared-id",
+  });
+  const firstGlobal = M.global.promote(first, { move: true });
+
+  // Another workspace (or a later node here) reuses the same local ID
+  const second = M.semantic.storeKnowledge("infra", "cdn", "cloudfront", {
+    id: "shared-id",
+  });
+  const secondGlobal = M.global.promote(second);
+
+  assert.ok(secondGlobal);
+  assert.notStrictEqual(secondGlobal, firstGlobal);
+  assert.strictEqual(M.global.get(firstGlobal).content, "route53");
+  assert.strictEqual(M.global.get(secondGlobal).origin_id, "shared-id");
+});
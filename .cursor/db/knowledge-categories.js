@@ -0,0 +1,401 @@
+/**
+ * Knowledge Category Tree
+ * Version: 1.0.0
+ *
+ * Categories are slash-separated paths such as "backend/auth/jwt". Every
+ * path used by semantic knowledge has a row in knowledge_categories, along
+ * with each of its ancestors, so the tree can be listed without scanning
+ * knowledge. Queries on a category include its descendants; moving or
+ * renaming a category moves its whole subtree and the knowledge in it.
+ */
+
+/**
+ * Normalise a category path: trim each segment and drop empty ones
+ * @param {string} category - e.g. " backend//auth/ "
+ * @returns {string} e.g. "backend/auth"
+ */
+function normalizePath(category) {
+  return String(category)
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join("/");
+}
+
+// "a/b/c" -> ["a", "a/b", "a/b/c"]
+function ancestorPaths(path) {
+  const segments = path.split("/");
+  return segments.map((_, i) => segments.slice(0, i + 1).join("/"));
+}
+
+// Normalise a path that must name a category
+function requirePath(category) {
+  const path = normalizePath(category);
+  if (!path) throw new Error("Category path cannot be empty");
+  return path;
+}
+
+/**
+ * SQL condition matching a category and everything below it. Compares
+ * prefixes exactly, so "ops" matches "ops/deploy" but not "opsx" or "Ops".
+ * @param {string} column - Column holding the category path
+ * @param {string} category - Category path
+ * @returns {Object} { sql, params }
+ * @throws {Error} If the category path is empty
+ */
+function categoryFilter(column, category) {
+  const path = requirePath(category);
+  return {
+    sql: `(${column} = ? OR substr(${column}, 1, length(?) + 1) = ? || '/')`,
+    params: [path, path, path],
+  };
+}
+
+/**
+ * Category tree over the "/"-separated semantic_knowledge.category paths
+ * @param {Object} context - { getDb, onKnowledgeMoved }
+ *   onKnowledgeMoved(ids) lets the caller refresh indexes that include the
+ *   category, such as embeddings
+ * @returns {Object} MemoryDB.categories
+ */
+function createKnowledgeCategories(context) {
+  const { getDb } = context;
+
+  return {
+    normalizePath,
+    categoryFilter,
+
+    /**
+     * Make sure a category and its ancestors exist
+     * @param {string} category - Category path
+     * @returns {string} The normalised path
+     * @throws {Error} If the category path is empty
+     */
+    ensure: function (category) {
+      const path = requirePath(category);
+      const insert = getDb().prepare(`
+        INSERT OR IGNORE INTO knowledge_categories (path, name, parent_path, created_at)
+        VALUES (?, ?, ?, ?)
+      `);
+      const now = Date.now();
+
+      ancestorPaths(path).forEach((ancestor, i, all) => {
+        insert.run(
+          ancestor,
+          ancestor.split("/").pop(),
+          i > 0 ? all[i - 1] : null,
+          now
+        );
+      });
+
+      return path;
+    },
+
+    /**
+     * Add categories used by knowledge that are missing from the tree,
+     * e.g. after an import
+     * @returns {number} Categories checked
+     */
+    sync: function () {
+      try {
+        const rows = getDb()
+          .prepare(`SELECT DISTINCT category FROM semantic_knowledge`)
+          .all();
+        getDb().transaction(() => {
+          rows.forEach((row) => this.ensure(row.category));
+        })();
+        return rows.length;
+      } catch (error) {
+        console.error(`Error syncing knowledge categories: ${error.message}`);
+        return 0;
+      }
+    },
+
+    get: function (category) {
+      try {
+        const row = getDb()
+          .prepare(
+            `
+            SELECT path, name, parent_path, description, created_at
+            FROM knowledge_categories
+            WHERE path = ?
+          `
+          )
+          .get(normalizePath(category));
+        return row || null;
+      } catch (error) {
+        console.error(`Error retrieving category: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Set or clear a category's description, creating the category if needed
+     * @param {string} category - Category path
+     * @param {string|null} description - Text shown in the outline
+     * @returns {boolean} Success status
+     */
+    describe: function (category, description) {
+      try {
+        const path = this.ensure(category);
+        getDb()
+          .prepare(
+            `UPDATE knowledge_categories SET description = ? WHERE path = ?`
+          )
+          .run(description || null, path);
+        return true;
+      } catch (error) {
+        console.error(`Error describing category: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Category paths at and below a category
+     * @param {string} category - Category path
+     * @returns {Array} Paths, the category itself first
+     */
+    getDescendants: function (category) {
+      try {
+        const filter = categoryFilter("path", category);
+        return getDb()
+          .prepare(
+            `SELECT path FROM knowledge_categories WHERE ${filter.sql} ORDER BY path`
+          )
+          .all(...filter.params)
+          .map((row) => row.path);
+      } catch (error) {
+        console.error(`Error listing category descendants: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * The category tree as nested nodes, for rendering an outline
+     * @param {string} root - Optional category to start from
+     * @returns {Array} [{ path, name, description, knowledgeCount,
+     *   totalCount, children }], where totalCount includes descendants
+     */
+    getTree: function (root = null) {
+      try {
+        const db = getDb();
+        let sql = `
+          SELECT kc.path, kc.name, kc.parent_path, kc.description,
+                 (SELECT COUNT(*) FROM semantic_knowledge sk WHERE sk.category = kc.path) AS knowledge_count
+          FROM knowledge_categories kc
+        `;
+        const params = [];
+
+        if (root) {
+          const filter = categoryFilter("kc.path", root);
+          sql += ` WHERE ${filter.sql}`;
+          params.push(...filter.params);
+        }
+
+        sql += ` ORDER BY kc.path`;
+
+        const nodes = new Map();
+        const roots = [];
+        for (const row of db.prepare(sql).all(...params)) {
+          const node = {
+            path: row.path,
+            name: row.name,
+            description: row.description,
+            knowledgeCount: row.knowledge_count,
+            totalCount: row.knowledge_count,
+            children: [],
+          };
+          nodes.set(row.path, node);
+
+          // Parents sort before their children
+          const parent = nodes.get(row.parent_path);
+          if (parent) {
+            parent.children.push(node);
+          } else {
+            roots.push(node);
+          }
+        }
+
+        // Roll counts up from the leaves
+        const total = (node) => {
+          node.totalCount =
+            node.knowledgeCount +
+            node.children.reduce((sum, child) => sum + total(child), 0);
+          return node.totalCount;
+        };
+        roots.forEach(total);
+
+        return roots;
+      } catch (error) {
+        console.error(`Error building category tree: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Move a category and its subtree under a new path, along with all
+     * knowledge filed there. Fails without changes if a moved topic already
+     * exists at the destination.
+     * @param {string} from - Current category path
+     * @param {string} to - New category path
+     * @returns {Object|null} { categories, knowledge } moved counts
+     */
+    move: function (from, to) {
+      try {
+        const db = getDb();
+        const source = normalizePath(from);
+        const target = normalizePath(to);
+
+        if (!source || !target) {
+          throw new Error("Category paths cannot be empty");
+        }
+        if (target === source) return { categories: 0, knowledge: 0 };
+        if (target.startsWith(`${source}/`)) {
+          throw new Error(`Cannot move ${source} into its own subtree`);
+        }
+
+        const rename = (path) => target + path.slice(source.length);
+        const categoryRows = categoryFilter("path", source);
+        const knowledgeRows = categoryFilter("category", source);
+
+        const categories = db
+          .prepare(
+            `SELECT path FROM knowledge_categories WHERE ${categoryRows.sql}`
+          )
+          .all(...categoryRows.params);
+        const knowledge = db
+          .prepare(
+            `SELECT id, category, topic FROM semantic_knowledge WHERE ${knowledgeRows.sql}`
+          )
+          .all(...knowledgeRows.params);
+
+        if (categories.length === 0 && knowledge.length === 0) {
+          throw new Error(`Category ${source} does not exist`);
+        }
+
+        const clash = db.prepare(
+          `SELECT id FROM semantic_knowledge WHERE category = ? AND topic = ?`
+        );
+        for (const row of knowledge) {
+          if (clash.get(rename(row.category), row.topic)) {
+            throw new Error(
+              `${rename(row.category)}/${row.topic} already exists`
+            );
+          }
+        }
+
+        db.transaction(() => {
+          this.ensure(target);
+
+          const updateCategory = db.prepare(`
+            UPDATE knowledge_categories SET path = ?, name = ?, parent_path = ? WHERE path = ?
+          `);
+          const mergeCategory = db.prepare(
+            `DELETE FROM knowledge_categories WHERE path = ?`
+          );
+          const exists = db.prepare(
+            `SELECT 1 FROM knowledge_categories WHERE path = ?`
+          );
+
+          // Parents first, so each child's new parent already exists
+          categories
+            .map((row) => row.path)
+            .sort((a, b) => a.length - b.length)
+            .forEach((path) => {
+              const moved = rename(path);
+              if (exists.get(moved)) {
+                // Merging into an existing category
+                mergeCategory.run(path);
+              } else {
+                const segments = moved.split("/");
+                updateCategory.run(
+                  moved,
+                  segments[segments.length - 1],
+                  segments.length > 1 ? segments.slice(0, -1).join("/") : null,
+                  path
+                );
+              }
+            });
+
+          const updateKnowledge = db.prepare(
+            `UPDATE semantic_knowledge SET category = ? WHERE id = ?`
+          );
+          knowledge.forEach((row) =>
+            updateKnowledge.run(rename(row.category), row.id)
+          );
+
+          if (context.onKnowledgeMoved) {
+            context.onKnowledgeMoved(knowledge.map((row) => row.id));
+          }
+        })();
+
+        console.log(
+          `Moved category ${source} to ${target} (${knowledge.length} knowledge node(s))`
+        );
+        return { categories: categories.length, knowledge: knowledge.length };
+      } catch (error) {
+        console.error(`Error moving category: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Rename the last segment of a category path, keeping its parent
+     * @param {string} category - Category path
+     * @param {string} name - New name for the last segment
+     * @returns {Object|null} Result of move()
+     */
+    rename: function (category, name) {
+      const path = normalizePath(category);
+      if (String(name).includes("/") || !String(name).trim()) {
+        console.error(
+          `Error renaming category: name must be a non-empty segment without "/"`
+        );
+        return null;
+      }
+
+      const parent = path.split("/").slice(0, -1).join("/");
+      return this.move(path, parent ? `${parent}/${name}` : name);
+    },
+
+    /**
+     * Remove a category and its subtree, only if no knowledge is filed there
+     * @param {string} category - Category path
+     * @returns {boolean} Whether anything was removed
+     */
+    remove: function (category) {
+      try {
+        const db = getDb();
+        const knowledgeRows = categoryFilter("category", category);
+        const { count } = db
+          .prepare(
+            `SELECT COUNT(*) AS count FROM semantic_knowledge WHERE ${knowledgeRows.sql}`
+          )
+          .get(...knowledgeRows.params);
+
+        if (count > 0) {
+          console.error(
+            `Category ${normalizePath(
+              category
+            )} still holds ${count} knowledge node(s)`
+          );
+          return false;
+        }
+
+        const categoryRows = categoryFilter("path", category);
+        return (
+          db
+            .prepare(
+              `DELETE FROM knowledge_categories WHERE ${categoryRows.sql}`
+            )
+            .run(...categoryRows.params).changes > 0
+        );
+      } catch (error) {
+        console.error(`Error removing category: ${error.message}`);
+        return false;
+      }
+    },
+  };
+}
+
+module.exports = createKnowledgeCategories;
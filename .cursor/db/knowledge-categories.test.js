@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadMemory } = require("./testing");
+
+function setup() {
+  const M = loadMemory();
+  M.semantic.storeKnowledge("ops/deploy", "rollback", "helm rollback");
+  M.semantic.storeKnowledge("ops", "oncall", "pager rotation");
+  M.semantic.storeKnowledge("opsx", "lookalike", "not under ops");
+  M.semantic.storeKnowledge("Ops/deploy", "shouting", "different case");
+  return M;
+}
+
+const topics = (rows) => rows.map((row) => row.topic).sort();
+
+test("category filters match whole path segments, case-sensitively", () => {
+  const M = setup();
+
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("ops")), [
+    "oncall",
+    "rollback",
+  ]);
+  assert.deepStrictEqual(M.categories.getDescendants("ops"), [
+    "ops",
+    "ops/deploy",
+  ]);
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("Ops")), ["shouting"]);
+});
+
+test("empty categories are rejected", () => {
+  const M = setup();
+
+  assert.strictEqual(M.semantic.storeKnowledge(" / ", "topic", "text"), null);
+  assert.deepStrictEqual(M.semantic.getByCategory(""), []);
+  assert.strictEqual(M.categories.remove(""), false);
+  assert.strictEqual(M.categories.rename("ops/deploy", " "), null);
+  assert.strictEqual(M.categories.get(""), null);
+});
+
+test("move takes the subtree and its knowledge, and nothing else", () => {
+  const M = setup();
+
+  assert.deepStrictEqual(M.categories.move("ops", "platform"), {
+    categories: 2,
+    knowledge: 2,
+  });
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("platform")), [
+    "oncall",
+    "rollback",
+  ]);
+  assert.strictEqual(
+    M.semantic.getKnowledge("platform/deploy", "rollback").content,
+    "helm rollback"
+  );
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("opsx")), [
+    "lookalike",
+  ]);
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("Ops")), ["shouting"]);
+  assert.strictEqual(M.categories.get("ops"), null);
+
+  // A topic that already exists at the destination stops the move
+  M.semantic.storeKnowledge("opsx/deploy", "rollback", "clash");
+  assert.strictEqual(M.categories.move("platform", "opsx"), null);
+  assert.strictEqual(
+    M.semantic.getKnowledge("platform/deploy", "rollback").content,
+    "helm rollback"
+  );
+});
+
+test("rename keeps the parent and moves the children", () => {
+  const M = setup();
+
+  assert.ok(M.categories.rename("ops/deploy", "release"));
+  assert.deepStrictEqual(M.categories.getDescendants("ops"), [
+    "ops",
+    "ops/release",
+  ]);
+  assert.strictEqual(M.categories.get("ops/release").parent_path, "ops");
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("ops/release")), [
+    "rollback",
+  ]);
+  assert.deepStrictEqual(topics(M.semantic.getByCategory("Ops/deploy")), [
+    "shouting",
+  ]);
+});
+
+test("remove refuses categories that still hold knowledge", () => {
+  const M = setup();
+
+  assert.strictEqual(M.categories.remove("ops"), false);
+  M.categories.ensure("ops/empty/leaf");
+  M.categories.ensure("opsy/empty");
+
+  assert.strictEqual(M.categories.remove("ops/empty"), true);
+  assert.deepStrictEqual(M.categories.getDescendants("ops"), [
+    "ops",
+    "ops/deploy",
+  ]);
+  assert.ok(M.categories.get("opsy/empty"));
+});
+
+test("getTree nests categories and rolls up counts", () => {
+  const M = setup();
+
+  const [ops] = M.categories.getTree("ops");
+  assert.strictEqual(ops.path, "ops");
+  assert.strictEqual(ops.knowledgeCount, 1);
+  assert.strictEqual(ops.totalCount, 2);
+  assert.deepStrictEqual(
+    ops.children.map((child) => child.path),
+    ["ops/deploy"]
+  );
+
+  assert.deepStrictEqual(
+    M.categories
+      .getTree()
+      .map((node) => node.path)
+      .sort(),
+    ["Ops", "ops", "opsx"]
+  );
+});
@@ -0,0 +1,395 @@
+/**
+ * Episodic Memory Consolidation
+ * Version: 1.0.0
+ *
+ * Turns captured episodes into reusable semantic knowledge. Recent
+ * high-importance episodes are scanned for decisions, definitions,
+ * preferences and file/module mentions; each extracted fact is stored in
+ * semantic_knowledge with provenance back to its source episodes, and the
+ * episodes' related_ids point at the knowledge they produced.
+ *
+ * Knowledge written by anything other than consolidation is never
+ * rewritten: when a fact matches such a node, only its provenance
+ * metadata is extended and the episodes are linked to it.
+ *
+ * Runs are incremental: the last processed episode ID is kept as a
+ * checkpoint in short-term memory.
+ */
+
+const CHECKPOINT_KEY = "memory_consolidation_checkpoint";
+const SOURCE = "consolidation";
+
+// Sentence-level extractors. Each returns { topic, content } or null.
+const EXTRACTORS = [
+  {
+    name: "decision",
+    category: "decisions",
+    confidence: 0.7,
+    pattern:
+      /\b(?:we|i|the team)\s+(?:have\s+)?(?:decided|agreed|chose|opted)\s+(?:to\s+|on\s+|that\s+)?(.+)/i,
+    extract: (match) => ({ topic: match[1], content: match[0] }),
+  },
+  {
+    name: "decision",
+    category: "decisions",
+    confidence: 0.6,
+    pattern: /\b(?:we|i)(?:'ll| will| are going to)\s+use\s+(.+)/i,
+    extract: (match) => ({ topic: `use ${match[1]}`, content: match[0] }),
+  },
+  {
+    name: "definition",
+    category: "definitions",
+    confidence: 0.6,
+    pattern:
+      /(`[^`]+`|\b[A-Z][\w-]*(?:\s+[A-Z][\w-]*){0,3})\s+(?:is|means|refers to|stands for)\s+((?:a|an|the|our)\s+.+)/,
+    extract: (match) => ({
+      topic: match[1].replace(/`/g, ""),
+      content: match[0],
+    }),
+  },
+  {
+    name: "preference",
+    category: "preferences",
+    confidence: 0.65,
+    pattern:
+      /\b(?:i|we|the user)\s+(?:prefer|prefers|like|likes|always|never|want|wants)\s+(?:to\s+)?(.+)/i,
+    extract: (match) => ({ topic: match[1], content: match[0] }),
+  },
+];
+
+// Sentence openers that look like definitions but name nothing
+const VAGUE_TERMS = new Set([
+  "this",
+  "that",
+  "it",
+  "there",
+  "here",
+  "what",
+  "which",
+  "the",
+  "a",
+  "an",
+]);
+
+// File paths and module specifiers mentioned anywhere in an episode
+const FILE_PATTERN =
+  /(?:^|[\s"'`(])((?:\.{0,2}\/)?[\w@-]+(?:\/[\w.@-]+)*\.(?:js|jsx|ts|tsx|mjs|cjs|json|md|mdc|py|sql|css|scss|html|yml|yaml))\b/g;
+const MODULE_PATTERN = /(?:require\(\s*|from\s+|import\s+)["']([^"'\s]+)["']/g;
+
+// Pull plain text out of an episode's content
+function episodeText(content) {
+  if (typeof content === "string") return content;
+  if (content && typeof content === "object") {
+    if (typeof content.content === "string") return content.content;
+    if (typeof content.text === "string") return content.text;
+  }
+  return JSON.stringify(content);
+}
+
+// Normalise an extracted phrase into a stable topic key
+function normalizeTopic(phrase) {
+  return String(phrase)
+    .toLowerCase()
+    .replace(/[.!?;:,]+$/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(" ")
+    .slice(0, 8)
+    .join(" ")
+    .slice(0, 80);
+}
+
+/**
+ * Extract candidate facts from a piece of text
+ * @param {string} text - Episode text
+ * @returns {Array} { category, topic, content, confidence, extractor }
+ */
+function extractFacts(text) {
+  const facts = [];
+  const sentences = String(text)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+  for (const sentence of sentences) {
+    for (const extractor of EXTRACTORS) {
+      const match = sentence.match(extractor.pattern);
+      if (!match) continue;
+
+      const { topic, content } = extractor.extract(match);
+      const normalized = normalizeTopic(topic);
+      if (normalized.length < 3 || VAGUE_TERMS.has(normalized)) continue;
+
+      facts.push({
+        category: extractor.category,
+        topic: normalized,
+        content: content.trim(),
+        confidence: extractor.confidence,
+        extractor: extractor.name,
+      });
+      break;
+    }
+  }
+
+  for (const [pattern, category, extractor] of [
+    [FILE_PATTERN, "files", "file_mention"],
+    [MODULE_PATTERN, "modules", "module_mention"],
+  ]) {
+    const seen = new Set();
+    for (const match of String(text).matchAll(pattern)) {
+      const name = match[1];
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      facts.push({
+        category,
+        topic: name,
+        content: `Mentioned in conversation: ${name}`,
+        confidence: 0.5,
+        extractor,
+      });
+    }
+  }
+
+  return facts;
+}
+
+/**
+ * Job that turns recent episodes into semantic knowledge
+ * @param {Object} context - { getDb, getMemoryDB } where facts are
+ *   stored with getMemoryDB().semantic and the checkpoint is kept in
+ *   short-term memory
+ * @returns {Object} MemoryDB.consolidation
+ */
+function createMemoryConsolidation(context) {
+  const { getDb, getMemoryDB } = context;
+
+  // Add knowledge IDs to an episode's related_ids
+  function linkEpisode(episodeId, knowledgeIds) {
+    const db = getDb();
+    const row = db
+      .prepare(`SELECT related_ids FROM episodic_memory WHERE id = ?`)
+      .get(episodeId);
+    if (!row) return;
+
+    let related = [];
+    try {
+      related = row.related_ids ? JSON.parse(row.related_ids) : [];
+    } catch (e) {
+      related = [];
+    }
+    if (!Array.isArray(related)) related = [related];
+
+    const merged = [...new Set([...related, ...knowledgeIds])];
+    db.prepare(`UPDATE episodic_memory SET related_ids = ? WHERE id = ?`).run(
+      JSON.stringify(merged),
+      episodeId
+    );
+  }
+
+  return {
+    extractFacts,
+
+    getCheckpoint: function () {
+      const checkpoint = getMemoryDB().shortTerm.get(CHECKPOINT_KEY);
+      return checkpoint && typeof checkpoint === "object"
+        ? checkpoint
+        : { lastEpisodeId: 0, runAt: null };
+    },
+
+    resetCheckpoint: function () {
+      return getMemoryDB().shortTerm.remove(CHECKPOINT_KEY);
+    },
+
+    /**
+     * Consolidate episodes captured since the last checkpoint
+     * @param {Object} options - { minImportance = 2, limit = 500, dryRun = false, fromEpisodeId }
+     * @returns {Object} Report of scanned episodes and stored facts
+     */
+    run: function (options = {}) {
+      const db = getDb();
+      const minImportance = options.minImportance || 2;
+      const checkpoint = this.getCheckpoint();
+      const fromId =
+        options.fromEpisodeId !== undefined
+          ? options.fromEpisodeId
+          : checkpoint.lastEpisodeId;
+
+      const report = {
+        dryRun: !!options.dryRun,
+        fromEpisodeId: fromId,
+        lastEpisodeId: fromId,
+        scanned: 0,
+        facts: [],
+      };
+
+      try {
+        // Every episode after the checkpoint moves it forward, even if skipped
+        const window = db
+          .prepare(
+            `
+            SELECT id, conversation_id, content, importance
+            FROM episodic_memory
+            WHERE id > ?
+            ORDER BY id ASC
+            LIMIT ?
+          `
+          )
+          .all(fromId, options.limit || 500);
+
+        if (window.length === 0) return report;
+        report.lastEpisodeId = window[window.length - 1].id;
+
+        // Group identical facts across episodes before storing
+        const grouped = new Map();
+        for (const episode of window) {
+          if (episode.importance < minImportance) continue;
+          report.scanned++;
+
+          let content = episode.content;
+          try {
+            content = JSON.parse(content);
+          } catch (e) {
+            // Leave as string if not valid JSON
+          }
+
+          for (const fact of extractFacts(episodeText(content))) {
+            const key = `${fact.category}\u0000${fact.topic}`;
+            const entry = grouped.get(key) || {
+              ...fact,
+              episodeIds: [],
+              conversationIds: [],
+            };
+
+            entry.confidence = Math.max(entry.confidence, fact.confidence);
+            if (!entry.episodeIds.includes(episode.id)) {
+              entry.episodeIds.push(episode.id);
+            }
+            if (
+              episode.conversation_id &&
+              !entry.conversationIds.includes(episode.conversation_id)
+            ) {
+              entry.conversationIds.push(episode.conversation_id);
+            }
+            grouped.set(key, entry);
+          }
+        }
+
+        for (const fact of grouped.values()) {
+          const existing = db
+            .prepare(
+              `SELECT id, metadata, confidence, source FROM semantic_knowledge WHERE category = ? AND topic = ?`
+            )
+            .get(fact.category, fact.topic);
+
+          let metadata = {};
+          if (existing && existing.metadata) {
+            try {
+              metadata = JSON.parse(existing.metadata) || {};
+            } catch (e) {
+              metadata = {};
+            }
+          }
+
+          // Merge provenance with whatever earlier runs recorded
+          const previous = metadata.provenance || {};
+          const episodeIds = [
+            ...new Set([...(previous.episodeIds || []), ...fact.episodeIds]),
+          ];
+          const conversationIds = [
+            ...new Set([
+              ...(previous.conversationIds || []),
+              ...fact.conversationIds,
+            ]),
+          ];
+
+          // Content and confidence of hand-written knowledge are left alone
+          const preserved = !!existing && existing.source !== SOURCE;
+
+          // Each corroborating episode adds a little confidence
+          const confidence = preserved
+            ? existing.confidence
+            : Math.min(
+                1,
+                Math.max(
+                  existing ? existing.confidence : 0,
+                  fact.confidence + 0.05 * (episodeIds.length - 1)
+                )
+              );
+
+          const entry = {
+            category: fact.category,
+            topic: fact.topic,
+            extractor: fact.extractor,
+            confidence,
+            episodeIds,
+            created: !existing,
+            preserved,
+            knowledgeId: existing ? existing.id : null,
+          };
+          report.facts.push(entry);
+
+          if (report.dryRun) continue;
+
+          const provenance = {
+            episodeIds,
+            conversationIds,
+            consolidatedAt: Date.now(),
+          };
+
+          db.transaction(() => {
+            if (preserved) {
+              db.prepare(
+                `UPDATE semantic_knowledge SET metadata = ? WHERE id = ?`
+              ).run(
+                getMemoryDB().encryption.seal(
+                  JSON.stringify({ ...metadata, provenance })
+                ),
+                existing.id
+              );
+            } else {
+              entry.knowledgeId = getMemoryDB().semantic.storeKnowledge(
+                fact.category,
+                fact.topic,
+                fact.content,
+                {
+                  source: SOURCE,
+                  confidence,
+                  metadata: {
+                    ...metadata,
+                    extractor: fact.extractor,
+                    provenance,
+                  },
+                }
+              );
+            }
+
+            if (entry.knowledgeId) {
+              fact.episodeIds.forEach((episodeId) =>
+                linkEpisode(episodeId, [entry.knowledgeId])
+              );
+            }
+          })();
+        }
+
+        if (!report.dryRun) {
+          getMemoryDB().shortTerm.store(CHECKPOINT_KEY, {
+            lastEpisodeId: report.lastEpisodeId,
+            runAt: Date.now(),
+          });
+        }
+
+        console.log(
+          `Consolidated ${report.scanned} episode(s) into ${report.facts.length} fact(s)`
+        );
+        return report;
+      } catch (error) {
+        console.error(`Error consolidating episodic memory: ${error.message}`);
+        report.error = error.message;
+        return report;
+      }
+    },
+  };
+}
+
+module.exports = createMemoryConsolidation;
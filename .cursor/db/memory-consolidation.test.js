@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadMemory } = require("./testing");
+
+const M = loadMemory();
+const DECISION = "We decided to use PostgreSQL for storage.";
+
+test("consolidation creates knowledge with provenance", () => {
+  const episode = M.episodic.store(DECISION, { importance: 3 });
+  const report = M.consolidation.run();
+
+  const [fact] = report.facts;
+  assert.strictEqual(fact.created, true);
+  const node = M.semantic.getById(fact.knowledgeId);
+  assert.strictEqual(node.source, "consolidation");
+  assert.deepStrictEqual(node.metadata.provenance.episodeIds, [episode]);
+  assert.deepStrictEqual(M.episodic.get(episode).related_ids, [node.id]);
+});
+
+test("hand-written knowledge only gains provenance", () => {
+  const id = M.semantic.storeKnowledge(
+    "decisions",
+    "use sqlite for caching",
+    "SQLite, because the cache is per machine",
+    { source: "architect", confidence: 0.9, metadata: { adr: 12 } }
+  );
+  const episode = M.episodic.store("We decided to use SQLite for caching.", {
+    importance: 3,
+  });
+
+  const [fact] = M.consolidation.run().facts;
+  assert.strictEqual(fact.preserved, true);
+
+  const node = M.semantic.getById(id);
+  assert.strictEqual(node.content, "SQLite, because the cache is per machine");
+  assert.strictEqual(node.source, "architect");
+  assert.strictEqual(node.confidence, 0.9);
+  assert.strictEqual(node.metadata.adr, 12);
+  assert.deepStrictEqual(node.metadata.provenance.episodeIds, [episode]);
+  // No earlier revision was archived
+  assert.strictEqual(M.semantic.getRevisions(id).length, 1);
+  assert.deepStrictEqual(M.episodic.get(episode).related_ids, [id]);
+});
+
+test("dry runs store nothing", () => {
+  M.episodic.store(DECISION.replace("storage", "analytics"), {
+    importance: 3,
+  });
+  const report = M.consolidation.run({ dryRun: true });
+  assert.strictEqual(report.facts.length, 1);
+  assert.strictEqual(
+    M.semantic.getKnowledge("decisions", "use postgresql for analytics", {
+      includeGlobal: false,
+    }),
+    null
+  );
+});
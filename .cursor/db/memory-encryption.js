@@ -0,0 +1,702 @@
+/**
+ * Memory Encryption At Rest
+ * Version: 1.0.0
+ *
+ * Optional AES-256-GCM encryption of the content, value and metadata columns
+ * of memory-system.db, conversation titles and summaries, and the query text
+ * in memory_queries. Encryption is enabled by setting one of:
+ *
+ *   MEMORY_DB_KEY_FILE   - path to a file holding the key (64 hex characters)
+ *                          or a passphrase
+ *   MEMORY_DB_PASSPHRASE - passphrase, stretched with scrypt
+ *
+ * Passphrases are stretched with a random salt kept in the database's
+ * encryption_salts table, so the same passphrase gives each database its
+ * own key. The salt is created on the first encrypted write, and rotateKey()
+ * replaces it. Keys are derived once the database is open.
+ *
+ * Encrypted values are stored as "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>", so
+ * plaintext rows written before encryption was enabled stay readable. Reads
+ * are decrypted transparently by wrapping the connection's statements.
+ *
+ * Logged queries use a nonce derived from the text, so the same query always
+ * encrypts to the same value and the query log can still be grouped and
+ * updated by query. This reveals which logged queries are equal, not what
+ * they say.
+ *
+ * Encrypted text cannot be matched with LIKE or FTS5. Searches fall back to
+ * decrypting and scanning recent encrypted rows, or, with
+ * MEMORY_DB_BLIND_INDEX=1, to a blind index of keyed token hashes.
+ * Embedding vectors hash their n-grams with a key derived from the same
+ * key, so the stored vectors do not reveal which words they contain.
+ *
+ * Exports (memory-transfer.js) are written as plaintext. Pages freed by
+ * re-encryption may still hold old plaintext until the file is VACUUMed.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const embeddings = require("./embeddings");
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+
+// Encrypted columns per table, with the column that identifies a row
+const ENCRYPTED_TABLES = {
+  short_term_memory: { key: "key", columns: ["value", "metadata"] },
+  episodic_memory: { key: "id", columns: ["content", "metadata"] },
+  semantic_knowledge: { key: "id", columns: ["content", "metadata"] },
+  semantic_knowledge_history: { key: "id", columns: ["content", "metadata"] },
+  conversations: { key: "id", columns: ["title", "summary"] },
+  memory_queries: { key: "id", columns: ["query"], comparable: true },
+};
+
+// Default number of encrypted rows decrypted per search without a blind index
+const DEFAULT_SCAN_LIMIT = 1000;
+
+// A raw 32-byte key in hex is used as is; anything else is a passphrase
+function isRawKey(secret) {
+  return (
+    Buffer.isBuffer(secret) || /^[0-9a-f]{64}$/i.test(String(secret).trim())
+  );
+}
+
+// Turn a key file's contents or a passphrase into a 32-byte key
+function deriveKey(secret, salt) {
+  if (Buffer.isBuffer(secret)) return secret;
+
+  const text = String(secret).trim();
+  if (isRawKey(text)) {
+    return Buffer.from(text, "hex");
+  }
+  return crypto.scryptSync(text, salt, 32);
+}
+
+// Short, non-secret identifier stored with every ciphertext
+function keyIdFor(key) {
+  return crypto
+    .createHmac("sha256", key)
+    .update("key-id")
+    .digest("hex")
+    .slice(0, 8);
+}
+
+/**
+ * Read key material from options or the environment
+ * @param {Object} source - { key, keyFile, passphrase }
+ * @returns {Object|null} { secret, source }
+ */
+function readSecret(source = {}) {
+  let secret = null;
+  let kind = null;
+
+  if (source.key) {
+    secret = source.key;
+    kind = "key";
+  } else if (source.keyFile) {
+    secret = fs.readFileSync(source.keyFile, "utf8");
+    kind = "keyFile";
+  } else if (source.passphrase) {
+    secret = source.passphrase;
+    kind = "passphrase";
+  }
+
+  if (!secret || !String(secret).trim()) return null;
+  return { secret, source: kind };
+}
+
+// Derive the key for a secret, salted for passphrases
+function loadKey(material, salt) {
+  const key = deriveKey(material.secret, salt);
+  return { key, keyId: keyIdFor(key), source: material.source };
+}
+
+function newSalt() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Create the encryption layer for a memory database
+ * @param {Object} context - { getDb, env, label, onKeyChanged }
+ *   onKeyChanged() runs after a key rotation, so the caller can rebuild
+ *   data derived from the key, such as embedding vectors
+ * @returns {Object} Encryption helpers and management methods
+ */
+function createMemoryEncryption(context) {
+  const { getDb } = context;
+  const env = context.env || process.env;
+  const label = context.label || "MEMORY-DB";
+
+  // Every key that can decrypt, by key ID; `current` encrypts new writes
+  const keyring = new Map();
+  let current = null;
+  let indexKey = null;
+  let nonceKey = null;
+  let vectorKey = null;
+  const blindIndex = env.MEMORY_DB_BLIND_INDEX === "1";
+  const warnedKeyIds = new Set();
+
+  // Configured key material; keys are derived per connection from its salts
+  let material = null;
+  const unlocked = new WeakSet();
+
+  function subkey(loaded, info) {
+    return loaded
+      ? Buffer.from(crypto.hkdfSync("sha256", loaded.key, "", info, 32))
+      : null;
+  }
+
+  function useKey(loaded) {
+    current = loaded;
+    indexKey = subkey(loaded, "blind-index");
+    nonceKey = subkey(loaded, "comparable-nonce");
+    vectorKey = subkey(loaded, "embedding-features");
+    if (loaded) keyring.set(loaded.keyId, loaded.key);
+  }
+
+  try {
+    material = readSecret({
+      keyFile: env.MEMORY_DB_KEY_FILE,
+      passphrase: env.MEMORY_DB_PASSPHRASE,
+    });
+  } catch (error) {
+    console.error(`${label}: Could not load encryption key: ${error.message}`);
+  }
+
+  /**
+   * Derive the configured key for the open database. A passphrase is
+   * stretched with every salt the database holds, so rows written under an
+   * earlier salt (e.g. replayed from the fallback journal) stay readable;
+   * the newest salt encrypts new writes. The first salt is created here,
+   * so call this when a connection opens rather than inside a transaction
+   * that might roll the salt back.
+   */
+  function unlock() {
+    const db = getDb();
+    if (!material || !db || unlocked.has(db)) return;
+    unlocked.add(db);
+
+    try {
+      if (isRawKey(material.secret)) {
+        useKey(loadKey(material));
+      } else {
+        const salts = db
+          .prepare(`SELECT salt FROM encryption_salts ORDER BY created_at`)
+          .all()
+          .map((row) => row.salt);
+        if (salts.length === 0) {
+          const salt = newSalt();
+          db.prepare(
+            `INSERT INTO encryption_salts (salt, created_at) VALUES (?, ?)`
+          ).run(salt, Date.now());
+          salts.push(salt);
+        }
+        salts.forEach((salt) => useKey(loadKey(material, salt)));
+      }
+
+      console.log(
+        `${label}: Encryption enabled (key ${current.keyId}, ${current.source})`
+      );
+    } catch (error) {
+      unlocked.delete(db);
+      console.error(
+        `${label}: Could not derive encryption key: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt a column value with the current key
+   * @param {*} value - Plaintext string (other types pass through)
+   * @returns {*} Ciphertext string, or the value when encryption is off
+   */
+  function seal(value) {
+    unlock();
+    return encrypt(value, crypto.randomBytes(12));
+  }
+
+  /**
+   * Encrypt a column value so equal plaintexts give equal ciphertexts
+   * @param {*} value - Plaintext string (other types pass through)
+   * @returns {*} Ciphertext string, or the value when encryption is off
+   */
+  function sealComparable(value) {
+    unlock();
+    if (!current || typeof value !== "string") return value;
+    return encrypt(
+      value,
+      crypto
+        .createHmac("sha256", nonceKey)
+        .update(value)
+        .digest()
+        .subarray(0, 12)
+    );
+  }
+
+  // Encrypt with the current key and the given nonce, in the stored format
+  function encrypt(value, iv) {
+    if (!current || typeof value !== "string" || value.startsWith(PREFIX)) {
+      return value;
+    }
+
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(value, "utf8"),
+      cipher.final(),
+    ]);
+
+    return `${PREFIX}${current.keyId}:${iv.toString("base64")}:${cipher
+      .getAuthTag()
+      .toString("base64")}:${ciphertext.toString("base64")}`;
+  }
+
+  /**
+   * Decrypt a column value if it is encrypted with a loaded key
+   * @param {*} value - Stored value
+   * @returns {*} Plaintext, or the stored value when it cannot be decrypted
+   */
+  function open(value) {
+    if (typeof value !== "string" || !value.startsWith(PREFIX)) return value;
+    unlock();
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+    const key = keyring.get(keyId);
+
+    if (!key) {
+      if (!warnedKeyIds.has(keyId)) {
+        warnedKeyIds.add(keyId);
+        console.error(
+          `${label}: Memory encrypted with key ${keyId} cannot be read; set MEMORY_DB_KEY_FILE or MEMORY_DB_PASSPHRASE`
+        );
+      }
+      return value;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        key,
+        Buffer.from(iv, "base64")
+      );
+      decipher.setAuthTag(Buffer.from(tag, "base64"));
+      return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, "base64")),
+        decipher.final(),
+      ]).toString("utf8");
+    } catch (error) {
+      console.error(`${label}: Could not decrypt memory: ${error.message}`);
+      return value;
+    }
+  }
+
+  // Decrypt every encrypted value in a result row
+  function openRow(row) {
+    if (Array.isArray(row)) return row.map(open);
+    if (!row || typeof row !== "object") return open(row);
+
+    for (const column of Object.keys(row)) {
+      const value = row[column];
+      if (typeof value === "string" && value.startsWith(PREFIX)) {
+        row[column] = open(value);
+      }
+    }
+    return row;
+  }
+
+  // Keyed hashes of the distinct tokens in a piece of text
+  function tokenHashes(text) {
+    return [...new Set(embeddings.tokenize(text))].map((token) =>
+      crypto
+        .createHmac("sha256", indexKey)
+        .update(token)
+        .digest("base64")
+        .slice(0, 16)
+    );
+  }
+
+  return {
+    PREFIX,
+    ENCRYPTED_TABLES,
+    seal,
+    sealComparable,
+    open,
+
+    unlock,
+
+    isEnabled: function () {
+      unlock();
+      return !!current;
+    },
+
+    /**
+     * Embed text for similarity search, with n-grams hashed under the key
+     * when encryption is on
+     * @param {string} text - Input text
+     * @returns {Float32Array} Unit-length vector
+     */
+    embed: function (text) {
+      unlock();
+      return embeddings.embed(text, { key: vectorKey });
+    },
+
+    /**
+     * Fingerprint of the text a vector was built from, keyed when
+     * encryption is on so it cannot be checked against guessed content
+     * @param {string} text - Embedded text
+     * @returns {string} Hex digest
+     */
+    embeddingHash: function (text) {
+      unlock();
+      return (
+        vectorKey
+          ? crypto.createHmac("sha256", vectorKey)
+          : crypto.createHash("sha256")
+      )
+        .update(String(text))
+        .digest("hex");
+    },
+
+    /**
+     * Model name stored with vectors from embed(); vectors are only
+     * comparable when their model names match
+     * @returns {string} Model name
+     */
+    embeddingModel: function () {
+      unlock();
+      return current
+        ? `${embeddings.MODEL}:${current.keyId}`
+        : embeddings.MODEL;
+    },
+
+    /**
+     * Decrypt the results of every read statement on a connection
+     * @param {Object} connection - better-sqlite3 connection
+     */
+    attach: function (connection) {
+      const prepare = connection.prepare.bind(connection);
+      connection.prepare = (sql) => {
+        const stmt = prepare(sql);
+        if (!stmt.reader) return stmt;
+
+        const get = stmt.get.bind(stmt);
+        const all = stmt.all.bind(stmt);
+        const iterate = stmt.iterate.bind(stmt);
+        stmt.get = (...params) => openRow(get(...params));
+        stmt.all = (...params) => all(...params).map(openRow);
+        stmt.iterate = function* (...params) {
+          for (const row of iterate(...params)) yield openRow(row);
+        };
+        return stmt;
+      };
+    },
+
+    /**
+     * Encrypt the encryptable columns of a row about to be written
+     * @param {string} table - Table name
+     * @param {Object} row - Column values
+     * @returns {Object} Copy of the row with sealed columns
+     */
+    sealRow: function (table, row) {
+      const spec = ENCRYPTED_TABLES[table];
+      if (!spec || !current) return row;
+
+      const sealColumn = spec.comparable ? sealComparable : seal;
+      const sealed = { ...row };
+      for (const column of spec.columns) {
+        if (sealed[column] !== undefined) {
+          sealed[column] = sealColumn(sealed[column]);
+        }
+      }
+      return sealed;
+    },
+
+    /**
+     * Replace the blind index tokens of a row
+     * @param {string} table - Table name
+     * @param {string|number} rowId - Row identifier
+     * @param {string} text - Plaintext to index
+     */
+    indexText: function (table, rowId, text) {
+      unlock();
+      if (!blindIndex || !indexKey) return;
+
+      const db = getDb();
+      db.prepare(
+        `DELETE FROM memory_blind_index WHERE table_name = ? AND row_id = ?`
+      ).run(table, String(rowId));
+
+      const insert = db.prepare(
+        `INSERT OR IGNORE INTO memory_blind_index (table_name, row_id, token) VALUES (?, ?, ?)`
+      );
+      for (const token of tokenHashes(text)) {
+        insert.run(table, String(rowId), token);
+      }
+    },
+
+    /**
+     * Drop blind index tokens for deleted rows
+     * @param {string} table - Table name
+     * @param {Array} rowIds - Row identifiers
+     */
+    removeFromIndex: function (table, rowIds) {
+      if (!blindIndex || rowIds.length === 0) return;
+
+      const stmt = getDb().prepare(
+        `DELETE FROM memory_blind_index WHERE table_name = ? AND row_id = ?`
+      );
+      rowIds.forEach((rowId) => stmt.run(table, String(rowId)));
+    },
+
+    /**
+     * Find encrypted rows whose text matches a query. Uses the blind index
+     * (every query token must match) when enabled, otherwise decrypts the
+     * most recent encrypted rows and checks for the query as a substring.
+     * @param {string} table - episodic_memory or semantic_knowledge
+     * @param {string} query - Search text
+     * @param {Object} options - { scanLimit }
+     * @returns {Array} Matching row IDs
+     */
+    searchEncrypted: function (table, query, options = {}) {
+      unlock();
+      if (!current || !String(query).trim()) return [];
+
+      const db = getDb();
+      const numericIds = table === "episodic_memory";
+
+      if (blindIndex) {
+        const tokens = tokenHashes(query);
+        if (tokens.length === 0) return [];
+
+        return db
+          .prepare(
+            `
+            SELECT row_id FROM memory_blind_index
+            WHERE table_name = ? AND token IN (${tokens
+              .map(() => "?")
+              .join(", ")})
+            GROUP BY row_id
+            HAVING COUNT(DISTINCT token) = ?
+          `
+          )
+          .all(table, ...tokens, tokens.length)
+          .map((row) => (numericIds ? Number(row.row_id) : row.row_id));
+      }
+
+      const needle = String(query).toLowerCase();
+      return db
+        .prepare(
+          `
+          SELECT id, content FROM ${table}
+          WHERE content LIKE '${PREFIX}%'
+          ORDER BY timestamp DESC
+          LIMIT ?
+        `
+        )
+        .all(options.scanLimit || DEFAULT_SCAN_LIMIT)
+        .filter(
+          (row) =>
+            typeof row.content === "string" &&
+            !row.content.startsWith(PREFIX) &&
+            row.content.toLowerCase().includes(needle)
+        )
+        .map((row) => row.id);
+    },
+
+    /**
+     * Rebuild the blind index from the decrypted content of every row
+     * @returns {number} Rows indexed
+     */
+    rebuildBlindIndex: function () {
+      const db = getDb();
+      let indexed = 0;
+
+      db.transaction(() => {
+        db.prepare(`DELETE FROM memory_blind_index`).run();
+        if (!blindIndex || !indexKey) return;
+
+        for (const table of ["episodic_memory", "semantic_knowledge"]) {
+          for (const row of db
+            .prepare(`SELECT id, content FROM ${table}`)
+            .all()) {
+            this.indexText(table, row.id, row.content);
+            indexed++;
+          }
+        }
+      })();
+
+      return indexed;
+    },
+
+    /**
+     * Re-encrypt every encrypted column under a new key. Pass null to
+     * decrypt everything and turn encryption off; pass the current key
+     * source to encrypt rows still stored as plaintext. A new passphrase
+     * gets a new salt, which replaces the stored ones.
+     * @param {Object|null} source - { key, keyFile, passphrase } or null
+     * @returns {Object} { keyId, rows, error? }
+     */
+    rotateKey: function (source) {
+      const db = getDb();
+      unlock();
+      const previous = current;
+      const previousMaterial = material;
+      let rows = 0;
+
+      try {
+        const nextMaterial = source ? readSecret(source) : null;
+        if (source && !nextMaterial) {
+          throw new Error("No key material provided");
+        }
+        const salt =
+          nextMaterial && !isRawKey(nextMaterial.secret) ? newSalt() : null;
+        const next = nextMaterial ? loadKey(nextMaterial, salt) : null;
+        if (next && previous && next.keyId === previous.keyId) {
+          next.source = previous.source;
+        }
+
+        useKey(next);
+        material = nextMaterial;
+
+        db.transaction(() => {
+          // The same key (encryptExisting) keeps the salt it came from
+          if (!next || next.keyId !== (previous && previous.keyId)) {
+            db.prepare(`DELETE FROM encryption_salts`).run();
+          }
+          if (salt) {
+            db.prepare(
+              `INSERT INTO encryption_salts (salt, created_at) VALUES (?, ?)`
+            ).run(salt, Date.now());
+          }
+
+          for (const [table, spec] of Object.entries(ENCRYPTED_TABLES)) {
+            const columns = spec.columns;
+            const sealColumn = spec.comparable ? sealComparable : seal;
+            const update = db.prepare(
+              `UPDATE ${table} SET ${columns
+                .map((column) => `${column} = ?`)
+                .join(", ")} WHERE ${spec.key} = ?`
+            );
+
+            // Reads come back decrypted with whichever key wrote them
+            for (const row of db
+              .prepare(
+                `SELECT ${spec.key}, ${columns.join(", ")} FROM ${table}`
+              )
+              .all()) {
+              // Anything still sealed here was written with an unknown key
+              if (
+                columns.some(
+                  (column) =>
+                    typeof row[column] === "string" &&
+                    row[column].startsWith(PREFIX)
+                )
+              ) {
+                throw new Error(
+                  `Row ${
+                    row[spec.key]
+                  } in ${table} uses a key that is not loaded`
+                );
+              }
+              update.run(
+                ...columns.map((column) => sealColumn(row[column])),
+                row[spec.key]
+              );
+              rows++;
+            }
+          }
+
+          this.rebuildBlindIndex();
+
+          // Rebuilt from the stored values, so no plaintext tokens from
+          // before encryption linger in the full-text index
+          if (
+            db
+              .prepare(
+                `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'episodic_memory_fts'`
+              )
+              .get()
+          ) {
+            db.prepare(
+              `INSERT INTO episodic_memory_fts (episodic_memory_fts) VALUES ('rebuild')`
+            ).run();
+          }
+        })();
+
+        // Old keys are no longer needed once everything is re-encrypted
+        for (const keyId of [...keyring.keys()]) {
+          if (!current || keyId !== current.keyId) keyring.delete(keyId);
+        }
+
+        if (context.onKeyChanged) context.onKeyChanged();
+
+        console.log(
+          current
+            ? `${label}: Re-encrypted ${rows} row(s) with key ${current.keyId}`
+            : `${label}: Decrypted ${rows} row(s); encryption is off`
+        );
+        return { keyId: current ? current.keyId : null, rows };
+      } catch (error) {
+        console.error(`Error rotating encryption key: ${error.message}`);
+        material = previousMaterial;
+        useKey(previous);
+        return {
+          keyId: previous ? previous.keyId : null,
+          rows: 0,
+          error: error.message,
+        };
+      }
+    },
+
+    /**
+     * Encrypt rows still stored as plaintext with the current key
+     * @returns {Object} { keyId, rows, error? }
+     */
+    encryptExisting: function () {
+      unlock();
+      if (!current) {
+        console.error("Error encrypting memory: encryption is not enabled");
+        return { keyId: null, rows: 0, error: "Encryption is not enabled" };
+      }
+      return this.rotateKey({ key: current.key });
+    },
+
+    /**
+     * Encryption state and how many rows are still plaintext
+     * @returns {Object} { enabled, keyId, source, blindIndex, tables }
+     */
+    getStatus: function () {
+      const db = getDb();
+      const tables = {};
+      unlock();
+
+      for (const [table, spec] of Object.entries(ENCRYPTED_TABLES)) {
+        const column = spec.columns[0];
+        try {
+          tables[table] = db
+            .prepare(
+              `
+              SELECT COUNT(*) AS total,
+                     SUM(CASE WHEN ${column} LIKE '${PREFIX}%' THEN 1 ELSE 0 END) AS encrypted
+              FROM ${table}
+            `
+            )
+            .get();
+          tables[table].encrypted = tables[table].encrypted || 0;
+        } catch (error) {
+          tables[table] = { error: error.message };
+        }
+      }
+
+      return {
+        enabled: !!current,
+        keyId: current ? current.keyId : null,
+        source: current ? current.source : null,
+        blindIndex: blindIndex && !!current,
+        tables,
+      };
+    },
+  };
+}
+
+module.exports = createMemoryEncryption;
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const embeddings = require("./embeddings");
+const { tempDir, loadMemory } = require("./testing");
+
+const dir = tempDir();
+const dbPath = path.join(dir, "memory-system.db");
+const M = loadMemory({
+  dbPath,
+  env: { MEMORY_DB_PASSPHRASE: "correct horse battery staple" },
+});
+const raw = new sqlite3(dbPath, { readonly: true });
+const stored = (sql) => Object.values(raw.prepare(sql).get())[0];
+
+M.shortTerm.store("plan", "ship the migration");
+const episodeId = M.episodic.store("deploy failed on the staging cluster", {
+  type: "note",
+});
+M.semantic.storeKnowledge("ops", "staging", "staging runs on kubernetes");
+const conversation = M.conversations.start({ title: "Staging outage" });
+M.conversations.setSummary(conversation.id, "rolled back the deploy");
+M.episodic.search("nothing like this");
+M.episodic.search("nothing like this");
+
+const salts = () =>
+  raw
+    .prepare(`SELECT salt FROM encryption_salts`)
+    .all()
+    .map((row) => row.salt);
+
+test("every covered column is stored encrypted and read back as plaintext", () => {
+  const prefix = M.encryption.PREFIX;
+  for (const sql of [
+    `SELECT value FROM short_term_memory WHERE key = 'plan'`,
+    `SELECT content FROM episodic_memory WHERE id = ${episodeId}`,
+    `SELECT content FROM semantic_knowledge WHERE topic = 'staging'`,
+    `SELECT title FROM conversations WHERE id = '${conversation.id}'`,
+    `SELECT summary FROM conversations WHERE id = '${conversation.id}'`,
+    `SELECT query FROM memory_queries LIMIT 1`,
+  ]) {
+    assert.ok(stored(sql).startsWith(prefix), sql);
+  }
+
+  assert.strictEqual(M.shortTerm.get("plan"), "ship the migration");
+  assert.strictEqual(
+    M.episodic.get(episodeId).content,
+    "deploy failed on the staging cluster"
+  );
+  assert.strictEqual(
+    M.semantic.getKnowledge("ops", "staging").content,
+    "staging runs on kubernetes"
+  );
+  assert.strictEqual(
+    M.conversations.get(conversation.id).summary,
+    "rolled back the deploy"
+  );
+});
+
+test("searches find encrypted rows without the full-text index", () => {
+  assert.deepStrictEqual(
+    M.episodic.search("staging cluster").map((episode) => episode.id),
+    [episodeId]
+  );
+  assert.deepStrictEqual(
+    M.episodic.rankedSearch("staging").map((episode) => episode.id),
+    [episodeId]
+  );
+  assert.deepStrictEqual(
+    M.conversations.findAbout("outage").map((found) => found.id),
+    [conversation.id]
+  );
+});
+
+test("the query log still groups identical queries", () => {
+  const [zero] = M.analytics
+    .zeroResultQueries({ memoryType: "episodic" })
+    .filter((row) => row.query === "nothing like this");
+  assert.strictEqual(zero.occurrences, 2);
+});
+
+test("each database stretches the passphrase with its own salt", () => {
+  assert.strictEqual(salts().length, 1);
+
+  const other = loadMemory({
+    env: { MEMORY_DB_PASSPHRASE: "correct horse battery staple" },
+  });
+  assert.ok(other.encryption.isEnabled());
+  assert.notStrictEqual(
+    other.encryption.getStatus().keyId,
+    M.encryption.getStatus().keyId
+  );
+});
+
+test("embedding vectors are hashed with the key", () => {
+  const row = raw
+    .prepare(
+      `SELECT se.model, se.vector FROM semantic_embeddings se
+       JOIN semantic_knowledge sk ON sk.id = se.knowledge_id
+       WHERE sk.topic = 'staging'`
+    )
+    .get();
+  assert.strictEqual(
+    row.model,
+    `${embeddings.MODEL}:${M.encryption.getStatus().keyId}`
+  );
+
+  // The unkeyed embedding of the same text does not match the stored one
+  const plain = embeddings.embed(
+    "staging staging ops staging runs on kubernetes"
+  );
+  assert.ok(embeddings.cosine(plain, embeddings.fromBuffer(row.vector)) < 0.5);
+
+  assert.deepStrictEqual(
+    M.semantic.similar("kubernetes staging").map((found) => found.topic),
+    ["staging"]
+  );
+});
+
+test("plaintext exports need an explicit opt-in", () => {
+  const file = path.join(dir, "export.ndjson");
+  assert.strictEqual(M.transfer.exportToFile(file), null);
+  assert.ok(M.transfer.exportToFile(file, { allowPlaintext: true }));
+});
+
+test("rotating and decrypting keep everything readable", () => {
+  const [salt] = salts();
+  const rotated = M.encryption.rotateKey({ passphrase: "a new passphrase" });
+  assert.strictEqual(rotated.error, undefined);
+  assert.strictEqual(salts().length, 1);
+  assert.notStrictEqual(salts()[0], salt);
+  assert.deepStrictEqual(
+    M.semantic.similar("kubernetes staging").map((found) => found.topic),
+    ["staging"]
+  );
+  assert.strictEqual(
+    M.conversations.get(conversation.id).title,
+    "Staging outage"
+  );
+
+  const decrypted = M.encryption.rotateKey(null);
+  assert.strictEqual(decrypted.error, undefined);
+  assert.deepStrictEqual(salts(), []);
+  assert.strictEqual(
+    stored(`SELECT content FROM episodic_memory WHERE id = ${episodeId}`),
+    "deploy failed on the staging cluster"
+  );
+
+  // The full-text index was rebuilt from the decrypted content
+  assert.deepStrictEqual(
+    M.episodic.rankedSearch("staging").map((episode) => episode.id),
+    [episodeId]
+  );
+  raw.close();
+});
@@ -0,0 +1,203 @@
+/**
+ * Memory Integrity Checks
+ * Version: 1.0.0
+ *
+ * Finds rows that point at nothing and JSON columns that do not parse:
+ *
+ *   orphanEdges       - relationships whose source or target node is gone
+ *   orphanHistory     - revision history of deleted knowledge
+ *   orphanEmbeddings  - embedding vectors of deleted knowledge
+ *   danglingRelatedIds - related_ids entries matching no episode or node
+ *   malformedJson     - JSON columns that cannot be parsed
+ *
+ * Reports only, unless `repair: true` is passed. Repair deletes orphans,
+ * drops dangling IDs and resets malformed JSON to its empty value.
+ */
+
+// JSON columns and what a malformed value is reset to
+const JSON_COLUMNS = [
+  { table: "short_term_memory", key: "key", column: "metadata", reset: null },
+  { table: "episodic_memory", key: "id", column: "related_ids", reset: "[]" },
+  { table: "episodic_memory", key: "id", column: "metadata", reset: null },
+  { table: "semantic_knowledge", key: "id", column: "metadata", reset: null },
+  {
+    table: "semantic_knowledge_history",
+    key: "id",
+    column: "metadata",
+    reset: null,
+  },
+  {
+    table: "knowledge_relationships",
+    key: "id",
+    column: "metadata",
+    reset: null,
+  },
+  { table: "conversations", key: "id", column: "participants", reset: "[]" },
+  { table: "conversations", key: "id", column: "metadata", reset: null },
+];
+
+/**
+ * Integrity checker that only changes rows when asked to repair
+ * @param {Object} context - { getDb, removeFromRelatedIds, encryptedPrefix }
+ *   removeFromRelatedIds(ids) drops IDs from every episode's related_ids;
+ *   values starting with encryptedPrefix could not be decrypted and are
+ *   not reported as malformed
+ * @returns {Object} MemoryDB.integrity
+ */
+function createMemoryIntegrity(context) {
+  const { getDb, encryptedPrefix } = context;
+
+  function findMalformedJson() {
+    const db = getDb();
+    const malformed = [];
+
+    for (const spec of JSON_COLUMNS) {
+      const rows = db
+        .prepare(
+          `SELECT ${spec.key} AS key, ${spec.column} AS value FROM ${spec.table}
+           WHERE ${spec.column} IS NOT NULL`
+        )
+        .iterate();
+
+      for (const row of rows) {
+        if (encryptedPrefix && String(row.value).startsWith(encryptedPrefix)) {
+          continue;
+        }
+        try {
+          JSON.parse(row.value);
+        } catch (e) {
+          malformed.push({
+            table: spec.table,
+            column: spec.column,
+            key: row.key,
+            reset: spec.reset,
+          });
+        }
+      }
+    }
+
+    return malformed;
+  }
+
+  return {
+    /**
+     * Check referential integrity and JSON columns
+     * @param {Object} options - { repair = false }
+     * @returns {Object} { ok, sqlite, issues: { orphanEdges, orphanHistory,
+     *   orphanEmbeddings, danglingRelatedIds, malformedJson }, repaired }
+     */
+    check: function (options = {}) {
+      const report = {
+        ok: true,
+        sqlite: null,
+        issues: {},
+        repaired: 0,
+      };
+
+      try {
+        const db = getDb();
+        report.sqlite = db.pragma("quick_check", { simple: true });
+
+        report.issues.orphanEdges = db
+          .prepare(
+            `
+            SELECT id, source_id, target_id, relationship_type
+            FROM knowledge_relationships
+            WHERE source_id NOT IN (SELECT id FROM semantic_knowledge)
+               OR target_id NOT IN (SELECT id FROM semantic_knowledge)
+          `
+          )
+          .all();
+
+        report.issues.orphanHistory = db
+          .prepare(
+            `
+            SELECT id, knowledge_id, revision FROM semantic_knowledge_history
+            WHERE knowledge_id NOT IN (SELECT id FROM semantic_knowledge)
+          `
+          )
+          .all();
+
+        report.issues.orphanEmbeddings = db
+          .prepare(
+            `
+            SELECT knowledge_id FROM semantic_embeddings
+            WHERE knowledge_id NOT IN (SELECT id FROM semantic_knowledge)
+          `
+          )
+          .all();
+
+        // related_ids may name episodes or knowledge nodes
+        report.issues.danglingRelatedIds = db
+          .prepare(
+            `
+            SELECT e.id AS episode_id, r.value AS related_id
+            FROM episodic_memory e, json_each(e.related_ids) r
+            WHERE json_valid(e.related_ids)
+              AND CAST(r.value AS TEXT) NOT IN (SELECT CAST(id AS TEXT) FROM episodic_memory)
+              AND CAST(r.value AS TEXT) NOT IN (SELECT id FROM semantic_knowledge)
+          `
+          )
+          .all();
+
+        report.issues.malformedJson = findMalformedJson();
+
+        const found = Object.values(report.issues).reduce(
+          (sum, rows) => sum + rows.length,
+          0
+        );
+        report.ok = found === 0 && report.sqlite === "ok";
+
+        if (!options.repair || found === 0) return report;
+
+        const { issues } = report;
+        db.transaction(() => {
+          const deleteEdge = db.prepare(
+            `DELETE FROM knowledge_relationships WHERE id = ?`
+          );
+          issues.orphanEdges.forEach((row) => deleteEdge.run(row.id));
+
+          const deleteHistory = db.prepare(
+            `DELETE FROM semantic_knowledge_history WHERE id = ?`
+          );
+          issues.orphanHistory.forEach((row) => deleteHistory.run(row.id));
+
+          const deleteEmbedding = db.prepare(
+            `DELETE FROM semantic_embeddings WHERE knowledge_id = ?`
+          );
+          issues.orphanEmbeddings.forEach((row) =>
+            deleteEmbedding.run(row.knowledge_id)
+          );
+
+          if (issues.danglingRelatedIds.length > 0) {
+            context.removeFromRelatedIds([
+              ...new Set(
+                issues.danglingRelatedIds.map((row) => row.related_id)
+              ),
+            ]);
+          }
+
+          for (const row of issues.malformedJson) {
+            db.prepare(
+              `UPDATE ${row.table} SET ${row.column} = ? WHERE ${
+                JSON_COLUMNS.find((spec) => spec.table === row.table).key
+              } = ?`
+            ).run(row.reset, row.key);
+          }
+        })();
+
+        report.repaired = found;
+        report.ok = report.sqlite === "ok";
+        console.log(`Repaired ${found} integrity issue(s)`);
+        return report;
+      } catch (error) {
+        console.error(`Error checking memory integrity: ${error.message}`);
+        report.ok = false;
+        report.error = error.message;
+        return report;
+      }
+    },
+  };
+}
+
+module.exports = createMemoryIntegrity;
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const { tempDir, loadMemory } = require("./testing");
+
+const dbPath = path.join(tempDir(), "memory-system.db");
+const M = loadMemory({ dbPath });
+const raw = new sqlite3(dbPath);
+const count = (sql, ...params) =>
+  raw.prepare(`SELECT COUNT(*) AS count FROM ${sql}`).get(...params).count;
+
+test("deleting knowledge removes everything that points at it", () => {
+  const cache = M.semantic.storeKnowledge("infra", "cache", "redis");
+  const db = M.semantic.storeKnowledge("infra", "db", "postgres");
+  M.semantic.storeKnowledge("infra", "cache", "valkey");
+  M.semantic.createRelationship(cache, db, "depends_on");
+  const episode = M.episodic.store("moved the cache", {
+    relatedIds: [cache, db],
+  });
+
+  assert.strictEqual(M.semantic.delete(cache), 1);
+  assert.strictEqual(
+    count(
+      `knowledge_relationships WHERE source_id = ? OR target_id = ?`,
+      cache,
+      cache
+    ),
+    0
+  );
+  assert.strictEqual(
+    count(`semantic_knowledge_history WHERE knowledge_id = ?`, cache),
+    0
+  );
+  assert.strictEqual(
+    count(`semantic_embeddings WHERE knowledge_id = ?`, cache),
+    0
+  );
+  assert.deepStrictEqual(M.episodic.get(episode).related_ids, [db]);
+  assert.strictEqual(M.integrity.check().ok, true);
+});
+
+test("deleting episodes drops references and recounts conversations", () => {
+  const question = M.episodic.store("is the build green?", {
+    conversationId: "conv_build",
+    type: "user_message",
+  });
+  const answer = M.episodic.store("yes", {
+    conversationId: "conv_build",
+    type: "assistant_response",
+    relatedIds: [question],
+  });
+
+  assert.strictEqual(M.episodic.delete([question]), 1);
+  assert.deepStrictEqual(M.episodic.get(answer).related_ids, []);
+  const conversation = M.conversations.get("conv_build");
+  assert.deepStrictEqual(
+    [
+      conversation.message_count,
+      conversation.user_message_count,
+      conversation.assistant_message_count,
+    ],
+    [1, 0, 1]
+  );
+});
+
+test("the checker reports orphans and bad JSON and repairs them on request", () => {
+  const kept = M.semantic.storeKnowledge("infra", "queue", "rabbitmq");
+  const episode = M.episodic.store("queue notes", { relatedIds: [kept] });
+
+  // Written behind the module's back, without foreign key enforcement
+  raw.pragma("foreign_keys = OFF");
+  raw
+    .prepare(
+      `INSERT INTO knowledge_relationships (source_id, target_id, relationship_type, strength, timestamp)
+       VALUES (?, 'ghost', 'related_to', 1, 0)`
+    )
+    .run(kept);
+  raw
+    .prepare(`UPDATE episodic_memory SET related_ids = ? WHERE id = ?`)
+    .run(JSON.stringify([kept, "ghost"]), episode);
+  raw
+    .prepare(`UPDATE semantic_knowledge SET metadata = '{oops' WHERE id = ?`)
+    .run(kept);
+
+  const report = M.integrity.check();
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.sqlite, "ok");
+  assert.strictEqual(report.issues.orphanEdges.length, 1);
+  assert.deepStrictEqual(
+    report.issues.danglingRelatedIds.map((row) => row.related_id),
+    ["ghost"]
+  );
+  assert.deepStrictEqual(
+    report.issues.malformedJson.map((row) => [row.table, row.column]),
+    [["semantic_knowledge", "metadata"]]
+  );
+
+  const repaired = M.integrity.check({ repair: true });
+  assert.strictEqual(repaired.repaired, 3);
+  assert.strictEqual(M.integrity.check().ok, true);
+  assert.deepStrictEqual(M.episodic.get(episode).related_ids, [kept]);
+  raw.close();
+});
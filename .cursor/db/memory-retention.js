@@ -0,0 +1,240 @@
+/**
+ * Memory Retention Policies
+ * Version: 1.0.0
+ *
+ * Declarative retention rules per memory table, enforced by one entry point:
+ * retention.apply({ dryRun }). Each table's rule may set:
+ *
+ *   maxAgeDays     - delete rows older than this
+ *   maxCount       - keep only the newest N rows
+ *   minImportance  - always keep rows at or above this importance (episodic)
+ *   keepReferenced - always keep rows that other memory points at
+ *   expired        - delete rows past their expiry_time (short-term)
+ *
+ * A row is deleted when it breaks an age, count or expiry limit and no
+ * keep rule protects it. Unset limits never delete anything.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How each table is keyed, dated and linked
+const TABLES = {
+  short_term_memory: { key: "key", time: "timestamp" },
+  episodic_memory: { key: "id", time: "timestamp", importance: "importance" },
+  semantic_knowledge: { key: "id", time: "COALESCE(last_accessed, timestamp)" },
+  semantic_knowledge_history: { key: "id", time: "archived_at" },
+  memory_queries: { key: "id", time: "timestamp" },
+};
+
+// Episodes are kept for six months unless important or linked; query logs
+// for three months. Knowledge is left to confidence decay (forgetBelow).
+const DEFAULT_RETENTION_POLICY = {
+  short_term_memory: { expired: true },
+  episodic_memory: { maxAgeDays: 180, minImportance: 3, keepReferenced: true },
+  semantic_knowledge: { keepReferenced: true },
+  semantic_knowledge_history: { maxCount: 5000 },
+  memory_queries: { maxAgeDays: 90, maxCount: 10000 },
+};
+
+/**
+ * Retention policy and the job that enforces it
+ * @param {Object} context - { getDb, deleteKnowledgeNodes, deleteEpisodes }
+ *   deleteKnowledgeNodes(ids) and deleteEpisodes(ids) remove rows together
+ *   with everything that refers to them
+ * @returns {Object} MemoryDB.retention
+ */
+function createMemoryRetention(context) {
+  const { getDb } = context;
+  let policy = JSON.parse(JSON.stringify(DEFAULT_RETENTION_POLICY));
+
+  // Keys of rows other memory points at, per table
+  function getReferencedKeys(table) {
+    const db = getDb();
+
+    if (table === "episodic_memory") {
+      // Episodes named in another episode's related_ids. Linking out (e.g.
+      // to the knowledge an episode was consolidated into) does not count.
+      const rows = db
+        .prepare(
+          `
+          SELECT DISTINCT CAST(r.value AS TEXT) AS key
+          FROM episodic_memory e, json_each(e.related_ids) r
+          WHERE json_valid(e.related_ids)
+            AND CAST(r.value AS TEXT) != CAST(e.id AS TEXT)
+        `
+        )
+        .all();
+      return new Set(rows.map((row) => row.key));
+    }
+
+    if (table === "semantic_knowledge") {
+      const rows = db
+        .prepare(
+          `
+          SELECT source_id AS key FROM knowledge_relationships
+          UNION
+          SELECT target_id FROM knowledge_relationships
+        `
+        )
+        .all();
+      return new Set(rows.map((row) => String(row.key)));
+    }
+
+    return new Set();
+  }
+
+  // Rows that break a limit, before keep rules are applied
+  function findCandidates(table, rule) {
+    const spec = TABLES[table];
+    const db = getDb();
+    const conditions = [];
+    const params = [];
+
+    if (rule.expired && table === "short_term_memory") {
+      conditions.push(`(expiry_time IS NOT NULL AND expiry_time < ?)`);
+      params.push(Date.now());
+    }
+
+    if (rule.maxAgeDays) {
+      conditions.push(`${spec.time} < ?`);
+      params.push(Date.now() - rule.maxAgeDays * DAY_MS);
+    }
+
+    if (rule.maxCount) {
+      conditions.push(
+        `${spec.key} NOT IN (SELECT ${spec.key} FROM ${table} ORDER BY ${spec.time} DESC LIMIT ?)`
+      );
+      params.push(rule.maxCount);
+    }
+
+    if (conditions.length === 0) return [];
+
+    const columns = [spec.key, spec.importance].filter(Boolean).join(", ");
+    return db
+      .prepare(
+        `SELECT ${columns} FROM ${table} WHERE ${conditions.join(
+          " OR "
+        )} ORDER BY ${spec.time} ASC`
+      )
+      .all(...params);
+  }
+
+  function deleteRows(table, keys) {
+    const db = getDb();
+    const spec = TABLES[table];
+
+    if (table === "semantic_knowledge") {
+      return context.deleteKnowledgeNodes(keys);
+    }
+    if (table === "episodic_memory") {
+      return context.deleteEpisodes(keys);
+    }
+
+    return db
+      .prepare(
+        `DELETE FROM ${table} WHERE ${spec.key} IN (SELECT value FROM json_each(?))`
+      )
+      .run(JSON.stringify(keys)).changes;
+  }
+
+  return {
+    DEFAULT_RETENTION_POLICY,
+
+    /**
+     * Override retention rules per table; pass null for a table to disable it
+     * @param {Object} overrides - { [table]: { maxAgeDays, maxCount, ... } | null }
+     * @returns {Object} The policy now in effect
+     */
+    configure: function (overrides = {}) {
+      for (const [table, rule] of Object.entries(overrides)) {
+        if (!TABLES[table]) {
+          console.error(`Unknown retention table: ${table}`);
+          continue;
+        }
+        policy[table] = rule === null ? {} : { ...policy[table], ...rule };
+      }
+      return this.getPolicy();
+    },
+
+    getPolicy: function () {
+      return JSON.parse(JSON.stringify(policy));
+    },
+
+    /**
+     * Enforce every retention rule. Runs as a dry run unless
+     * `dryRun: false` is passed.
+     * @param {Object} options - { dryRun = true, tables } to limit the tables
+     * @returns {Object} { dryRun, tables: { [table]: { rule, candidates,
+     *   keptImportant, keptReferenced, keys, deleted } } }
+     */
+    apply: function (options = {}) {
+      const dryRun = options.dryRun !== false;
+      const report = { dryRun, at: Date.now(), tables: {} };
+      const db = getDb();
+
+      try {
+        const tables = options.tables || Object.keys(TABLES);
+        const plans = [];
+
+        for (const table of tables) {
+          const rule = policy[table] || {};
+          const candidates = findCandidates(table, rule);
+          const referenced = rule.keepReferenced
+            ? getReferencedKeys(table)
+            : new Set();
+          const importance = TABLES[table].importance;
+          const summary = {
+            rule,
+            candidates: candidates.length,
+            keptImportant: 0,
+            keptReferenced: 0,
+            keys: [],
+            deleted: 0,
+          };
+
+          for (const row of candidates) {
+            const key = row[TABLES[table].key];
+            if (
+              importance &&
+              rule.minImportance !== undefined &&
+              rule.minImportance !== null &&
+              row[importance] >= rule.minImportance
+            ) {
+              summary.keptImportant++;
+            } else if (referenced.has(String(key))) {
+              summary.keptReferenced++;
+            } else {
+              summary.keys.push(key);
+            }
+          }
+
+          report.tables[table] = summary;
+          plans.push({ table, summary });
+        }
+
+        if (dryRun) return report;
+
+        db.transaction(() => {
+          for (const { table, summary } of plans) {
+            if (summary.keys.length > 0) {
+              summary.deleted = deleteRows(table, summary.keys);
+            }
+          }
+        })();
+
+        const total = plans.reduce(
+          (sum, plan) => sum + plan.summary.deleted,
+          0
+        );
+        console.log(`Retention removed ${total} row(s)`);
+        return report;
+      } catch (error) {
+        console.error(`Error applying retention policy: ${error.message}`);
+        report.error = error.message;
+        return report;
+      }
+    },
+  };
+}
+
+module.exports = createMemoryRetention;
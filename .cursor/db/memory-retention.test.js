@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadMemory } = require("./testing");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const M = loadMemory();
+
+// Store as if the given number of days ago
+function storeOld(content, options, days = 200) {
+  const now = Date.now;
+  Date.now = () => now() - days * DAY_MS;
+  try {
+    return M.episodic.store(content, options);
+  } finally {
+    Date.now = now;
+  }
+}
+
+test("only episodes another episode points at are kept as referenced", () => {
+  const target = storeOld("target", { importance: 1 });
+  const linker = storeOld("linker", { importance: 1, relatedIds: [target] });
+  const consolidated = storeOld("consolidated", {
+    importance: 1,
+    relatedIds: ["knowledge_1"],
+  });
+  const important = storeOld("important", { importance: 5 });
+  storeOld("recent", { importance: 1 }, 1);
+
+  const report = M.retention.apply({ tables: ["episodic_memory"] });
+  const summary = report.tables.episodic_memory;
+  assert.strictEqual(summary.keptReferenced, 1);
+  assert.strictEqual(summary.keptImportant, 1);
+  assert.deepStrictEqual(summary.keys.sort(), [linker, consolidated].sort());
+
+  M.retention.apply({ tables: ["episodic_memory"], dryRun: false });
+  assert.ok(M.episodic.get(target));
+  assert.ok(M.episodic.get(important));
+  assert.strictEqual(M.episodic.get(linker), null);
+  assert.strictEqual(M.episodic.get(consolidated), null);
+});
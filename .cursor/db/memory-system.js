@@ -14,12 +14,29 @@ const sqlite3 = require(path.join(
   "node_modules",
   "better-sqlite3"
 ));
+const migrator = require("./migrator");
+const dbPaths = require("./db-paths");
+const migrations = require("./migrations/memory-system");
+const embeddings = require("./embeddings");
+const createMemoryTransfer = require("./memory-transfer");
+const createQueryAnalytics = require("./query-analytics");
+const createMemoryConsolidation = require("./memory-consolidation");
+const createFallbackStorage = require("./fallback-storage");
+const createMemoryEncryption = require("./memory-encryption");
+const createGlobalKnowledge = require("./global-knowledge");
+const createMemoryRetention = require("./memory-retention");
+const createRelationshipInference = require("./relationship-inference");
+const createKnowledgeCategories = require("./knowledge-categories");
+const createMemoryIntegrity = require("./memory-integrity");
 
 console.log("💾 MEMORY-DB: Initializing memory system database...");
 
-// Constants
-const DB_DIR = path.join(cursorRoot, "db");
-const DB_PATH = path.join(DB_DIR, "memory-system.db");
+// Database location for this workspace (see db-paths.js)
+const {
+  dbPath: DB_PATH,
+  dir: DB_DIR,
+  journalPath: JOURNAL_PATH,
+} = dbPaths.resolveDbPath("memory-system");
 
 // Ensure database directory exists
 if (!fs.existsSync(DB_DIR)) {
@@ -34,130 +51,662 @@ if (!fs.existsSync(DB_DIR)) {
 
 // Initialize database connection
 let db;
-try {
-  db = new sqlite3(DB_PATH, { verbose: console.log });
-  console.log(`Connected to database at: ${DB_PATH}`);
-} catch (error) {
-  console.error(`Failed to connect to database: ${error.message}`);
-
-  // Create a stub db object with methods that log errors
-  db = {
-    prepare: () => ({ run: () => {}, all: () => [], get: () => null }),
-    transaction: (fn) => fn,
-    exec: () => {},
-    close: () => {},
+
+// Optional encryption at rest, configured through MEMORY_DB_* variables
+const encryption = createMemoryEncryption({
+  getDb: () => db,
+  // Vectors are hashed with the key, so a new key needs new vectors
+  onKeyChanged: () => MemoryDB.semantic.reindexEmbeddings({ force: true }),
+});
+
+// Set CURSOR_DB_VERBOSE=1 to echo every SQL statement
+function openDatabase(target) {
+  const connection = new sqlite3(target, {
+    verbose: process.env.CURSOR_DB_VERBOSE ? console.log : undefined,
+  });
+
+  // SQLite leaves declared foreign keys unenforced unless asked
+  connection.pragma("foreign_keys = ON");
+  return connection;
+}
+
+// Opens the file, or an in-memory database with a write journal if it fails
+const storage = createFallbackStorage({
+  label: "MEMORY-DB",
+  system: "MEMORY SYSTEM",
+  activeBanner: "🧠 [MEMORY SYSTEM: ACTIVE]",
+  dbPath: DB_PATH,
+  journalPath: JOURNAL_PATH,
+  open: openDatabase,
+  initialize: initializeTables,
+});
+
+// Prepared statements per connection, keyed by SQL text
+const statementCache = new WeakMap();
+const STATEMENT_CACHE_SIZE = 200;
+
+/**
+ * Prepare a statement once per connection and reuse it afterwards
+ * @param {string} sql - SQL text
+ * @returns {Object} Prepared statement
+ */
+function prepare(sql) {
+  let cache = statementCache.get(db);
+  if (!cache) {
+    cache = new Map();
+    statementCache.set(db, cache);
+  }
+
+  let stmt = cache.get(sql);
+  if (!stmt) {
+    // Dynamic filters can produce many variants; drop the oldest first
+    if (cache.size >= STATEMENT_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    stmt = db.prepare(sql);
+    cache.set(sql, stmt);
+  }
+
+  return stmt;
+}
+
+// Whether the FTS5 index over episodic memory is usable
+let episodicFtsAvailable = false;
+
+// Default weights used to blend bm25 relevance with importance and recency
+const EPISODIC_SEARCH_WEIGHTS = {
+  relevance: 1.0,
+  importance: 0.25,
+  recency: 0.5,
+};
+
+// Confidence decay policy for semantic knowledge
+const DEFAULT_DECAY_POLICY = {
+  halfLifeDays: 30, // Days without access for confidence to halve
+  floor: 0, // Effective confidence never decays below this
+  retrievalBoost: 0.1, // Share of the remaining gap to 1.0 restored on access
+  sourceBoost: 0.25, // Share restored when re-stored from a different source
+  minConfidence: 0, // Default search cutoff on effective confidence
+};
+let decayPolicy = { ...DEFAULT_DECAY_POLICY };
+
+// Confidence after decay since the node was last accessed
+function computeEffectiveConfidence(confidence, lastAccessed, timestamp) {
+  const base = confidence === null || confidence === undefined ? 1 : confidence;
+  const since = lastAccessed || timestamp || Date.now();
+  const ageDays = Math.max(0, Date.now() - since) / 86400000;
+
+  if (!decayPolicy.halfLifeDays) return base;
+
+  const decayed = base * Math.pow(0.5, ageDays / decayPolicy.halfLifeDays);
+  return Math.max(Math.min(decayPolicy.floor, base), decayed);
+}
+
+// Move confidence part of the way towards 1.0
+function reinforceConfidence(confidence, boost) {
+  return Math.min(1, confidence + boost * (1 - confidence));
+}
+
+// Make decay available to SQL so searches can filter and sort on it
+function registerDatabaseFunctions(connection) {
+  connection.function(
+    "effective_confidence",
+    { deterministic: false },
+    computeEffectiveConfidence
+  );
+}
+
+// Turn free text into an FTS5 query that cannot fail to parse
+function toSafeFtsQuery(query) {
+  const terms = String(query)
+    .split(/\s+/)
+    .map((term) => ({
+      text: term.replace(/["*]/g, ""),
+      prefix: term.endsWith("*"),
+    }))
+    .filter((term) => term.text);
+
+  return terms
+    .map((term) => `"${term.text}"${term.prefix ? "*" : ""}`)
+    .join(" ");
+}
+
+// Load the edges touching any of a set of nodes that pass the traversal
+// filters, in one query
+function getGraphEdges(nodeIds, options = {}) {
+  const direction = options.direction || "both";
+  const ids = JSON.stringify(nodeIds);
+  let sql = `
+    SELECT id, source_id, target_id, relationship_type, strength, timestamp, metadata
+    FROM knowledge_relationships
+  `;
+  const params = [];
+
+  if (direction === "outgoing") {
+    sql += ` WHERE source_id IN (SELECT value FROM json_each(?))`;
+    params.push(ids);
+  } else if (direction === "incoming") {
+    sql += ` WHERE target_id IN (SELECT value FROM json_each(?))`;
+    params.push(ids);
+  } else {
+    sql += ` WHERE (source_id IN (SELECT value FROM json_each(?)) OR target_id IN (SELECT value FROM json_each(?)))`;
+    params.push(ids, ids);
+  }
+
+  if (options.relationshipTypes && options.relationshipTypes.length > 0) {
+    const placeholders = options.relationshipTypes.map(() => "?").join(", ");
+    sql += ` AND relationship_type IN (${placeholders})`;
+    params.push(...options.relationshipTypes);
+  }
+
+  if (options.minStrength) {
+    sql += ` AND strength >= ?`;
+    params.push(options.minStrength);
+  }
+
+  sql += ` ORDER BY strength DESC, timestamp DESC`;
+
+  return prepare(sql)
+    .all(...params)
+    .map((row) => {
+      if (row.metadata) {
+        try {
+          row.metadata = JSON.parse(row.metadata);
+        } catch (e) {
+          // Leave as string if not valid JSON
+        }
+      }
+
+      return row;
+    });
+}
+
+// Load knowledge nodes by ID without touching last_accessed
+function getGraphNodes(ids) {
+  if (ids.length === 0) return [];
+
+  const placeholders = ids.map(() => "?").join(", ");
+  const rows = prepare(
+    `
+      SELECT id, category, topic, content, confidence, timestamp, last_accessed, source, metadata
+      FROM semantic_knowledge
+      WHERE id IN (${placeholders})
+    `
+  ).all(...ids);
+
+  return rows.map((row) => {
+    try {
+      row.content = JSON.parse(row.content);
+    } catch (e) {
+      // Leave as string if not valid JSON
+    }
+
+    if (row.metadata) {
+      try {
+        row.metadata = JSON.parse(row.metadata);
+      } catch (e) {
+        // Leave as string if not valid JSON
+      }
+    }
+
+    return row;
+  });
+}
+
+// Copy the current version of a knowledge node into its revision history.
+// When `incoming` matches the current version nothing is archived.
+function archiveKnowledgeRevision(knowledgeId, incoming = null) {
+  const current = prepare(
+    `
+      SELECT id, category, topic, content, confidence, timestamp, source, metadata
+      FROM semantic_knowledge
+      WHERE id = ?
+    `
+  ).get(knowledgeId);
+
+  if (!current) return null;
+
+  if (
+    incoming &&
+    incoming.content === current.content &&
+    incoming.confidence === current.confidence &&
+    incoming.source === current.source &&
+    incoming.metadata === current.metadata
+  ) {
+    return null;
+  }
+
+  const { revision } = prepare(
+    `
+      SELECT COALESCE(MAX(revision), 0) + 1 AS revision
+      FROM semantic_knowledge_history
+      WHERE knowledge_id = ?
+    `
+  ).get(knowledgeId);
+
+  prepare(
+    `
+    INSERT INTO semantic_knowledge_history
+    (knowledge_id, revision, category, topic, content, confidence, source, metadata, timestamp, archived_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `
+  ).run(
+    current.id,
+    revision,
+    current.category,
+    current.topic,
+    encryption.seal(current.content),
+    current.confidence,
+    current.source,
+    encryption.seal(current.metadata),
+    current.timestamp,
+    Date.now()
+  );
+
+  return revision;
+}
+
+// Append global knowledge after local results, skipping topics the
+// workspace already has, and cap the combined list
+function withGlobalResults(local, global, limit = Infinity) {
+  const seen = new Set(local.map((row) => `${row.category}\u0000${row.topic}`));
+  const extra = global.filter(
+    (row) => !seen.has(`${row.category}\u0000${row.topic}`)
+  );
+
+  return [...local, ...extra].slice(0, limit);
+}
+
+// Drop IDs from every episode's related_ids list
+function removeFromRelatedIds(ids) {
+  const idList = JSON.stringify(ids.map(String));
+
+  prepare(
+    `
+    UPDATE episodic_memory
+    SET related_ids = (
+      SELECT json_group_array(r.value) FROM json_each(episodic_memory.related_ids) r
+      WHERE CAST(r.value AS TEXT) NOT IN (SELECT value FROM json_each(?))
+    )
+    WHERE json_valid(related_ids)
+      AND EXISTS (
+        SELECT 1 FROM json_each(episodic_memory.related_ids) r
+        WHERE CAST(r.value AS TEXT) IN (SELECT value FROM json_each(?))
+      )
+  `
+  ).run(idList, idList);
+}
+
+// Delete knowledge nodes with their relationships, history and embeddings
+function deleteKnowledgeNodes(ids) {
+  if (ids.length === 0) return 0;
+
+  const placeholders = ids.map(() => "?").join(", ");
+  let deleted = 0;
+
+  db.transaction(() => {
+    removeFromRelatedIds(ids);
+    prepare(
+      `
+      DELETE FROM knowledge_relationships
+      WHERE source_id IN (${placeholders}) OR target_id IN (${placeholders})
+    `
+    ).run(...ids, ...ids);
+    prepare(
+      `DELETE FROM semantic_knowledge_history WHERE knowledge_id IN (${placeholders})`
+    ).run(...ids);
+    prepare(
+      `DELETE FROM semantic_embeddings WHERE knowledge_id IN (${placeholders})`
+    ).run(...ids);
+    encryption.removeFromIndex("semantic_knowledge", ids);
+    deleted = prepare(
+      `DELETE FROM semantic_knowledge WHERE id IN (${placeholders})`
+    ).run(...ids).changes;
+  })();
+
+  return deleted;
+}
+
+// Delete episodes, drop references to them and recount their conversations
+function deleteEpisodes(ids) {
+  if (ids.length === 0) return 0;
+
+  const idList = JSON.stringify(ids);
+  let deleted = 0;
+
+  db.transaction(() => {
+    const conversationIds = prepare(
+      `
+      SELECT DISTINCT conversation_id FROM episodic_memory
+      WHERE id IN (SELECT value FROM json_each(?)) AND conversation_id IS NOT NULL
+    `
+    )
+      .all(idList)
+      .map((row) => row.conversation_id);
+
+    deleted = prepare(
+      `DELETE FROM episodic_memory WHERE id IN (SELECT value FROM json_each(?))`
+    ).run(idList).changes;
+    removeFromRelatedIds(ids);
+    encryption.removeFromIndex("episodic_memory", ids);
+
+    prepare(
+      `
+      UPDATE conversations
+      SET message_count = (SELECT COUNT(*) FROM episodic_memory e WHERE e.conversation_id = conversations.id),
+          user_message_count = (SELECT COUNT(*) FROM episodic_memory e
+                                WHERE e.conversation_id = conversations.id AND e.type = 'user_message'),
+          assistant_message_count = (SELECT COUNT(*) FROM episodic_memory e
+                                     WHERE e.conversation_id = conversations.id AND e.type = 'assistant_response')
+      WHERE id IN (SELECT value FROM json_each(?))
+    `
+    ).run(JSON.stringify(conversationIds));
+  })();
+
+  return deleted;
+}
+
+// The text a knowledge node's vector is built from
+function embeddingText(row) {
+  return `${row.topic} ${row.topic} ${row.category} ${row.content}`;
+}
+
+// (Re)compute the embedding vector for a knowledge node
+function indexKnowledgeEmbedding(knowledgeId) {
+  const row = prepare(
+    `SELECT id, category, topic, content FROM semantic_knowledge WHERE id = ?`
+  ).get(knowledgeId);
+
+  if (!row) return false;
+
+  const text = embeddingText(row);
+  const vector = encryption.embed(text);
+
+  prepare(
+    `
+    INSERT INTO semantic_embeddings (knowledge_id, model, dimensions, vector, updated_at, content_hash)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(knowledge_id) DO UPDATE SET
+      model = excluded.model,
+      dimensions = excluded.dimensions,
+      vector = excluded.vector,
+      updated_at = excluded.updated_at,
+      content_hash = excluded.content_hash
+  `
+  ).run(
+    row.id,
+    encryption.embeddingModel(),
+    embeddings.DIMENSIONS,
+    embeddings.toBuffer(vector),
+    Date.now(),
+    encryption.embeddingHash(text)
+  );
+
+  return true;
+}
+
+// Line-based diff using the longest common subsequence
+function diffLines(before, after) {
+  const a = String(before).split("\n");
+  const b = String(after).split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      changes.push({ type: "unchanged", line: a[i] });
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      changes.push({ type: "removed", line: a[i] });
+      i++;
+    } else {
+      changes.push({ type: "added", line: b[j] });
+      j++;
+    }
+  }
+
+  return changes;
+}
+
+// Normalise traversal filter options
+function toTraversalOptions(options = {}) {
+  const relationshipTypes =
+    options.relationshipTypes ||
+    (options.relationshipType ? [options.relationshipType] : null);
+
+  return {
+    direction: options.direction || "both",
+    relationshipTypes,
+    minStrength: options.minStrength || 0,
   };
-  console.error("Using stub database object - memory system will not persist!");
 }
 
-// Initialize tables
-function initializeTables() {
-  console.log("Creating database tables if they don't exist...");
+// Parse a conversation row's JSON columns
+function parseConversation(row) {
+  if (!row) return null;
+
+  const conversation = { ...row };
+  for (const column of ["participants", "metadata"]) {
+    if (conversation[column]) {
+      try {
+        conversation[column] = JSON.parse(conversation[column]);
+      } catch (e) {
+        // Leave as string if not valid JSON
+      }
+    }
+  }
+  if (!Array.isArray(conversation.participants)) {
+    conversation.participants = [];
+  }
+
+  return conversation;
+}
+
+// Count an episode against its conversation, creating the row if needed
+function recordConversationMessage(conversationId, type, agent, timestamp) {
+  const existing = prepare(
+    `SELECT participants FROM conversations WHERE id = ?`
+  ).get(conversationId);
+
+  if (!existing) {
+    prepare(
+      `
+      INSERT INTO conversations (id, status, started_at, last_activity, participants)
+      VALUES (?, 'active', ?, ?, '[]')
+    `
+    ).run(conversationId, timestamp, timestamp);
+  }
 
+  let participants = [];
   try {
-    // Short-term memory table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS short_term_memory (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL,
-        timestamp INTEGER NOT NULL,
-        expiry_time INTEGER,
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_stm_timestamp ON short_term_memory(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_stm_expiry ON short_term_memory(expiry_time);
-    `);
-
-    // Episodic memory table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS episodic_memory (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        conversation_id TEXT,
-        type TEXT NOT NULL,
-        content TEXT NOT NULL,
-        timestamp INTEGER NOT NULL,
-        importance INTEGER DEFAULT 1,
-        related_ids TEXT,
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_em_timestamp ON episodic_memory(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_em_conversation ON episodic_memory(conversation_id);
-      CREATE INDEX IF NOT EXISTS idx_em_importance ON episodic_memory(importance);
-      CREATE INDEX IF NOT EXISTS idx_em_type ON episodic_memory(type);
-    `);
-
-    // Semantic memory table - knowledge nodes
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS semantic_knowledge (
-        id TEXT PRIMARY KEY,
-        category TEXT NOT NULL,
-        topic TEXT NOT NULL,
-        content TEXT NOT NULL,
-        confidence REAL DEFAULT 1.0,
-        timestamp INTEGER NOT NULL,
-        last_accessed INTEGER,
-        source TEXT,
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_sk_category ON semantic_knowledge(category);
-      CREATE INDEX IF NOT EXISTS idx_sk_topic ON semantic_knowledge(topic);
-      CREATE INDEX IF NOT EXISTS idx_sk_timestamp ON semantic_knowledge(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_sk_last_accessed ON semantic_knowledge(last_accessed);
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_sk_category_topic ON semantic_knowledge(category, topic);
-    `);
-
-    // Semantic memory table - relationships
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS knowledge_relationships (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        source_id TEXT NOT NULL,
-        target_id TEXT NOT NULL,
-        relationship_type TEXT NOT NULL,
-        strength REAL DEFAULT 1.0,
-        timestamp INTEGER NOT NULL,
-        metadata TEXT,
-        UNIQUE(source_id, target_id, relationship_type),
-        FOREIGN KEY (source_id) REFERENCES semantic_knowledge(id),
-        FOREIGN KEY (target_id) REFERENCES semantic_knowledge(id)
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_kr_source ON knowledge_relationships(source_id);
-      CREATE INDEX IF NOT EXISTS idx_kr_target ON knowledge_relationships(target_id);
-      CREATE INDEX IF NOT EXISTS idx_kr_relationship ON knowledge_relationships(relationship_type);
-    `);
-
-    // Memory queries log
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS memory_queries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        memory_type TEXT NOT NULL,
-        query TEXT NOT NULL,
-        timestamp INTEGER NOT NULL,
-        result_count INTEGER DEFAULT 0,
-        duration_ms INTEGER DEFAULT 0,
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_mq_timestamp ON memory_queries(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_mq_memory_type ON memory_queries(memory_type);
-    `);
+    participants = existing ? JSON.parse(existing.participants || "[]") : [];
+  } catch (e) {
+    participants = [];
+  }
+  if (agent && !participants.includes(agent)) participants.push(agent);
+
+  prepare(
+    `
+    UPDATE conversations
+    SET message_count = message_count + 1,
+        user_message_count = user_message_count + ?,
+        assistant_message_count = assistant_message_count + ?,
+        participants = ?,
+        last_activity = ?
+    WHERE id = ?
+  `
+  ).run(
+    type === "user_message" ? 1 : 0,
+    type === "assistant_response" ? 1 : 0,
+    JSON.stringify(participants),
+    timestamp,
+    conversationId
+  );
+}
+
+// Bring a connection's schema up to date; throws if a migration fails or the
+// database is newer than this code
+function initializeTables(connection) {
+  console.log("Applying database migrations...");
 
-    console.log("Database tables created successfully");
-    return true;
+  try {
+    const result = migrator.migrate(connection, migrations, {
+      label: "MEMORY-DB",
+    });
+    console.log(
+      `Database schema at version ${result.to} (${result.applied.length} migration(s) applied)`
+    );
   } catch (error) {
-    console.error(`Failed to create database tables: ${error.message}`);
-    return false;
+    // A file with an unknown schema is never used: SCHEMA_TOO_NEW reaches the
+    // caller, and any other failure makes the storage fall back to memory
+    if (error.code !== "SCHEMA_TOO_NEW") {
+      console.error(`Failed to migrate database tables: ${error.message}`);
+    }
+    throw error;
   }
+
+  registerDatabaseFunctions(connection);
+
+  episodicFtsAvailable = !!connection
+    .prepare(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'episodic_memory_fts'`
+    )
+    .get();
+
+  // Decrypt encrypted columns on every read
+  encryption.attach(connection);
 }
 
-// Initialize tables
-initializeTables();
+db = storage.connect();
+encryption.unlock();
 
 // Define database methods
 const MemoryDB = {
+  // Export / import methods
+  transfer: createMemoryTransfer({
+    getDb: () => db,
+    archiveKnowledgeRevision,
+    sealRow: encryption.sealRow,
+    isEncrypted: encryption.isEnabled,
+    afterImport: () => {
+      MemoryDB.categories.sync();
+      MemoryDB.semantic.reindexEmbeddings();
+      encryption.rebuildBlindIndex();
+    },
+  }),
+
+  // Encryption at rest: status, key rotation and blind index maintenance
+  encryption,
+
+  // User-level knowledge shared across workspaces
+  global: createGlobalKnowledge({
+    dbPath: dbPaths.resolveGlobalDbPath(),
+    workspace: dbPaths.getWorkspaceRoot(),
+    open: openDatabase,
+    getMemoryDB: () => MemoryDB,
+    deleteLocalKnowledge: deleteKnowledgeNodes,
+  }),
+
+  // Query log analytics
+  analytics: createQueryAnalytics({ getDb: () => db }),
+
+  // Episodic to semantic consolidation
+  consolidation: createMemoryConsolidation({
+    getDb: () => db,
+    getMemoryDB: () => MemoryDB,
+  }),
+
+  // Path-style category tree for semantic knowledge
+  categories: createKnowledgeCategories({
+    getDb: () => db,
+    onKnowledgeMoved: (ids) => ids.forEach(indexKnowledgeEmbedding),
+  }),
+
+  // related_to edges inferred from topic co-occurrence
+  inference: createRelationshipInference({
+    getDb: () => db,
+    getMemoryDB: () => MemoryDB,
+  }),
+
+  // Per-table retention rules
+  retention: createMemoryRetention({
+    getDb: () => db,
+    deleteKnowledgeNodes,
+    deleteEpisodes,
+  }),
+
+  // Orphan rows, dangling related_ids and malformed JSON
+  integrity: createMemoryIntegrity({
+    getDb: () => db,
+    removeFromRelatedIds,
+    encryptedPrefix: encryption.PREFIX,
+  }),
+
+  // Storage status and recovery from the in-memory fallback
+  storage: {
+    getStatus: function () {
+      return storage.getStatus();
+    },
+
+    /**
+     * Switch back to the database file if it can be opened again,
+     * replaying writes journaled while running in memory
+     * @returns {Object} Storage status after the attempt
+     */
+    reconnect: function () {
+      const connection = storage.reconnect();
+      if (connection) {
+        db.close();
+        db = connection;
+        encryption.unlock();
+        storage.reportStatus();
+      }
+      return storage.getStatus();
+    },
+  },
+
+  // Schema version methods
+  schema: {
+    getVersion: function () {
+      try {
+        return migrator.getSchemaVersion(db);
+      } catch (error) {
+        console.error(`Error reading schema version: ${error.message}`);
+        return 0;
+      }
+    },
+
+    getLatestVersion: function () {
+      return migrator.getLatestVersion(migrations);
+    },
+
+    getAppliedMigrations: function () {
+      try {
+        return migrator.getAppliedMigrations(db);
+      } catch (error) {
+        console.error(`Error reading applied migrations: ${error.message}`);
+        return [];
+      }
+    },
+  },
+
   // Short-term memory methods
   shortTerm: {
     store: function (key, value, options = {}) {
@@ -167,28 +716,25 @@ const MemoryDB = {
           ? JSON.stringify(options.metadata)
           : null;
 
-        // Check if key exists
-        const existingEntry = this.get(key);
-        const stmt = existingEntry
-          ? db.prepare(`
-              UPDATE short_term_memory
-              SET value = ?, timestamp = ?, expiry_time = ?, metadata = ?
-              WHERE key = ?
-            `)
-          : db.prepare(`
-              INSERT INTO short_term_memory
-              (key, value, timestamp, expiry_time, metadata)
-              VALUES (?, ?, ?, ?, ?)
-            `);
-
         const valueStr =
           typeof value === "object" ? JSON.stringify(value) : String(value);
 
-        if (existingEntry) {
-          stmt.run(valueStr, Date.now(), expiryTime, metadata, key);
-        } else {
-          stmt.run(key, valueStr, Date.now(), expiryTime, metadata);
-        }
+        prepare(`
+          INSERT INTO short_term_memory
+          (key, value, timestamp, expiry_time, metadata)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT(key) DO UPDATE SET
+            value = excluded.value,
+            timestamp = excluded.timestamp,
+            expiry_time = excluded.expiry_time,
+            metadata = excluded.metadata
+        `).run(
+          key,
+          encryption.seal(valueStr),
+          Date.now(),
+          expiryTime,
+          encryption.seal(metadata)
+        );
 
         return true;
       } catch (error) {
@@ -199,7 +745,7 @@ const MemoryDB = {
 
     get: function (key) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           SELECT key, value, timestamp, expiry_time, metadata
           FROM short_term_memory
           WHERE key = ?
@@ -231,7 +777,7 @@ const MemoryDB = {
         }
 
         // Update last accessed time
-        const updateStmt = db.prepare(`
+        const updateStmt = prepare(`
           UPDATE short_term_memory
           SET timestamp = ?
           WHERE key = ?
@@ -263,7 +809,7 @@ const MemoryDB = {
         // Add ORDER BY clause
         sql += ` ORDER BY timestamp DESC`;
 
-        const stmt = db.prepare(sql);
+        const stmt = prepare(sql);
         const rows = stmt.all(...params);
 
         // Process results
@@ -296,7 +842,7 @@ const MemoryDB = {
 
     remove: function (key) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           DELETE FROM short_term_memory
           WHERE key = ?
         `);
@@ -311,7 +857,7 @@ const MemoryDB = {
 
     purgeExpired: function () {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           DELETE FROM short_term_memory
           WHERE expiry_time IS NOT NULL AND expiry_time < ?
         `);
@@ -346,21 +892,41 @@ const MemoryDB = {
           ? JSON.stringify(options.metadata)
           : null;
 
-        const stmt = db.prepare(`
+        const timestamp = Date.now();
+
+        const stmt = prepare(`
           INSERT INTO episodic_memory
           (conversation_id, type, content, timestamp, importance, related_ids, metadata)
           VALUES (?, ?, ?, ?, ?, ?, ?)
         `);
 
-        const result = stmt.run(
-          conversationId,
-          type,
-          contentStr,
-          Date.now(),
-          importance,
-          relatedIds,
-          metadata
-        );
+        const result = db.transaction(() => {
+          const inserted = stmt.run(
+            conversationId,
+            type,
+            encryption.seal(contentStr),
+            timestamp,
+            importance,
+            relatedIds,
+            encryption.seal(metadata)
+          );
+          encryption.indexText(
+            "episodic_memory",
+            inserted.lastInsertRowid,
+            contentStr
+          );
+
+          if (conversationId) {
+            recordConversationMessage(
+              conversationId,
+              type,
+              options.agent || (options.metadata && options.metadata.agent),
+              timestamp
+            );
+          }
+
+          return inserted;
+        })();
 
         return result.lastInsertRowid;
       } catch (error) {
@@ -369,9 +935,29 @@ const MemoryDB = {
       }
     },
 
+    /**
+     * Store several episodes in a single transaction
+     * @param {Array} episodes - { content, type, conversationId, importance, relatedIds, metadata, agent }
+     * @returns {Array} Inserted IDs, or [] if the batch was rolled back
+     */
+    storeMany: function (episodes) {
+      try {
+        return db.transaction(() =>
+          episodes.map((episode) => {
+            const id = this.store(episode.content, episode);
+            if (!id) throw new Error("Episode could not be stored");
+            return id;
+          })
+        )();
+      } catch (error) {
+        console.error(`Error storing episodic memory batch: ${error.message}`);
+        return [];
+      }
+    },
+
     get: function (id) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           SELECT id, conversation_id, type, content, timestamp, importance, related_ids, metadata
           FROM episodic_memory
           WHERE id = ?
@@ -410,6 +996,21 @@ const MemoryDB = {
       }
     },
 
+    /**
+     * Delete episodes. References to them are removed from other episodes'
+     * related_ids and their conversations' message counts are recomputed.
+     * @param {number|Array} ids - Episode ID or IDs
+     * @returns {number} Episodes deleted
+     */
+    delete: function (ids) {
+      try {
+        return deleteEpisodes(Array.isArray(ids) ? ids : [ids]);
+      } catch (error) {
+        console.error(`Error deleting episodic memory: ${error.message}`);
+        return 0;
+      }
+    },
+
     getByConversation: function (conversationId, options = {}) {
       try {
         let sql = `
@@ -450,7 +1051,7 @@ const MemoryDB = {
           params.push(options.limit);
         }
 
-        const stmt = db.prepare(sql);
+        const stmt = prepare(sql);
         const rows = stmt.all(...params);
 
         // Parse JSON fields if possible
@@ -492,41 +1093,11 @@ const MemoryDB = {
         // Log search query
         this.logQuery("episodic", query);
 
-        // Basic content search (in a production system, this would use full-text search)
-        let sql = `
-          SELECT id, conversation_id, type, content, timestamp, importance, related_ids, metadata
-          FROM episodic_memory
-          WHERE content LIKE ?
-        `;
-
-        const params = [`%${query}%`];
-
-        // Add additional filters
-        if (options.type) {
-          sql += ` AND type = ?`;
-          params.push(options.type);
-        }
-
-        if (options.conversationId) {
-          sql += ` AND conversation_id = ?`;
-          params.push(options.conversationId);
-        }
-
-        if (options.minImportance) {
-          sql += ` AND importance >= ?`;
-          params.push(options.minImportance);
-        }
-
-        // Add order by importance and recency
-        sql += ` ORDER BY importance DESC, timestamp DESC`;
-
-        // Add limit
-        sql += ` LIMIT ?`;
-        params.push(options.limit || 10);
-
         const startTime = Date.now();
-        const stmt = db.prepare(sql);
-        const rows = stmt.all(...params);
+        const rows =
+          episodicFtsAvailable && String(query).trim()
+            ? this.rankedSearch(query, options)
+            : this.likeSearch(query, options);
         const duration = Date.now() - startTime;
 
         // Update query log with results
@@ -564,9 +1135,138 @@ const MemoryDB = {
       }
     },
 
+    /**
+     * Full-text search ranked by bm25 blended with importance and recency.
+     * Accepts FTS5 syntax ("exact phrase", prefix*, AND/OR/NOT); queries that
+     * fail to parse are retried as plain quoted terms.
+     * @param {string} query - FTS5 query
+     * @param {Object} options - Filters, limit, weights and highlight markers
+     * @returns {Array} Raw rows with `score` and highlighted `snippet`, or
+     *   likeSearch rows when encryption is on
+     */
+    rankedSearch: function (query, options = {}) {
+      // FTS5 only sees ciphertext, so encrypted content is searched by the
+      // encryption layer instead
+      if (encryption.isEnabled()) return this.likeSearch(query, options);
+
+      const weights = {
+        ...EPISODIC_SEARCH_WEIGHTS,
+        ...(options.weights || {}),
+      };
+      const highlight = options.highlight || {};
+
+      let sql = `
+        SELECT e.id, e.conversation_id, e.type, e.content, e.timestamp, e.importance, e.related_ids, e.metadata,
+               snippet(episodic_memory_fts, 0, ?, ?, ?, ?) AS snippet,
+               (-bm25(episodic_memory_fts) * ?)
+                 + (e.importance * ?)
+                 + (? / (1.0 + (? - e.timestamp) / 86400000.0)) AS score
+        FROM episodic_memory_fts
+        JOIN episodic_memory e ON e.id = episodic_memory_fts.rowid
+        WHERE episodic_memory_fts MATCH ?
+      `;
+
+      const params = [
+        highlight.open || "[",
+        highlight.close || "]",
+        highlight.ellipsis || "…",
+        highlight.tokens || 16,
+        weights.relevance,
+        weights.importance,
+        weights.recency,
+        Date.now(),
+      ];
+      const filterParams = [];
+
+      // Add additional filters
+      if (options.type) {
+        sql += ` AND e.type = ?`;
+        filterParams.push(options.type);
+      }
+
+      if (options.conversationId) {
+        sql += ` AND e.conversation_id = ?`;
+        filterParams.push(options.conversationId);
+      }
+
+      if (options.minImportance) {
+        sql += ` AND e.importance >= ?`;
+        filterParams.push(options.minImportance);
+      }
+
+      // Add order by blended score
+      sql += ` ORDER BY score DESC LIMIT ?`;
+      filterParams.push(options.limit || 10);
+
+      const stmt = prepare(sql);
+
+      try {
+        return stmt.all(...params, String(query), ...filterParams);
+      } catch (error) {
+        // Malformed FTS5 syntax: retry with every term quoted
+        const safeQuery = toSafeFtsQuery(query);
+        if (!safeQuery) return [];
+        return stmt.all(...params, safeQuery, ...filterParams);
+      }
+    },
+
+    /**
+     * Substring search used when the query is empty, FTS5 is unavailable or
+     * content is encrypted. Encrypted rows are matched by the encryption
+     * layer (blind index or a bounded decrypting scan).
+     * @param {string} query - Text to match anywhere in the content
+     * @param {Object} options - Filters and limit
+     * @returns {Array} Raw rows ordered by importance and recency
+     */
+    likeSearch: function (query, options = {}) {
+      let sql = `
+        SELECT id, conversation_id, type, content, timestamp, importance, related_ids, metadata
+        FROM episodic_memory
+        WHERE 1 = 1
+      `;
+
+      const params = [];
+
+      if (String(query).trim()) {
+        sql += `
+          AND ((content LIKE ? AND content NOT LIKE '${encryption.PREFIX}%')
+               OR id IN (SELECT value FROM json_each(?)))
+        `;
+        params.push(
+          `%${query}%`,
+          JSON.stringify(encryption.searchEncrypted("episodic_memory", query))
+        );
+      }
+
+      // Add additional filters
+      if (options.type) {
+        sql += ` AND type = ?`;
+        params.push(options.type);
+      }
+
+      if (options.conversationId) {
+        sql += ` AND conversation_id = ?`;
+        params.push(options.conversationId);
+      }
+
+      if (options.minImportance) {
+        sql += ` AND importance >= ?`;
+        params.push(options.minImportance);
+      }
+
+      // Add order by importance and recency
+      sql += ` ORDER BY importance DESC, timestamp DESC`;
+
+      // Add limit
+      sql += ` LIMIT ?`;
+      params.push(options.limit || 10);
+
+      return prepare(sql).all(...params);
+    },
+
     updateImportance: function (id, importance) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           UPDATE episodic_memory
           SET importance = ?
           WHERE id = ?
@@ -584,13 +1284,17 @@ const MemoryDB = {
 
     logQuery: function (memoryType, query) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           INSERT INTO memory_queries
           (memory_type, query, timestamp, result_count, duration_ms)
           VALUES (?, ?, ?, 0, 0)
         `);
 
-        return stmt.run(memoryType, query, Date.now()).lastInsertRowid;
+        return stmt.run(
+          memoryType,
+          encryption.sealComparable(query),
+          Date.now()
+        ).lastInsertRowid;
       } catch (error) {
         console.error(`Error logging memory query: ${error.message}`);
         return null;
@@ -599,7 +1303,7 @@ const MemoryDB = {
 
     updateQueryResults: function (memoryType, query, resultCount, durationMs) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           UPDATE memory_queries
           SET result_count = ?, duration_ms = ?
           WHERE memory_type = ? AND query = ? AND timestamp = (
@@ -608,17 +1312,262 @@ const MemoryDB = {
           )
         `);
 
-        stmt.run(resultCount, durationMs, memoryType, query, memoryType, query);
+        const stored = encryption.sealComparable(query);
+        stmt.run(
+          resultCount,
+          durationMs,
+          memoryType,
+          stored,
+          memoryType,
+          stored
+        );
       } catch (error) {
         console.error(`Error updating memory query results: ${error.message}`);
       }
     },
   },
 
+  // Conversation methods
+  conversations: {
+    /**
+     * Start a new conversation
+     * @param {Object} options - { id, title, agents, metadata }
+     * @returns {Object|null} The created conversation
+     */
+    start: function (options = {}) {
+      try {
+        const now = Date.now();
+        const id =
+          options.id ||
+          `conv_${now}_${Math.random().toString(36).substring(2, 8)}`;
+
+        prepare(
+          `
+          INSERT INTO conversations
+          (id, title, status, started_at, last_activity, participants, metadata)
+          VALUES (?, ?, 'active', ?, ?, ?, ?)
+        `
+        ).run(
+          id,
+          encryption.seal(options.title || null),
+          now,
+          now,
+          JSON.stringify(options.agents || []),
+          options.metadata ? JSON.stringify(options.metadata) : null
+        );
+
+        return this.get(id);
+      } catch (error) {
+        console.error(`Error starting conversation: ${error.message}`);
+        return null;
+      }
+    },
+
+    get: function (id) {
+      try {
+        return parseConversation(
+          prepare(`SELECT * FROM conversations WHERE id = ?`).get(id)
+        );
+      } catch (error) {
+        console.error(`Error retrieving conversation: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * List conversations, most recently active first
+     * @param {Object} options - { status, agent, since, limit = 20, offset = 0 }
+     * @returns {Array} Conversations
+     */
+    list: function (options = {}) {
+      try {
+        let query = `SELECT * FROM conversations WHERE 1=1`;
+        const params = [];
+
+        if (options.status) {
+          query += ` AND status = ?`;
+          params.push(options.status);
+        }
+
+        if (options.agent) {
+          query += ` AND EXISTS (SELECT 1 FROM json_each(conversations.participants) WHERE value = ?)`;
+          params.push(options.agent);
+        }
+
+        if (options.since) {
+          query += ` AND last_activity >= ?`;
+          params.push(options.since);
+        }
+
+        query += ` ORDER BY last_activity DESC LIMIT ? OFFSET ?`;
+        params.push(options.limit || 20, options.offset || 0);
+
+        return prepare(query)
+          .all(...params)
+          .map(parseConversation);
+      } catch (error) {
+        console.error(`Error listing conversations: ${error.message}`);
+        return [];
+      }
+    },
+
+    rename: function (id, title) {
+      try {
+        const result = prepare(
+          `UPDATE conversations SET title = ? WHERE id = ?`
+        ).run(encryption.seal(title), id);
+        return result.changes > 0;
+      } catch (error) {
+        console.error(`Error renaming conversation: ${error.message}`);
+        return false;
+      }
+    },
+
+    setSummary: function (id, summary) {
+      try {
+        const result = prepare(
+          `UPDATE conversations SET summary = ? WHERE id = ?`
+        ).run(encryption.seal(summary), id);
+        return result.changes > 0;
+      } catch (error) {
+        console.error(`Error storing conversation summary: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Close a conversation, optionally storing its summary
+     * @param {string} id - Conversation ID
+     * @param {Object} options - { summary }
+     * @returns {boolean} Success status
+     */
+    close: function (id, options = {}) {
+      try {
+        const result = prepare(
+          `
+            UPDATE conversations
+            SET status = 'closed', ended_at = ?, summary = COALESCE(?, summary)
+            WHERE id = ?
+          `
+        ).run(Date.now(), encryption.seal(options.summary || null), id);
+        return result.changes > 0;
+      } catch (error) {
+        console.error(`Error closing conversation: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Reopen a conversation so new messages continue it
+     * @param {string} id - Conversation ID
+     * @returns {Object|null} The resumed conversation
+     */
+    resume: function (id) {
+      try {
+        const result = prepare(
+          `
+            UPDATE conversations
+            SET status = 'active', ended_at = NULL, last_activity = ?
+            WHERE id = ?
+          `
+        ).run(Date.now(), id);
+        return result.changes > 0 ? this.get(id) : null;
+      } catch (error) {
+        console.error(`Error resuming conversation: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Most recently active conversation still open
+     * @returns {Object|null} Conversation
+     */
+    getActive: function () {
+      const [conversation] = this.list({ status: "active", limit: 1 });
+      return conversation || null;
+    },
+
+    /**
+     * Find the most recent conversation about a topic, matching its title,
+     * summary or any of its episodes
+     * @param {string} topic - Search text
+     * @param {Object} options - { limit = 1, status }
+     * @returns {Array} Conversations, most recently active first
+     */
+    findAbout: function (topic, options = {}) {
+      try {
+        const limit = options.limit || 1;
+        const pattern = `%${topic}%`;
+        const needle = String(topic).toLowerCase();
+        const sealed = `${encryption.PREFIX}%`;
+
+        // Encrypted titles and summaries are compared after decryption
+        const matches = new Map();
+        prepare(
+          `
+          SELECT id, title, summary FROM conversations
+          WHERE title LIKE ? OR summary LIKE ? OR title LIKE ? OR summary LIKE ?
+        `
+        )
+          .all(pattern, pattern, sealed, sealed)
+          .filter((row) =>
+            [row.title, row.summary].some(
+              (text) =>
+                typeof text === "string" && text.toLowerCase().includes(needle)
+            )
+          )
+          .forEach((row) => matches.set(row.id, true));
+
+        MemoryDB.episodic
+          .search(topic, { limit: 100 })
+          .forEach(
+            (episode) =>
+              episode.conversation_id &&
+              matches.set(episode.conversation_id, true)
+          );
+
+        if (matches.size === 0) return [];
+
+        const ids = [...matches.keys()];
+        let query = `SELECT * FROM conversations WHERE id IN (${ids
+          .map(() => "?")
+          .join(", ")})`;
+        const params = [...ids];
+
+        if (options.status) {
+          query += ` AND status = ?`;
+          params.push(options.status);
+        }
+
+        query += ` ORDER BY last_activity DESC LIMIT ?`;
+        params.push(limit);
+
+        return prepare(query)
+          .all(...params)
+          .map(parseConversation);
+      } catch (error) {
+        console.error(`Error finding conversation: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Episodes belonging to a conversation, oldest first
+     * @param {string} id - Conversation ID
+     * @param {Object} options - Passed to episodic.getByConversation
+     * @returns {Array} Episodes
+     */
+    getMessages: function (id, options = {}) {
+      return MemoryDB.episodic.getByConversation(id, options);
+    },
+  },
+
   // Semantic memory methods
   semantic: {
     storeKnowledge: function (category, topic, content, options = {}) {
       try {
+        category = MemoryDB.categories.normalizePath(category);
+
         // Generate a unique ID if not provided
         const id =
           options.id ||
@@ -627,7 +1576,7 @@ const MemoryDB = {
           typeof content === "object"
             ? JSON.stringify(content)
             : String(content);
-        const confidence = options.confidence || 1.0;
+        let confidence = options.confidence || 1.0;
         const source = options.source || null;
         const metadata = options.metadata
           ? JSON.stringify(options.metadata)
@@ -635,44 +1584,79 @@ const MemoryDB = {
         const now = Date.now();
 
         // Check if knowledge already exists
-        const existingKnowledge = this.getKnowledge(category, topic);
+        const existingKnowledge = this.getKnowledge(category, topic, {
+          includeGlobal: false,
+        });
 
         if (existingKnowledge) {
-          // Update existing knowledge
-          const stmt = db.prepare(`
+          // Corroboration from a different source reinforces confidence
+          if (
+            source &&
+            existingKnowledge.source &&
+            source !== existingKnowledge.source
+          ) {
+            confidence = reinforceConfidence(
+              Math.max(confidence, existingKnowledge.confidence),
+              decayPolicy.sourceBoost
+            );
+          }
+
+          // Update existing knowledge, keeping the previous version in history
+          const stmt = prepare(`
             UPDATE semantic_knowledge
             SET content = ?, confidence = ?, timestamp = ?, source = ?, metadata = ?
             WHERE category = ? AND topic = ?
           `);
 
-          stmt.run(
-            contentStr,
-            confidence,
-            now,
-            source,
-            metadata,
-            category,
-            topic
-          );
+          db.transaction(() => {
+            archiveKnowledgeRevision(existingKnowledge.id, {
+              content: contentStr,
+              confidence,
+              source,
+              metadata,
+            });
+            stmt.run(
+              encryption.seal(contentStr),
+              confidence,
+              now,
+              source,
+              encryption.seal(metadata),
+              category,
+              topic
+            );
+            encryption.indexText(
+              "semantic_knowledge",
+              existingKnowledge.id,
+              contentStr
+            );
+            indexKnowledgeEmbedding(existingKnowledge.id);
+          })();
+
+          return existingKnowledge.id;
         } else {
           // Insert new knowledge
-          const stmt = db.prepare(`
+          const stmt = prepare(`
             INSERT INTO semantic_knowledge
             (id, category, topic, content, confidence, timestamp, last_accessed, source, metadata)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
           `);
 
-          stmt.run(
-            id,
-            category,
-            topic,
-            contentStr,
-            confidence,
-            now,
-            now,
-            source,
-            metadata
-          );
+          db.transaction(() => {
+            MemoryDB.categories.ensure(category);
+            stmt.run(
+              id,
+              category,
+              topic,
+              encryption.seal(contentStr),
+              confidence,
+              now,
+              now,
+              source,
+              encryption.seal(metadata)
+            );
+            encryption.indexText("semantic_knowledge", id, contentStr);
+            indexKnowledgeEmbedding(id);
+          })();
         }
 
         return id;
@@ -682,19 +1666,64 @@ const MemoryDB = {
       }
     },
 
-    getKnowledge: function (category, topic) {
+    /**
+     * Store several knowledge entries in a single transaction
+     * @param {Array} entries - { category, topic, content, ...storeKnowledge options }
+     * @returns {Array} Knowledge IDs, or [] if the batch was rolled back
+     */
+    storeMany: function (entries) {
       try {
-        const stmt = db.prepare(`
+        return db.transaction(() =>
+          entries.map((entry) => {
+            const id = this.storeKnowledge(
+              entry.category,
+              entry.topic,
+              entry.content,
+              entry
+            );
+            if (!id) {
+              throw new Error(
+                `Knowledge ${entry.category}/${entry.topic} could not be stored`
+              );
+            }
+            return id;
+          })
+        )();
+      } catch (error) {
+        console.error(
+          `Error storing semantic knowledge batch: ${error.message}`
+        );
+        return [];
+      }
+    },
+
+    /**
+     * Look up knowledge by category and topic, falling back to the global
+     * store when this workspace has none
+     * @param {string} category - Knowledge category
+     * @param {string} topic - Knowledge topic
+     * @param {Object} options - { includeGlobal = true, reinforce = false }
+     *   where reinforce: true counts the read as a retrieval of the node
+     * @returns {Object|null} Knowledge row
+     */
+    getKnowledge: function (category, topic, options = {}) {
+      try {
+        const stmt = prepare(`
           SELECT id, category, topic, content, confidence, timestamp, last_accessed, source, metadata
           FROM semantic_knowledge
           WHERE category = ? AND topic = ?
         `);
 
+        category = MemoryDB.categories.normalizePath(category);
         const row = stmt.get(category, topic);
-        if (!row) return null;
+        if (!row) {
+          return options.includeGlobal === false
+            ? null
+            : MemoryDB.global.getKnowledge(category, topic);
+        }
 
         // Update last accessed time
-        this.updateLastAccessed(row.id);
+        if (options.reinforce) this.updateLastAccessed(row.id);
 
         // Parse JSON content if possible
         try {
@@ -718,19 +1747,29 @@ const MemoryDB = {
       }
     },
 
-    getById: function (id) {
+    /**
+     * Look up knowledge by ID, falling back to the global store
+     * @param {string} id - Knowledge node ID
+     * @param {Object} options - { includeGlobal = true, reinforce = false }
+     * @returns {Object|null} Knowledge row
+     */
+    getById: function (id, options = {}) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           SELECT id, category, topic, content, confidence, timestamp, last_accessed, source, metadata
           FROM semantic_knowledge
           WHERE id = ?
         `);
 
         const row = stmt.get(id);
-        if (!row) return null;
+        if (!row) {
+          return options.includeGlobal === false
+            ? null
+            : MemoryDB.global.get(id);
+        }
 
         // Update last accessed time
-        this.updateLastAccessed(id);
+        if (options.reinforce) this.updateLastAccessed(id);
 
         // Parse JSON content if possible
         try {
@@ -756,22 +1795,39 @@ const MemoryDB = {
       }
     },
 
-    getByCategory: function (category) {
+    /**
+     * List a category's knowledge, including its subcategories; global
+     * entries follow for topics this workspace does not have
+     * @param {string} category - Category path, e.g. "backend/auth"
+     * @param {Object} options - { includeDescendants = true, includeGlobal = true,
+     *   reinforce = false }
+     * @returns {Array} Knowledge rows ordered by category and topic
+     */
+    getByCategory: function (category, options = {}) {
       try {
-        const stmt = db.prepare(`
+        const filter =
+          options.includeDescendants === false
+            ? {
+                sql: `category = ?`,
+                params: [MemoryDB.categories.normalizePath(category)],
+              }
+            : MemoryDB.categories.categoryFilter("category", category);
+        const stmt = prepare(`
           SELECT id, category, topic, content, confidence, timestamp, last_accessed, source, metadata
           FROM semantic_knowledge
-          WHERE category = ?
-          ORDER BY topic
+          WHERE ${filter.sql}
+          ORDER BY category, topic
         `);
 
-        const rows = stmt.all(category);
+        const rows = stmt.all(...filter.params);
 
-        // Update last accessed time for all results
-        rows.forEach((row) => this.updateLastAccessed(row.id));
+        // Listing a category is not a retrieval of each node in it
+        if (options.reinforce) {
+          rows.forEach((row) => this.updateLastAccessed(row.id));
+        }
 
         // Parse JSON content if possible
-        return rows.map((row) => {
+        const local = rows.map((row) => {
           try {
             row.content = JSON.parse(row.content);
           } catch (e) {
@@ -788,6 +1844,17 @@ const MemoryDB = {
 
           return row;
         });
+
+        return options.includeGlobal === false
+          ? local
+          : withGlobalResults(
+              local,
+              MemoryDB.global.list({
+                category: MemoryDB.categories.normalizePath(category),
+                includeDescendants: options.includeDescendants,
+                limit: 1000,
+              })
+            );
       } catch (error) {
         console.error(
           `Error retrieving semantic knowledge by category: ${error.message}`
@@ -801,41 +1868,315 @@ const MemoryDB = {
         // Log search query
         this.logQuery("semantic", query);
 
-        // Basic search
+        // Basic search, ranked on confidence after decay
         let sql = `
-          SELECT id, category, topic, content, confidence, timestamp, last_accessed, source, metadata
+          SELECT id, category, topic, content, confidence, timestamp, last_accessed, source, metadata,
+                 effective_confidence(confidence, last_accessed, timestamp) AS effective_confidence
           FROM semantic_knowledge
-          WHERE topic LIKE ? OR content LIKE ?
+          WHERE (topic LIKE ?
+                 OR (content LIKE ? AND content NOT LIKE '${encryption.PREFIX}%')
+                 OR id IN (SELECT value FROM json_each(?)))
+            AND effective_confidence(confidence, last_accessed, timestamp) >= ?
         `;
 
-        const params = [`%${query}%`, `%${query}%`];
-
-        // Add category filter if provided
+        const params = [
+          `%${query}%`,
+          `%${query}%`,
+          JSON.stringify(
+            encryption.searchEncrypted("semantic_knowledge", query)
+          ),
+          options.minConfidence !== undefined
+            ? options.minConfidence
+            : decayPolicy.minConfidence,
+        ];
+
+        // Add category filter if provided, including subcategories
         if (options.category) {
-          sql += ` AND category = ?`;
-          params.push(options.category);
+          const filter = MemoryDB.categories.categoryFilter(
+            "category",
+            options.category
+          );
+          sql += ` AND ${filter.sql}`;
+          params.push(...filter.params);
         }
 
-        // Add order by confidence and recency
-        sql += ` ORDER BY confidence DESC, last_accessed DESC`;
+        // Add order by effective confidence and recency
+        sql += ` ORDER BY effective_confidence DESC, last_accessed DESC`;
 
         // Add limit
         sql += ` LIMIT ?`;
         params.push(options.limit || 10);
 
         const startTime = Date.now();
-        const stmt = db.prepare(sql);
+        const stmt = prepare(sql);
         const rows = stmt.all(...params);
+
+        // Update last accessed time for all results
+        if (options.reinforce) {
+          rows.forEach((row) => this.updateLastAccessed(row.id));
+        }
+
+        // Parse JSON content if possible
+        const local = rows.map((row) => {
+          try {
+            row.content = JSON.parse(row.content);
+          } catch (e) {
+            // Leave as string if not valid JSON
+          }
+
+          if (row.metadata) {
+            try {
+              row.metadata = JSON.parse(row.metadata);
+            } catch (e) {
+              // Leave as string if not valid JSON
+            }
+          }
+
+          return row;
+        });
+
+        // Fill remaining slots from the global store, after local results
+        const limit = options.limit || 10;
+        const results =
+          options.includeGlobal === false || local.length >= limit
+            ? local
+            : withGlobalResults(
+                local,
+                MemoryDB.global.search(query, { ...options, limit }),
+                limit
+              );
         const duration = Date.now() - startTime;
 
         // Update query log with results
-        this.updateQueryResults("semantic", query, rows.length, duration);
+        this.updateQueryResults("semantic", query, results.length, duration);
+
+        return results;
+      } catch (error) {
+        console.error(`Error searching semantic knowledge: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * List every revision of a knowledge node, oldest first. The live row is
+     * included as the last entry with `current: true`.
+     * @param {string} id - Knowledge node ID
+     * @returns {Array} Revisions with parsed content and metadata
+     */
+    getRevisions: function (id) {
+      try {
+        const history = prepare(
+          `
+          SELECT knowledge_id, revision, category, topic, content, confidence, source, metadata, timestamp, archived_at
+          FROM semantic_knowledge_history
+          WHERE knowledge_id = ?
+          ORDER BY revision ASC
+        `
+        )
+          .all(id)
+          .map((row) => ({ ...row, current: false }));
+
+        const current = prepare(
+          `
+          SELECT id AS knowledge_id, category, topic, content, confidence, source, metadata, timestamp
+          FROM semantic_knowledge
+          WHERE id = ?
+        `
+        ).get(id);
+
+        if (current) {
+          history.push({
+            ...current,
+            revision: history.length
+              ? history[history.length - 1].revision + 1
+              : 1,
+            archived_at: null,
+            current: true,
+          });
+        }
+
+        // Parse JSON fields if possible
+        return history.map((row) => {
+          try {
+            row.content = JSON.parse(row.content);
+          } catch (e) {
+            // Leave as string if not valid JSON
+          }
+
+          if (row.metadata) {
+            try {
+              row.metadata = JSON.parse(row.metadata);
+            } catch (e) {
+              // Leave as string if not valid JSON
+            }
+          }
+
+          return row;
+        });
+      } catch (error) {
+        console.error(`Error getting knowledge revisions: ${error.message}`);
+        return [];
+      }
+    },
+
+    getRevision: function (id, revision) {
+      return (
+        this.getRevisions(id).find((row) => row.revision === revision) || null
+      );
+    },
+
+    /**
+     * Compare two revisions of a knowledge node
+     * @param {string} id - Knowledge node ID
+     * @param {number} fromRevision - Older revision number
+     * @param {number} toRevision - Newer revision number (defaults to current)
+     * @returns {Object|null} Changed fields and a line diff of the content
+     */
+    diffRevisions: function (id, fromRevision, toRevision = null) {
+      try {
+        const revisions = this.getRevisions(id);
+        const from = revisions.find((row) => row.revision === fromRevision);
+        const to = toRevision
+          ? revisions.find((row) => row.revision === toRevision)
+          : revisions[revisions.length - 1];
+
+        if (!from || !to) return null;
+
+        const toText = (value) =>
+          typeof value === "object" && value !== null
+            ? JSON.stringify(value, null, 2)
+            : String(value);
+
+        const fields = {};
+        for (const field of ["content", "confidence", "source", "metadata"]) {
+          if (toText(from[field]) !== toText(to[field])) {
+            fields[field] = { from: from[field], to: to[field] };
+          }
+        }
+
+        return {
+          id,
+          from: from.revision,
+          to: to.revision,
+          fields,
+          content: diffLines(toText(from.content), toText(to.content)),
+        };
+      } catch (error) {
+        console.error(`Error diffing knowledge revisions: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Restore a knowledge node to an earlier revision. The current version is
+     * archived first and relationships are left untouched.
+     * @param {string} id - Knowledge node ID
+     * @param {number} revision - Revision number to restore
+     * @param {Object} options - { source } to record who reverted
+     * @returns {boolean} Success status
+     */
+    revertToRevision: function (id, revision, options = {}) {
+      try {
+        const target = prepare(
+          `
+          SELECT content, confidence, source, metadata
+          FROM semantic_knowledge_history
+          WHERE knowledge_id = ? AND revision = ?
+        `
+        ).get(id, revision);
+
+        if (!target) {
+          console.error(`Revision ${revision} of ${id} does not exist`);
+          return false;
+        }
+
+        db.transaction(() => {
+          archiveKnowledgeRevision(id);
+          prepare(
+            `
+            UPDATE semantic_knowledge
+            SET content = ?, confidence = ?, timestamp = ?, source = ?, metadata = ?
+            WHERE id = ?
+          `
+          ).run(
+            encryption.seal(target.content),
+            target.confidence,
+            Date.now(),
+            options.source || target.source,
+            encryption.seal(target.metadata),
+            id
+          );
+          encryption.indexText("semantic_knowledge", id, target.content);
+          indexKnowledgeEmbedding(id);
+        })();
+
+        return true;
+      } catch (error) {
+        console.error(`Error reverting semantic knowledge: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Find knowledge by meaning using offline embeddings and cosine similarity
+     * @param {string} text - Free text to compare against stored knowledge
+     * @param {Object} options - { k = 5, category, minScore = 0, includeGlobal = true,
+     *   reinforce = false }
+     * @returns {Array} Knowledge rows with a `similarity` score, best first;
+     *   workspace matches come before global ones
+     */
+    similar: function (text, options = {}) {
+      try {
+        // Log search query
+        this.logQuery("semantic_similar", text);
+
+        const startTime = Date.now();
+        const k = options.k || options.limit || 5;
+        const minScore = options.minScore || 0;
+
+        // Pick up nodes written before indexing existed or by other tools
+        this.reindexEmbeddings();
+
+        let sql = `
+          SELECT sk.id, sk.category, sk.topic, sk.content, sk.confidence, sk.timestamp, sk.last_accessed, sk.source, sk.metadata,
+                 se.vector
+          FROM semantic_embeddings se
+          JOIN semantic_knowledge sk ON sk.id = se.knowledge_id
+          WHERE se.model = ?
+        `;
+        const params = [encryption.embeddingModel()];
+
+        if (options.category) {
+          const filter = MemoryDB.categories.categoryFilter(
+            "sk.category",
+            options.category
+          );
+          sql += ` AND ${filter.sql}`;
+          params.push(...filter.params);
+        }
+
+        const queryVector = encryption.embed(text);
+        const rows = prepare(sql)
+          .all(...params)
+          .map((row) => {
+            const similarity = embeddings.cosine(
+              queryVector,
+              embeddings.fromBuffer(row.vector)
+            );
+            delete row.vector;
+            return { ...row, similarity };
+          })
+          .filter((row) => row.similarity > minScore)
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, k);
 
         // Update last accessed time for all results
-        rows.forEach((row) => this.updateLastAccessed(row.id));
+        if (options.reinforce) {
+          rows.forEach((row) => this.updateLastAccessed(row.id));
+        }
 
         // Parse JSON content if possible
-        return rows.map((row) => {
+        const local = rows.map((row) => {
           try {
             row.content = JSON.parse(row.content);
           } catch (e) {
@@ -852,21 +2193,212 @@ const MemoryDB = {
 
           return row;
         });
+
+        // Global matches fill whatever the workspace did not
+        const results =
+          options.includeGlobal === false || local.length >= k
+            ? local
+            : withGlobalResults(
+                local,
+                MemoryDB.global.similar(text, { ...options, k }),
+                k
+              );
+        const duration = Date.now() - startTime;
+
+        // Update query log with results
+        this.updateQueryResults(
+          "semantic_similar",
+          text,
+          results.length,
+          duration
+        );
+
+        return results;
       } catch (error) {
-        console.error(`Error searching semantic knowledge: ${error.message}`);
+        console.error(`Error finding similar knowledge: ${error.message}`);
         return [];
       }
     },
 
+    /**
+     * Embed every node whose vector is missing, from another model, or
+     * built from different text than the node holds now
+     * @param {Object} options - { force } to re-embed everything
+     * @returns {number} Number of nodes re-indexed
+     */
+    reindexEmbeddings: function (options = {}) {
+      try {
+        const model = encryption.embeddingModel();
+        const stale = prepare(
+          `
+          SELECT sk.id, sk.category, sk.topic, sk.content, se.model, se.content_hash
+          FROM semantic_knowledge sk
+          LEFT JOIN semantic_embeddings se ON se.knowledge_id = sk.id
+        `
+        )
+          .all()
+          .filter(
+            (row) =>
+              options.force ||
+              row.model !== model ||
+              row.content_hash !== encryption.embeddingHash(embeddingText(row))
+          );
+
+        if (stale.length === 0) return 0;
+
+        db.transaction(() => {
+          stale.forEach((row) => indexKnowledgeEmbedding(row.id));
+        })();
+
+        return stale.length;
+      } catch (error) {
+        console.error(`Error re-indexing embeddings: ${error.message}`);
+        return 0;
+      }
+    },
+
+    /**
+     * Override parts of the confidence decay policy
+     * @param {Object} policy - { halfLifeDays, floor, retrievalBoost, sourceBoost, minConfidence }
+     * @returns {Object} The policy now in effect
+     */
+    configureDecay: function (policy = {}) {
+      decayPolicy = { ...decayPolicy, ...policy };
+      return { ...decayPolicy };
+    },
+
+    getDecayPolicy: function () {
+      return { ...decayPolicy };
+    },
+
+    getEffectiveConfidence: function (id) {
+      try {
+        const row = prepare(
+          `SELECT confidence, last_accessed, timestamp FROM semantic_knowledge WHERE id = ?`
+        ).get(id);
+
+        return row
+          ? computeEffectiveConfidence(
+              row.confidence,
+              row.last_accessed,
+              row.timestamp
+            )
+          : null;
+      } catch (error) {
+        console.error(`Error computing effective confidence: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Forget knowledge whose effective confidence has decayed below a
+     * threshold. Runs as a dry run unless `dryRun: false` is passed.
+     * @param {number} threshold - Effective confidence cutoff
+     * @param {Object} options - { dryRun = true, category }
+     * @returns {Object} Report of the nodes (and relationships) forgotten
+     */
+    forgetBelow: function (threshold, options = {}) {
+      const dryRun = options.dryRun !== false;
+      const report = {
+        threshold,
+        dryRun,
+        nodes: [],
+        relationships: 0,
+        deleted: 0,
+      };
+
+      try {
+        let sql = `
+          SELECT id, category, topic, confidence, last_accessed, timestamp,
+                 effective_confidence(confidence, last_accessed, timestamp) AS effective_confidence
+          FROM semantic_knowledge
+          WHERE effective_confidence(confidence, last_accessed, timestamp) < ?
+        `;
+        const params = [threshold];
+
+        if (options.category) {
+          const filter = MemoryDB.categories.categoryFilter(
+            "category",
+            options.category
+          );
+          sql += ` AND ${filter.sql}`;
+          params.push(...filter.params);
+        }
+
+        sql += ` ORDER BY effective_confidence ASC`;
+
+        report.nodes = prepare(sql).all(...params);
+        if (report.nodes.length === 0) return report;
+
+        const ids = report.nodes.map((node) => node.id);
+        const placeholders = ids.map(() => "?").join(", ");
+
+        report.relationships = prepare(
+          `
+          SELECT COUNT(*) AS count FROM knowledge_relationships
+          WHERE source_id IN (${placeholders}) OR target_id IN (${placeholders})
+        `
+        ).get(...ids, ...ids).count;
+
+        if (dryRun) return report;
+
+        report.deleted = deleteKnowledgeNodes(ids);
+
+        console.log(
+          `Forgot ${report.deleted} knowledge node(s) below confidence ${threshold}`
+        );
+        return report;
+      } catch (error) {
+        console.error(`Error forgetting semantic knowledge: ${error.message}`);
+        return report;
+      }
+    },
+
+    /**
+     * Delete knowledge nodes with their relationships, revision history,
+     * embeddings and search index entries, and drop them from episodes'
+     * related_ids
+     * @param {string|Array} ids - Knowledge node ID or IDs
+     * @returns {number} Nodes deleted
+     */
+    delete: function (ids) {
+      try {
+        return deleteKnowledgeNodes(Array.isArray(ids) ? ids : [ids]);
+      } catch (error) {
+        console.error(`Error deleting semantic knowledge: ${error.message}`);
+        return 0;
+      }
+    },
+
+    /**
+     * Mark a node as accessed. Retrieval reinforces confidence: the decayed
+     * value is brought forward and nudged towards 1.0 by the retrieval boost.
+     * @param {string} id - Knowledge node ID
+     */
     updateLastAccessed: function (id) {
       try {
-        const stmt = db.prepare(`
+        const row = prepare(
+          `SELECT confidence, last_accessed, timestamp FROM semantic_knowledge WHERE id = ?`
+        ).get(id);
+
+        if (!row) return;
+
+        const confidence = reinforceConfidence(
+          computeEffectiveConfidence(
+            row.confidence,
+            row.last_accessed,
+            row.timestamp
+          ),
+          decayPolicy.retrievalBoost
+        );
+
+        const stmt = prepare(`
           UPDATE semantic_knowledge
-          SET last_accessed = ?
+          SET last_accessed = ?, confidence = ?
           WHERE id = ?
         `);
 
-        stmt.run(Date.now(), id);
+        stmt.run(Date.now(), confidence, id);
       } catch (error) {
         console.error(`Error updating last accessed time: ${error.message}`);
       }
@@ -880,8 +2412,12 @@ const MemoryDB = {
     ) {
       try {
         // Validate that source and target exist
-        const source = this.getById(sourceId);
-        const target = this.getById(targetId);
+        const source = this.getById(sourceId, {
+          includeGlobal: false,
+        });
+        const target = this.getById(targetId, {
+          includeGlobal: false,
+        });
 
         if (!source || !target) {
           console.error(`Source or target knowledge node does not exist`);
@@ -902,7 +2438,7 @@ const MemoryDB = {
 
         if (existingRel) {
           // Update existing relationship
-          const stmt = db.prepare(`
+          const stmt = prepare(`
             UPDATE knowledge_relationships
             SET strength = ?, timestamp = ?, metadata = ?
             WHERE source_id = ? AND target_id = ? AND relationship_type = ?
@@ -918,7 +2454,7 @@ const MemoryDB = {
           );
         } else {
           // Create new relationship
-          const stmt = db.prepare(`
+          const stmt = prepare(`
             INSERT INTO knowledge_relationships
             (source_id, target_id, relationship_type, strength, timestamp, metadata)
             VALUES (?, ?, ?, ?, ?, ?)
@@ -945,7 +2481,7 @@ const MemoryDB = {
 
     getRelationship: function (sourceId, targetId, relationshipType) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           SELECT id, source_id, target_id, relationship_type, strength, timestamp, metadata
           FROM knowledge_relationships
           WHERE source_id = ? AND target_id = ? AND relationship_type = ?
@@ -1023,7 +2559,7 @@ const MemoryDB = {
         // Order by strength and timestamp
         sql += ` ORDER BY kr.strength DESC, kr.timestamp DESC`;
 
-        const stmt = db.prepare(sql);
+        const stmt = prepare(sql);
         const rows = stmt.all(...params);
 
         // Parse JSON metadata if possible
@@ -1046,15 +2582,304 @@ const MemoryDB = {
       }
     },
 
+    /**
+     * Breadth-first walk of the knowledge graph from a node. Each node is
+     * visited at most once, so cycles in the graph are safe. Edges are
+     * loaded one depth level at a time.
+     * @param {string} startId - Node to start from
+     * @param {Object} options - { maxDepth, direction, relationshipType(s), minStrength, limit,
+     *   stopAt } where stopAt ends the walk as soon as that node is reached
+     * @returns {Array} Reached nodes as { id, depth, path } where path is the edge list from the start
+     */
+    traverse: function (startId, options = {}) {
+      try {
+        const maxDepth = options.maxDepth || 3;
+        const limit = options.limit || Infinity;
+        const filters = toTraversalOptions(options);
+
+        const visited = new Set([startId]);
+        const results = [];
+        let frontier = [{ id: startId, path: [] }];
+
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+          const next = [];
+          const edgesByNode = new Map();
+          const addEdge = (id, edge) => {
+            if (!edgesByNode.has(id)) edgesByNode.set(id, []);
+            edgesByNode.get(id).push(edge);
+          };
+          for (const edge of getGraphEdges(
+            frontier.map((current) => current.id),
+            filters
+          )) {
+            if (filters.direction !== "incoming") addEdge(edge.source_id, edge);
+            if (filters.direction !== "outgoing") addEdge(edge.target_id, edge);
+          }
+
+          for (const current of frontier) {
+            for (const edge of edgesByNode.get(current.id) || []) {
+              const neighborId =
+                edge.source_id === current.id ? edge.target_id : edge.source_id;
+              if (visited.has(neighborId)) continue;
+
+              visited.add(neighborId);
+              const entry = {
+                id: neighborId,
+                depth,
+                path: [...current.path, edge],
+              };
+              results.push(entry);
+              next.push(entry);
+
+              if (results.length >= limit || neighborId === options.stopAt) {
+                return results;
+              }
+            }
+          }
+
+          frontier = next;
+        }
+
+        return results;
+      } catch (error) {
+        console.error(`Error traversing knowledge graph: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Get every node within N hops of a node, plus the edges between them
+     * @param {string} nodeId - Center node
+     * @param {Object} options - { depth, direction, relationshipType(s), minStrength }
+     * @returns {Object} { nodes, edges } where each node carries its hop distance
+     */
+    getNeighborhood: function (nodeId, options = {}) {
+      try {
+        const reached = this.traverse(nodeId, {
+          ...options,
+          maxDepth: options.depth || options.maxDepth || 1,
+        });
+        const depths = new Map([[nodeId, 0]]);
+        reached.forEach((entry) => depths.set(entry.id, entry.depth));
+
+        return {
+          nodes: getGraphNodes([...depths.keys()]).map((node) => ({
+            ...node,
+            depth: depths.get(node.id),
+          })),
+          edges: this.getEdgesBetween([...depths.keys()], options),
+        };
+      } catch (error) {
+        console.error(`Error getting knowledge neighborhood: ${error.message}`);
+        return { nodes: [], edges: [] };
+      }
+    },
+
+    /**
+     * Find the shortest path (fewest hops) between two nodes
+     * @param {string} fromId - Start node
+     * @param {string} toId - Destination node
+     * @param {Object} options - { maxDepth, direction, relationshipType(s), minStrength }
+     * @returns {Object|null} { length, nodes, edges } or null if unreachable
+     */
+    findPath: function (fromId, toId, options = {}) {
+      try {
+        if (fromId === toId) {
+          return { length: 0, nodes: getGraphNodes([fromId]), edges: [] };
+        }
+
+        const reached = this.traverse(fromId, {
+          ...options,
+          maxDepth: options.maxDepth || 6,
+          stopAt: toId,
+        });
+        const match = reached.find((entry) => entry.id === toId);
+        if (!match) return null;
+
+        // Order the nodes along the path
+        const orderedIds = [fromId];
+        for (const edge of match.path) {
+          const previous = orderedIds[orderedIds.length - 1];
+          orderedIds.push(
+            edge.source_id === previous ? edge.target_id : edge.source_id
+          );
+        }
+
+        const nodesById = new Map(
+          getGraphNodes(orderedIds).map((node) => [node.id, node])
+        );
+
+        return {
+          length: match.path.length,
+          nodes: orderedIds.map((id) => nodesById.get(id)).filter(Boolean),
+          edges: match.path,
+        };
+      } catch (error) {
+        console.error(`Error finding knowledge path: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Get everything a node ultimately depends on, following outgoing edges
+     * @param {string} nodeId - Node whose dependencies to resolve
+     * @param {Object} options - { relationshipType = "depends_on", maxDepth = 10, minStrength }
+     * @returns {Array} Dependency nodes with their depth and the path that reached them
+     */
+    getTransitiveDependencies: function (nodeId, options = {}) {
+      try {
+        const reached = this.traverse(nodeId, {
+          relationshipType: options.relationshipType || "depends_on",
+          minStrength: options.minStrength,
+          maxDepth: options.maxDepth || 10,
+          direction: "outgoing",
+        });
+        const nodesById = new Map(
+          getGraphNodes(reached.map((entry) => entry.id)).map((node) => [
+            node.id,
+            node,
+          ])
+        );
+
+        return reached
+          .filter((entry) => nodesById.has(entry.id))
+          .map((entry) => ({
+            ...nodesById.get(entry.id),
+            depth: entry.depth,
+            path: entry.path,
+          }));
+      } catch (error) {
+        console.error(
+          `Error getting transitive dependencies: ${error.message}`
+        );
+        return [];
+      }
+    },
+
+    /**
+     * Extract a subgraph filtered by relationship type and minimum strength.
+     * With rootIds, only the part reachable from those nodes is returned.
+     * @param {Object} options - { rootIds, depth, direction, relationshipType(s), minStrength }
+     * @returns {Object} { nodes, edges }
+     */
+    getSubgraph: function (options = {}) {
+      try {
+        const filters = toTraversalOptions(options);
+        let nodeIds;
+
+        if (options.rootIds && options.rootIds.length > 0) {
+          nodeIds = new Set(options.rootIds);
+          for (const rootId of options.rootIds) {
+            this.traverse(rootId, {
+              ...options,
+              maxDepth: options.depth || options.maxDepth || 3,
+            }).forEach((entry) => nodeIds.add(entry.id));
+          }
+          nodeIds = [...nodeIds];
+        } else {
+          let where = `WHERE 1=1`;
+          const params = [];
+
+          if (filters.relationshipTypes && filters.relationshipTypes.length) {
+            const placeholders = filters.relationshipTypes
+              .map(() => "?")
+              .join(", ");
+            where += ` AND relationship_type IN (${placeholders})`;
+            params.push(...filters.relationshipTypes);
+          }
+
+          if (filters.minStrength) {
+            where += ` AND strength >= ?`;
+            params.push(filters.minStrength);
+          }
+
+          nodeIds = prepare(
+            `
+              SELECT source_id AS id FROM knowledge_relationships ${where}
+              UNION
+              SELECT target_id AS id FROM knowledge_relationships ${where}
+            `
+          )
+            .all(...params, ...params)
+            .map((row) => row.id);
+        }
+
+        return {
+          nodes: getGraphNodes(nodeIds),
+          edges: this.getEdgesBetween(nodeIds, options),
+        };
+      } catch (error) {
+        console.error(`Error extracting knowledge subgraph: ${error.message}`);
+        return { nodes: [], edges: [] };
+      }
+    },
+
+    /**
+     * Get the edges whose endpoints are both in a set of nodes
+     * @param {Array} nodeIds - Node IDs
+     * @param {Object} options - { relationshipType(s), minStrength }
+     * @returns {Array} Matching relationships
+     */
+    getEdgesBetween: function (nodeIds, options = {}) {
+      try {
+        if (nodeIds.length === 0) return [];
+
+        const filters = toTraversalOptions(options);
+        const placeholders = nodeIds.map(() => "?").join(", ");
+        let sql = `
+          SELECT id, source_id, target_id, relationship_type, strength, timestamp, metadata
+          FROM knowledge_relationships
+          WHERE source_id IN (${placeholders}) AND target_id IN (${placeholders})
+        `;
+        const params = [...nodeIds, ...nodeIds];
+
+        if (filters.relationshipTypes && filters.relationshipTypes.length) {
+          const typePlaceholders = filters.relationshipTypes
+            .map(() => "?")
+            .join(", ");
+          sql += ` AND relationship_type IN (${typePlaceholders})`;
+          params.push(...filters.relationshipTypes);
+        }
+
+        if (filters.minStrength) {
+          sql += ` AND strength >= ?`;
+          params.push(filters.minStrength);
+        }
+
+        sql += ` ORDER BY strength DESC, timestamp DESC`;
+
+        return prepare(sql)
+          .all(...params)
+          .map((row) => {
+            if (row.metadata) {
+              try {
+                row.metadata = JSON.parse(row.metadata);
+              } catch (e) {
+                // Leave as string if not valid JSON
+              }
+            }
+
+            return row;
+          });
+      } catch (error) {
+        console.error(`Error getting knowledge edges: ${error.message}`);
+        return [];
+      }
+    },
+
     logQuery: function (memoryType, query) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           INSERT INTO memory_queries
           (memory_type, query, timestamp, result_count, duration_ms)
           VALUES (?, ?, ?, 0, 0)
         `);
 
-        return stmt.run(memoryType, query, Date.now()).lastInsertRowid;
+        return stmt.run(
+          memoryType,
+          encryption.sealComparable(query),
+          Date.now()
+        ).lastInsertRowid;
       } catch (error) {
         console.error(`Error logging memory query: ${error.message}`);
         return null;
@@ -1063,7 +2888,7 @@ const MemoryDB = {
 
     updateQueryResults: function (memoryType, query, resultCount, durationMs) {
       try {
-        const stmt = db.prepare(`
+        const stmt = prepare(`
           UPDATE memory_queries
           SET result_count = ?, duration_ms = ?
           WHERE memory_type = ? AND query = ? AND timestamp = (
@@ -1072,7 +2897,15 @@ const MemoryDB = {
           )
         `);
 
-        stmt.run(resultCount, durationMs, memoryType, query, memoryType, query);
+        const stored = encryption.sealComparable(query);
+        stmt.run(
+          resultCount,
+          durationMs,
+          memoryType,
+          stored,
+          memoryType,
+          stored
+        );
       } catch (error) {
         console.error(`Error updating memory query results: ${error.message}`);
       }
@@ -1129,6 +2962,24 @@ if (typeof globalThis !== "undefined") {
     };
   }
 
+  if (!globalThis.MEMORY_SYSTEM.startConversation) {
+    globalThis.MEMORY_SYSTEM.startConversation = function (options = {}) {
+      return MemoryDB.conversations.start(options);
+    };
+  }
+
+  if (!globalThis.MEMORY_SYSTEM.resumeConversation) {
+    globalThis.MEMORY_SYSTEM.resumeConversation = function (id) {
+      return MemoryDB.conversations.resume(id);
+    };
+  }
+
+  if (!globalThis.MEMORY_SYSTEM.findConversation) {
+    globalThis.MEMORY_SYSTEM.findConversation = function (topic, options = {}) {
+      return MemoryDB.conversations.findAbout(topic, options);
+    };
+  }
+
   if (!globalThis.MEMORY_SYSTEM.storeKnowledge) {
     globalThis.MEMORY_SYSTEM.storeKnowledge = function (
       category,
@@ -1157,6 +3008,12 @@ if (typeof globalThis !== "undefined") {
     };
   }
 
+  if (!globalThis.MEMORY_SYSTEM.promoteKnowledge) {
+    globalThis.MEMORY_SYSTEM.promoteKnowledge = function (id, options = {}) {
+      return MemoryDB.global.promote(id, options);
+    };
+  }
+
   if (!globalThis.MEMORY_SYSTEM.createRelationship) {
     globalThis.MEMORY_SYSTEM.createRelationship = function (
       sourceId,
@@ -1179,16 +3036,8 @@ if (typeof globalThis !== "undefined" && !globalThis.nextResponsePrepend) {
   globalThis.nextResponsePrepend = [];
 }
 
-if (typeof globalThis !== "undefined" && globalThis.nextResponsePrepend) {
-  // Check if memory system banner is already present
-  const hasMemoryBanner = globalThis.nextResponsePrepend.some((banner) =>
-    banner.includes("MEMORY SYSTEM")
-  );
-
-  if (!hasMemoryBanner) {
-    globalThis.nextResponsePrepend.push("🧠 [MEMORY SYSTEM: ACTIVE]");
-  }
-}
+// Show active or degraded storage in the response banners
+storage.reportStatus();
 
 // Export module
 module.exports = MemoryDB;
@@ -0,0 +1,322 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const { tempDir, loadMemory } = require("./testing");
+
+const M = loadMemory();
+
+test("knowledge is reinforced only when the caller asks for it", () => {
+  const a = M.semantic.storeKnowledge("ops", "deploys", "on Fridays", {
+    confidence: 0.5,
+  });
+  const b = M.semantic.storeKnowledge("ops", "rollbacks", "by tag", {
+    confidence: 0.5,
+  });
+  const confidence = (id) => M.semantic.getById(id).confidence;
+
+  M.semantic.getByCategory("ops");
+  M.semantic.createRelationship(a, b, "related_to");
+  M.semantic.getKnowledge("ops", "deploys");
+  M.semantic.search("deploys");
+  M.semantic.similar("deploys on Fridays");
+  assert.strictEqual(confidence(a), 0.5);
+  assert.strictEqual(confidence(b), 0.5);
+
+  M.semantic.getKnowledge("ops", "deploys", { reinforce: true });
+  assert.ok(confidence(a) > 0.5);
+  assert.strictEqual(confidence(b), 0.5);
+});
+
+test("a failed migration leaves the file alone and falls back to memory", () => {
+  // Claims to be at version 1 but has no episodic_memory for the FTS triggers
+  const dbPath = path.join(tempDir(), "memory-system.db");
+  const broken = new sqlite3(dbPath);
+  broken.exec(`
+    CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL);
+    INSERT INTO schema_migrations VALUES (1, 'baseline', 0);
+  `);
+  broken.close();
+
+  const status = loadMemory({ dbPath }).storage.getStatus();
+  assert.strictEqual(status.degraded, true);
+
+  const file = new sqlite3(dbPath, { readonly: true });
+  assert.strictEqual(
+    file.prepare(`SELECT MAX(version) AS version FROM schema_migrations`).get()
+      .version,
+    1
+  );
+  file.close();
+});
+
+test("graph walks follow direction, survive cycles and stop at the target", () => {
+  const G = loadMemory();
+  const ids = {};
+  for (const topic of ["api", "db", "cache", "disk", "archive", "docs"]) {
+    ids[topic] = G.semantic.storeKnowledge("graph", topic, topic);
+  }
+  const link = (from, to, type) =>
+    G.semantic.createRelationship(ids[from], ids[to], type);
+  link("api", "db", "depends_on");
+  link("api", "cache", "depends_on");
+  link("cache", "db", "depends_on");
+  link("db", "disk", "depends_on");
+  link("disk", "archive", "depends_on");
+  link("disk", "api", "related_to");
+  link("docs", "api", "describes");
+
+  const topics = (rows) => rows.map((row) => row.topic);
+
+  assert.deepStrictEqual(
+    topics(G.semantic.getTransitiveDependencies(ids.api)).sort(),
+    ["archive", "cache", "db", "disk"]
+  );
+  assert.deepStrictEqual(G.semantic.getTransitiveDependencies(ids.docs), []);
+
+  // Any direction: docs -> api <- disk
+  const path = G.semantic.findPath(ids.docs, ids.disk);
+  assert.deepStrictEqual(topics(path.nodes), ["docs", "api", "disk"]);
+
+  const outgoing = G.semantic.findPath(ids.api, ids.disk, {
+    direction: "outgoing",
+    relationshipType: "depends_on",
+  });
+  assert.deepStrictEqual(topics(outgoing.nodes), ["api", "db", "disk"]);
+  assert.strictEqual(
+    G.semantic.findPath(ids.disk, ids.docs, { direction: "outgoing" }),
+    null
+  );
+
+  // Nothing beyond the target is visited
+  const reached = G.semantic.traverse(ids.api, {
+    direction: "outgoing",
+    stopAt: ids.disk,
+  });
+  assert.strictEqual(reached[reached.length - 1].id, ids.disk);
+  assert.ok(!reached.some((entry) => entry.id === ids.archive));
+});
+
+test("episodic search ranks full-text matches and tolerates bad syntax", () => {
+  const E = loadMemory();
+  const weights = { importance: 0, recency: 0 };
+  const once = E.episodic.store("the cache was cold after the restart");
+  const twice = E.episodic.store("cache misses: the cache was cold again");
+  const phrase = E.episodic.store("warm the cold storage before the cache");
+  const gone = E.episodic.store("cache entry that is deleted later");
+  E.episodic.delete(gone);
+
+  const ranked = E.episodic.rankedSearch("cache", { weights });
+  assert.strictEqual(ranked[0].id, twice);
+  assert.deepStrictEqual(
+    ranked.map((row) => row.id).sort(),
+    [once, twice, phrase].sort()
+  );
+  assert.match(ranked[0].snippet, /\[cache\]/);
+
+  assert.deepStrictEqual(
+    E.episodic
+      .rankedSearch('"cache was cold"')
+      .map((row) => row.id)
+      .sort(),
+    [once, twice].sort()
+  );
+  assert.deepStrictEqual(
+    E.episodic.rankedSearch("stor*").map((row) => row.id),
+    [phrase]
+  );
+
+  // Unbalanced quotes are retried as plain terms
+  assert.deepStrictEqual(
+    E.episodic.search('"restart').map((row) => row.id),
+    [once]
+  );
+
+  // Importance breaks ties between equally relevant episodes
+  const low = E.episodic.store("deploy window", { importance: 0.1 });
+  const high = E.episodic.store("deploy window", { importance: 0.9 });
+  assert.deepStrictEqual(
+    E.episodic.rankedSearch("deploy").map((row) => row.id),
+    [high, low]
+  );
+});
+
+test("knowledge edits keep revisions that can be diffed and reverted", () => {
+  const R = loadMemory();
+  const store = (content) =>
+    R.semantic.storeKnowledge("runbooks", "deploy", content, {
+      confidence: 0.8,
+      source: "user",
+    });
+  const id = store("build\ntest\nship");
+  store("build\ntest\nship");
+  store("build\nlint\ntest\nship");
+
+  // Storing identical content does not add a revision
+  const revisions = R.semantic.getRevisions(id);
+  assert.deepStrictEqual(
+    revisions.map((row) => [row.revision, row.current]),
+    [
+      [1, false],
+      [2, true],
+    ]
+  );
+  assert.strictEqual(
+    R.semantic.getRevision(id, 1).content,
+    "build\ntest\nship"
+  );
+
+  const diff = R.semantic.diffRevisions(id, 1);
+  assert.deepStrictEqual(Object.keys(diff.fields), ["content"]);
+  assert.deepStrictEqual(
+    diff.content.filter((change) => change.type !== "unchanged"),
+    [{ type: "added", line: "lint" }]
+  );
+  assert.strictEqual(R.semantic.diffRevisions(id, 7), null);
+
+  assert.strictEqual(
+    R.semantic.revertToRevision(id, 1, { source: "qa" }),
+    true
+  );
+  const current = R.semantic.getById(id);
+  assert.strictEqual(current.content, "build\ntest\nship");
+  assert.strictEqual(current.source, "qa");
+  assert.deepStrictEqual(
+    R.semantic.getRevisions(id).map((row) => row.content),
+    ["build\ntest\nship", "build\nlint\ntest\nship", "build\ntest\nship"]
+  );
+  assert.strictEqual(R.semantic.revertToRevision(id, 9), false);
+});
+
+test("similar finds knowledge by meaning and keeps vectors current", () => {
+  const V = loadMemory();
+  const pooling = V.semantic.storeKnowledge(
+    "db",
+    "pooling",
+    "reuse database connections from a pool"
+  );
+  V.semantic.storeKnowledge("office", "coffee", "the machine needs descaling");
+  V.semantic.storeKnowledge("db", "indexes", "index columns used in joins");
+
+  const found = V.semantic.similar("database connection pool", { k: 2 });
+  assert.strictEqual(found[0].id, pooling);
+  assert.ok(found[0].similarity > found[1].similarity);
+  assert.ok(
+    V.semantic
+      .similar("database connection pool", { category: "office" })
+      .every((row) => row.category === "office")
+  );
+
+  // Editing the text moves the node in the vector space
+  V.semantic.storeKnowledge(
+    "db",
+    "pooling",
+    "descaling schedule for the machine"
+  );
+  assert.strictEqual(
+    V.semantic.similar("descaling machine schedule", { category: "db" })[0].id,
+    pooling
+  );
+  assert.strictEqual(V.semantic.reindexEmbeddings(), 0);
+});
+
+test("conversations track their messages and can be closed and resumed", () => {
+  const C = loadMemory();
+  const now = Date.now;
+  let clock = now();
+  Date.now = () => ++clock;
+  try {
+    const review = C.conversations.start({
+      title: "Code review",
+      agents: ["lead"],
+    });
+    const outage = C.conversations.start({ title: "Staging outage" });
+
+    C.episodic.store("why is staging down?", {
+      conversationId: outage.id,
+      type: "user_message",
+      agent: "user",
+    });
+    C.episodic.store("the database ran out of disk", {
+      conversationId: outage.id,
+      type: "assistant_response",
+      agent: "ops",
+    });
+    C.episodic.store("a message for a conversation nobody started", {
+      conversationId: "conv_implicit",
+    });
+
+    const counted = C.conversations.get(outage.id);
+    assert.deepStrictEqual(
+      [
+        counted.message_count,
+        counted.user_message_count,
+        counted.assistant_message_count,
+      ],
+      [2, 1, 1]
+    );
+    assert.deepStrictEqual(counted.participants, ["user", "ops"]);
+    assert.strictEqual(C.conversations.get("conv_implicit").message_count, 1);
+    assert.deepStrictEqual(
+      C.conversations.getMessages(outage.id).map((episode) => episode.type),
+      ["user_message", "assistant_response"]
+    );
+
+    assert.strictEqual(C.conversations.rename(review.id, "PR review"), true);
+    assert.strictEqual(C.conversations.rename("conv_missing", "x"), false);
+    assert.deepStrictEqual(
+      C.conversations.list({ agent: "lead" }).map((found) => found.title),
+      ["PR review"]
+    );
+
+    C.conversations.close(outage.id, { summary: "freed disk space" });
+    assert.strictEqual(C.conversations.get(outage.id).status, "closed");
+    assert.strictEqual(C.conversations.getActive().id, "conv_implicit");
+    assert.deepStrictEqual(
+      C.conversations.findAbout("disk").map((found) => found.id),
+      [outage.id]
+    );
+
+    const resumed = C.conversations.resume(outage.id);
+    assert.strictEqual(resumed.status, "active");
+    assert.strictEqual(resumed.ended_at, null);
+    assert.strictEqual(resumed.summary, "freed disk space");
+    assert.strictEqual(C.conversations.getActive().id, outage.id);
+  } finally {
+    Date.now = now;
+  }
+});
+
+test("short-term writes upsert and batches commit or roll back together", () => {
+  const dbPath = path.join(tempDir(), "memory-system.db");
+  const B = loadMemory({ dbPath });
+
+  B.shortTerm.store("focus", "migrations", { expiryTime: Date.now() - 1 });
+  B.shortTerm.store("focus", "tests");
+  assert.strictEqual(B.shortTerm.get("focus"), "tests");
+
+  const raw = new sqlite3(dbPath, { readonly: true });
+  const count = (table) =>
+    raw.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  assert.strictEqual(count("short_term_memory"), 1);
+
+  const ids = B.episodic.storeMany([
+    { content: "first", importance: 0.5 },
+    { content: "second", type: "note" },
+  ]);
+  assert.strictEqual(ids.length, 2);
+  assert.strictEqual(B.episodic.get(ids[1]).type, "note");
+
+  const stored = B.semantic.storeMany([
+    { category: "ops", topic: "kept", content: "yes" },
+    { category: "", topic: "broken", content: "no" },
+  ]);
+  assert.deepStrictEqual(stored, []);
+  assert.strictEqual(count("semantic_knowledge"), 0);
+  raw.close();
+});
@@ -0,0 +1,667 @@
+/**
+ * Memory Export / Import
+ * Version: 1.0.0
+ *
+ * Dumps the memory database to NDJSON and restores it on another machine or
+ * project. The first line is a header; every following line holds one row:
+ *
+ *   {"type":"header","format":"cursor-memory","version":1,...}
+ *   {"type":"row","table":"episodic_memory","row":{...}}
+ *
+ * Imports are validated completely before anything is written and then
+ * applied in a single transaction.
+ *
+ * Exports hold decrypted rows. With encryption on, exportToFile refuses to
+ * write unless { allowPlaintext: true } is passed.
+ */
+
+const fs = require("fs");
+
+const FORMAT = "cursor-memory";
+const FORMAT_VERSION = 1;
+
+// Conflict strategies accepted by import
+const STRATEGIES = [
+  "skip",
+  "overwrite",
+  "keep-newer",
+  "keep-higher-confidence",
+];
+
+// Exported tables in dependency order, with the columns a row must carry
+const TABLES = {
+  short_term_memory: {
+    columns: ["key", "value", "timestamp", "expiry_time", "metadata"],
+    required: ["key", "value", "timestamp"],
+  },
+  episodic_memory: {
+    columns: [
+      "id",
+      "conversation_id",
+      "type",
+      "content",
+      "timestamp",
+      "importance",
+      "related_ids",
+      "metadata",
+    ],
+    required: ["id", "type", "content", "timestamp"],
+  },
+  semantic_knowledge: {
+    columns: [
+      "id",
+      "category",
+      "topic",
+      "content",
+      "confidence",
+      "timestamp",
+      "last_accessed",
+      "source",
+      "metadata",
+    ],
+    required: ["id", "category", "topic", "content", "timestamp"],
+  },
+  semantic_knowledge_history: {
+    columns: [
+      "knowledge_id",
+      "revision",
+      "category",
+      "topic",
+      "content",
+      "confidence",
+      "source",
+      "metadata",
+      "timestamp",
+      "archived_at",
+    ],
+    required: [
+      "knowledge_id",
+      "revision",
+      "category",
+      "topic",
+      "content",
+      "timestamp",
+      "archived_at",
+    ],
+  },
+  knowledge_relationships: {
+    columns: [
+      "id",
+      "source_id",
+      "target_id",
+      "relationship_type",
+      "strength",
+      "timestamp",
+      "metadata",
+    ],
+    required: ["source_id", "target_id", "relationship_type", "timestamp"],
+  },
+  conversations: {
+    columns: [
+      "id",
+      "title",
+      "status",
+      "started_at",
+      "ended_at",
+      "last_activity",
+      "participants",
+      "message_count",
+      "user_message_count",
+      "assistant_message_count",
+      "summary",
+      "metadata",
+    ],
+    required: ["id", "status", "started_at", "last_activity"],
+  },
+  memory_queries: {
+    columns: [
+      "id",
+      "memory_type",
+      "query",
+      "timestamp",
+      "result_count",
+      "duration_ms",
+      "metadata",
+    ],
+    required: ["memory_type", "query", "timestamp"],
+  },
+};
+
+// Columns stored as JSON text that must parse when present
+const JSON_COLUMNS = ["metadata", "related_ids", "participants"];
+
+/**
+ * Decide whether an incoming row should replace an existing one
+ * @param {string} strategy - Conflict strategy
+ * @param {Object} existing - Row already in the database
+ * @param {Object} incoming - Row being imported
+ * @param {string} scoreColumn - Column compared by keep-higher-confidence
+ * @returns {boolean} True to overwrite
+ */
+function shouldReplace(strategy, existing, incoming, scoreColumn) {
+  switch (strategy) {
+    case "overwrite":
+      return true;
+    case "keep-newer":
+      return (incoming.timestamp || 0) > (existing.timestamp || 0);
+    case "keep-higher-confidence":
+      // Tables without a confidence-like column fall back to keep-newer
+      if (!scoreColumn) {
+        return (incoming.timestamp || 0) > (existing.timestamp || 0);
+      }
+      return (incoming[scoreColumn] || 0) > (existing[scoreColumn] || 0);
+    default:
+      return false;
+  }
+}
+
+/**
+ * NDJSON export and import of every memory table
+ * @param {Object} context - { getDb, archiveKnowledgeRevision, sealRow,
+ *   isEncrypted, afterImport }
+ *   sealRow(table, row) returns the row as it should be stored (e.g. encrypted)
+ * @returns {Object} MemoryDB.transfer
+ */
+function createMemoryTransfer(context) {
+  const { getDb, archiveKnowledgeRevision, afterImport } = context;
+  const sealRow = context.sealRow || ((table, row) => row);
+  const isEncrypted = context.isEncrypted || (() => false);
+
+  // Tables that exist in this database (older schemas may lack some)
+  function getExportableTables() {
+    const db = getDb();
+    const existing = new Set(
+      db
+        .prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`)
+        .all()
+        .map((row) => row.name)
+    );
+
+    return Object.keys(TABLES).filter((table) => existing.has(table));
+  }
+
+  // Yield { table, line } for the header and every exported row
+  function* exportRecords(options = {}) {
+    const db = getDb();
+    const tables = getExportableTables().filter(
+      (table) => !options.tables || options.tables.includes(table)
+    );
+
+    const schema = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`
+      )
+      .get()
+      ? db
+          .prepare(`SELECT MAX(version) AS version FROM schema_migrations`)
+          .get().version
+      : 0;
+
+    yield {
+      table: null,
+      line: JSON.stringify({
+        type: "header",
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        schemaVersion: schema,
+        exportedAt: Date.now(),
+        tables,
+      }),
+    };
+
+    for (const table of tables) {
+      const columns = TABLES[table].columns.join(", ");
+      const stmt = db.prepare(`SELECT ${columns} FROM ${table}`);
+
+      for (const row of stmt.iterate()) {
+        yield { table, line: JSON.stringify({ type: "row", table, row }) };
+      }
+    }
+  }
+
+  // Validate every parsed line before anything is written
+  function validate(records) {
+    const errors = [];
+    const header = records[0] && records[0].record;
+
+    if (!header || header.type !== "header" || header.format !== FORMAT) {
+      errors.push({ line: 1, error: `Missing ${FORMAT} header line` });
+    } else if (header.version > FORMAT_VERSION) {
+      errors.push({
+        line: 1,
+        error: `Export format version ${header.version} is newer than supported (${FORMAT_VERSION})`,
+      });
+    }
+
+    for (const { line, record } of records.slice(1)) {
+      if (record.type !== "row") {
+        errors.push({ line, error: `Unknown record type: ${record.type}` });
+        continue;
+      }
+
+      const spec = TABLES[record.table];
+      if (!spec) {
+        errors.push({ line, error: `Unknown table: ${record.table}` });
+        continue;
+      }
+
+      if (!record.row || typeof record.row !== "object") {
+        errors.push({ line, error: "Row is missing" });
+        continue;
+      }
+
+      for (const column of spec.required) {
+        if (record.row[column] === null || record.row[column] === undefined) {
+          errors.push({ line, error: `${record.table}.${column} is required` });
+        }
+      }
+
+      for (const column of JSON_COLUMNS) {
+        const value = record.row[column];
+        if (typeof value === "string") {
+          try {
+            JSON.parse(value);
+          } catch (e) {
+            errors.push({
+              line,
+              error: `${record.table}.${column} is not valid JSON`,
+            });
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Insert a row using only the columns known for its table
+  function insertRow(table, row, omit = []) {
+    row = sealRow(table, row);
+    const columns = TABLES[table].columns.filter(
+      (column) => !omit.includes(column) && row[column] !== undefined
+    );
+    const placeholders = columns.map(() => "?").join(", ");
+
+    return getDb()
+      .prepare(
+        `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${placeholders})`
+      )
+      .run(...columns.map((column) => row[column]));
+  }
+
+  // Update the non-key columns of an existing row
+  function updateRow(table, row, where, whereParams, omit = []) {
+    row = sealRow(table, row);
+    const columns = TABLES[table].columns.filter(
+      (column) => !omit.includes(column) && row[column] !== undefined
+    );
+    const assignments = columns.map((column) => `${column} = ?`).join(", ");
+
+    return getDb()
+      .prepare(`UPDATE ${table} SET ${assignments} WHERE ${where}`)
+      .run(...columns.map((column) => row[column]), ...whereParams);
+  }
+
+  return {
+    FORMAT,
+    FORMAT_VERSION,
+    STRATEGIES,
+
+    /**
+     * Lazily yield the database as NDJSON lines, one row at a time
+     * @param {Object} options - { tables } to export a subset
+     * @returns {Generator<string>} NDJSON lines without trailing newlines
+     */
+    exportLines: function* (options = {}) {
+      for (const { line } of exportRecords(options)) {
+        yield line;
+      }
+    },
+
+    /**
+     * Stream the database to an NDJSON file
+     * @param {string} filePath - Destination file
+     * @param {Object} options - { tables, allowPlaintext } where
+     *   allowPlaintext is required while encryption is on
+     * @returns {Object|null} Row counts per table, or null if refused
+     */
+    exportToFile: function (filePath, options = {}) {
+      if (isEncrypted() && !options.allowPlaintext) {
+        console.error(
+          `Export to ${filePath} refused: memory is encrypted and the export would be plaintext (pass allowPlaintext to write it anyway)`
+        );
+        return null;
+      }
+
+      const counts = {};
+      const fd = fs.openSync(filePath, "w");
+
+      try {
+        for (const { table, line } of exportRecords(options)) {
+          fs.writeSync(fd, `${line}\n`);
+          if (table) counts[table] = (counts[table] || 0) + 1;
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      console.log(`Exported memory to ${filePath}`);
+      return counts;
+    },
+
+    /**
+     * Import NDJSON lines produced by exportLines
+     * @param {Array<string>} lines - NDJSON lines
+     * @param {Object} options - { strategy = "skip", dryRun = false }
+     * @returns {Object} Report with per-table counts, ID maps and validation
+     *   errors. A dry run reports the same counts without keeping any writes.
+     */
+    importLines: function (lines, options = {}) {
+      const strategy = options.strategy || "skip";
+      const report = {
+        strategy,
+        dryRun: !!options.dryRun,
+        valid: false,
+        errors: [],
+        tables: {},
+        idMap: { episodic_memory: {}, semantic_knowledge: {} },
+      };
+
+      if (!STRATEGIES.includes(strategy)) {
+        report.errors.push({ line: 0, error: `Unknown strategy: ${strategy}` });
+        return report;
+      }
+
+      // Parse
+      const records = [];
+      lines.forEach((text, index) => {
+        if (!text.trim()) return;
+        try {
+          records.push({ line: index + 1, record: JSON.parse(text) });
+        } catch (e) {
+          report.errors.push({ line: index + 1, error: "Invalid JSON" });
+        }
+      });
+
+      // Validate
+      report.errors.push(...validate(records));
+      report.valid = report.errors.length === 0;
+      if (!report.valid) return report;
+
+      const rowsByTable = {};
+      for (const { record } of records.slice(1)) {
+        (rowsByTable[record.table] = rowsByTable[record.table] || []).push(
+          record.row
+        );
+      }
+
+      const db = getDb();
+      const count = (table, outcome) => {
+        report.tables[table] = report.tables[table] || {
+          inserted: 0,
+          updated: 0,
+          skipped: 0,
+        };
+        report.tables[table][outcome]++;
+      };
+      const episodeIds = report.idMap.episodic_memory;
+      const knowledgeIds = report.idMap.semantic_knowledge;
+      const newKnowledge = new Set();
+      const writtenEpisodes = new Set();
+      const rolledBack = new Error("Dry run");
+
+      const apply = db.transaction(() => {
+        for (const row of rowsByTable.short_term_memory || []) {
+          const existing = db
+            .prepare(`SELECT timestamp FROM short_term_memory WHERE key = ?`)
+            .get(row.key);
+
+          if (!existing) {
+            insertRow("short_term_memory", row);
+            count("short_term_memory", "inserted");
+          } else if (shouldReplace(strategy, existing, row, null)) {
+            updateRow("short_term_memory", row, "key = ?", [row.key], ["key"]);
+            count("short_term_memory", "updated");
+          } else {
+            count("short_term_memory", "skipped");
+          }
+        }
+
+        // Conversations compare by last activity rather than timestamp
+        for (const row of rowsByTable.conversations || []) {
+          const existing = db
+            .prepare(`SELECT last_activity FROM conversations WHERE id = ?`)
+            .get(row.id);
+
+          if (!existing) {
+            insertRow("conversations", row);
+            count("conversations", "inserted");
+          } else if (
+            shouldReplace(
+              strategy,
+              { timestamp: existing.last_activity },
+              { timestamp: row.last_activity },
+              null
+            )
+          ) {
+            updateRow("conversations", row, "id = ?", [row.id], ["id"]);
+            count("conversations", "updated");
+          } else {
+            count("conversations", "skipped");
+          }
+        }
+
+        // Episodes get fresh autoincrement IDs; identical episodes are conflicts.
+        // Content is compared after reading, since stored content may be encrypted.
+        for (const row of rowsByTable.episodic_memory || []) {
+          const existing = db
+            .prepare(
+              `
+              SELECT id, content, timestamp, importance FROM episodic_memory
+              WHERE type = ? AND timestamp = ? AND conversation_id IS ?
+            `
+            )
+            .all(row.type, row.timestamp, row.conversation_id)
+            .find((candidate) => candidate.content === row.content);
+
+          if (!existing) {
+            const result = insertRow("episodic_memory", row, ["id"]);
+            episodeIds[row.id] = Number(result.lastInsertRowid);
+            writtenEpisodes.add(row.id);
+            count("episodic_memory", "inserted");
+          } else {
+            episodeIds[row.id] = existing.id;
+            if (shouldReplace(strategy, existing, row, "importance")) {
+              updateRow(
+                "episodic_memory",
+                row,
+                "id = ?",
+                [existing.id],
+                ["id"]
+              );
+              writtenEpisodes.add(row.id);
+              count("episodic_memory", "updated");
+            } else {
+              count("episodic_memory", "skipped");
+            }
+          }
+        }
+
+        // Point related_ids at the remapped episode IDs. Skipped episodes
+        // keep the related_ids they already had locally.
+        for (const row of rowsByTable.episodic_memory || []) {
+          if (!writtenEpisodes.has(row.id) || !row.related_ids) continue;
+
+          const related = JSON.parse(row.related_ids);
+          if (!Array.isArray(related)) continue;
+
+          const remapped = related.map((id) =>
+            episodeIds[id] !== undefined ? episodeIds[id] : id
+          );
+          db.prepare(
+            `UPDATE episodic_memory SET related_ids = ? WHERE id = ?`
+          ).run(JSON.stringify(remapped), episodeIds[row.id]);
+        }
+
+        // Knowledge conflicts on ID or on the unique (category, topic) pair
+        for (const row of rowsByTable.semantic_knowledge || []) {
+          const existing = db
+            .prepare(
+              `
+              SELECT id, timestamp, confidence FROM semantic_knowledge
+              WHERE id = ? OR (category = ? AND topic = ?)
+            `
+            )
+            .get(row.id, row.category, row.topic);
+
+          if (!existing) {
+            insertRow("semantic_knowledge", row);
+            knowledgeIds[row.id] = row.id;
+            newKnowledge.add(row.id);
+            count("semantic_knowledge", "inserted");
+          } else {
+            knowledgeIds[row.id] = existing.id;
+            if (shouldReplace(strategy, existing, row, "confidence")) {
+              archiveKnowledgeRevision(existing.id);
+              updateRow(
+                "semantic_knowledge",
+                row,
+                "id = ?",
+                [existing.id],
+                ["id", "category", "topic"]
+              );
+              count("semantic_knowledge", "updated");
+            } else {
+              count("semantic_knowledge", "skipped");
+            }
+          }
+        }
+
+        // History only follows nodes that were newly created by this import
+        for (const row of rowsByTable.semantic_knowledge_history || []) {
+          if (!newKnowledge.has(row.knowledge_id)) {
+            count("semantic_knowledge_history", "skipped");
+            continue;
+          }
+
+          insertRow("semantic_knowledge_history", row);
+          count("semantic_knowledge_history", "inserted");
+        }
+
+        for (const row of rowsByTable.knowledge_relationships || []) {
+          const mapped = {
+            ...row,
+            source_id: knowledgeIds[row.source_id] || row.source_id,
+            target_id: knowledgeIds[row.target_id] || row.target_id,
+          };
+
+          // Foreign keys are enforced; edges need both nodes to exist
+          const missing = [mapped.source_id, mapped.target_id].some(
+            (id) =>
+              !db
+                .prepare(`SELECT 1 FROM semantic_knowledge WHERE id = ?`)
+                .get(id)
+          );
+          if (missing) {
+            count("knowledge_relationships", "skipped");
+            continue;
+          }
+
+          const existing = db
+            .prepare(
+              `
+              SELECT id, timestamp, strength FROM knowledge_relationships
+              WHERE source_id = ? AND target_id = ? AND relationship_type = ?
+            `
+            )
+            .get(mapped.source_id, mapped.target_id, mapped.relationship_type);
+
+          if (!existing) {
+            insertRow("knowledge_relationships", mapped, ["id"]);
+            count("knowledge_relationships", "inserted");
+          } else if (shouldReplace(strategy, existing, mapped, "strength")) {
+            updateRow(
+              "knowledge_relationships",
+              mapped,
+              "id = ?",
+              [existing.id],
+              ["id"]
+            );
+            count("knowledge_relationships", "updated");
+          } else {
+            count("knowledge_relationships", "skipped");
+          }
+        }
+
+        // Query log rows are append-only; exact duplicates are skipped.
+        // Stored query text is compared in its sealed form.
+        for (const row of rowsByTable.memory_queries || []) {
+          const existing = db
+            .prepare(
+              `
+              SELECT id FROM memory_queries
+              WHERE memory_type = ? AND query = ? AND timestamp = ?
+            `
+            )
+            .get(
+              row.memory_type,
+              sealRow("memory_queries", row).query,
+              row.timestamp
+            );
+
+          if (existing) {
+            count("memory_queries", "skipped");
+          } else {
+            insertRow("memory_queries", row, ["id"]);
+            count("memory_queries", "inserted");
+          }
+        }
+
+        // A dry run goes through the same steps, then rolls them back
+        if (report.dryRun) throw rolledBack;
+      });
+
+      try {
+        apply();
+      } catch (error) {
+        if (error === rolledBack) return report;
+
+        // The transaction rolled back, so nothing from this import was kept
+        report.errors.push({ line: 0, error: error.message });
+        report.tables = {};
+        return report;
+      }
+
+      if (typeof afterImport === "function") afterImport(report);
+
+      return report;
+    },
+
+    /**
+     * Import an NDJSON file produced by exportToFile
+     * @param {string} filePath - Source file
+     * @param {Object} options - { strategy, dryRun }
+     * @returns {Object} Import report
+     */
+    importFromFile: function (filePath, options = {}) {
+      const lines = fs.readFileSync(filePath, "utf8").split("\n");
+      const report = this.importLines(lines, options);
+
+      if (report.errors.length > 0) {
+        console.error(
+          `Import of ${filePath} rejected: ${report.errors.length} validation error(s)`
+        );
+      } else {
+        console.log(
+          `${report.dryRun ? "Validated" : "Imported"} ${filePath} (${
+            report.strategy
+          })`
+        );
+      }
+
+      return report;
+    },
+  };
+}
+
+module.exports = createMemoryTransfer;
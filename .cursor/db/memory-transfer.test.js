@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadMemory } = require("./testing");
+
+// Export a source database once, then import it into fresh targets
+const source = loadMemory();
+const first = source.episodic.store("first", { type: "note" });
+source.episodic.store("second", { type: "note", relatedIds: [first] });
+source.semantic.storeKnowledge("stack", "runtime", "Node 20", {
+  confidence: 0.5,
+});
+const exported = [...source.transfer.exportLines()];
+
+// The same export with some rows changed
+function edit(lines, table, change) {
+  return lines.map((line) => {
+    const record = JSON.parse(line);
+    if (record.table !== table) return line;
+    return JSON.stringify({ ...record, row: change(record.row) });
+  });
+}
+
+function findEpisode(M, content) {
+  return M.episodic
+    .search(content)
+    .find((episode) => episode.content === content);
+}
+
+test("a dry run reports the same counts as the import", () => {
+  const M = loadMemory();
+
+  const dry = M.transfer.importLines(exported, { dryRun: true });
+  assert.strictEqual(dry.valid, true);
+  assert.strictEqual(findEpisode(M, "second"), undefined);
+
+  const real = M.transfer.importLines(exported);
+  assert.deepStrictEqual(dry.tables, real.tables);
+  assert.deepStrictEqual(real.tables.episodic_memory, {
+    inserted: 2,
+    updated: 0,
+    skipped: 0,
+  });
+
+  // related_ids point at the IDs the episodes received here
+  const second = findEpisode(M, "second");
+  assert.deepStrictEqual(second.related_ids, [
+    real.idMap.episodic_memory[first],
+  ]);
+});
+
+test("skipped episodes keep their local related_ids", () => {
+  const M = loadMemory();
+  M.transfer.importLines(exported);
+  const before = findEpisode(M, "second").related_ids;
+
+  const rewired = edit(exported, "episodic_memory", (row) =>
+    row.content === "second" ? { ...row, related_ids: "[999]" } : row
+  );
+
+  const skipped = M.transfer.importLines(rewired, { strategy: "skip" });
+  assert.strictEqual(skipped.tables.episodic_memory.skipped, 2);
+  assert.deepStrictEqual(findEpisode(M, "second").related_ids, before);
+
+  const replaced = M.transfer.importLines(rewired, { strategy: "overwrite" });
+  assert.strictEqual(replaced.tables.episodic_memory.updated, 2);
+  assert.deepStrictEqual(findEpisode(M, "second").related_ids, [999]);
+});
+
+test("conflict strategies decide which knowledge wins", () => {
+  const M = loadMemory();
+  M.transfer.importLines(exported);
+
+  const lower = edit(exported, "semantic_knowledge", (row) => ({
+    ...row,
+    content: "Node 18",
+    confidence: 0.2,
+    timestamp: row.timestamp + 1000,
+  }));
+  const content = () => M.semantic.getKnowledge("stack", "runtime").content;
+
+  M.transfer.importLines(lower, { strategy: "skip" });
+  assert.strictEqual(content(), "Node 20");
+
+  M.transfer.importLines(lower, { strategy: "keep-higher-confidence" });
+  assert.strictEqual(content(), "Node 20");
+
+  M.transfer.importLines(lower, { strategy: "keep-newer" });
+  assert.strictEqual(content(), "Node 18");
+
+  // The replaced content is kept as a revision
+  const id = M.semantic.getKnowledge("stack", "runtime").id;
+  assert.ok(
+    M.semantic
+      .getRevisions(id)
+      .some((revision) => revision.content === "Node 20")
+  );
+});
+
+test("invalid lines reject the whole import", () => {
+  const M = loadMemory();
+  const report = M.transfer.importLines([...exported, "{not json"]);
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.errors[0].error, "Invalid JSON");
+  assert.strictEqual(findEpisode(M, "first"), undefined);
+});
+
+test("an overwrite with an older timestamp still refreshes the embedding", () => {
+  const M = loadMemory();
+  M.transfer.importLines(exported);
+
+  const older = edit(exported, "semantic_knowledge", (row) => ({
+    ...row,
+    content: "Deno with permissions sandboxing",
+    timestamp: row.timestamp - 60 * 60 * 1000,
+  }));
+  M.transfer.importLines(older, { strategy: "overwrite" });
+
+  const [match] = M.semantic.similar("deno permissions sandboxing");
+  assert.strictEqual(match.topic, "runtime");
+  assert.ok(match.similarity > 0.5, `similarity ${match.similarity}`);
+});
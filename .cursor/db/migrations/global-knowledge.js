@@ -0,0 +1,51 @@
+/**
+ * Global Knowledge Schema Migrations
+ *
+ * Ordered up-migrations for the user-level global-knowledge.db. Never edit a
+ * migration that has shipped; add a new one with the next version number
+ * instead.
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: "baseline",
+    up: (db) => {
+      // Knowledge promoted from workspaces, with its embedding inline
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS global_knowledge (
+          id TEXT PRIMARY KEY,
+          category TEXT NOT NULL,
+          topic TEXT NOT NULL,
+          content TEXT NOT NULL,
+          confidence REAL DEFAULT 1.0,
+          timestamp INTEGER NOT NULL,
+          last_accessed INTEGER,
+          source TEXT,
+          metadata TEXT,
+          origin_workspace TEXT,
+          origin_id TEXT,
+          promoted_at INTEGER NOT NULL,
+          model TEXT,
+          vector BLOB
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_gk_category_topic ON global_knowledge(category, topic);
+        CREATE INDEX IF NOT EXISTS idx_gk_category ON global_knowledge(category);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "encryption_salts",
+    up: (db) => {
+      // Per-database salts for stretching an encryption passphrase
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS encryption_salts (
+          salt TEXT PRIMARY KEY,
+          created_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+];
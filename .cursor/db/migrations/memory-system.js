@@ -0,0 +1,299 @@
+/**
+ * Memory System Schema Migrations
+ *
+ * Ordered up-migrations for memory-system.db. Never edit a migration that has
+ * shipped; add a new one with the next version number instead.
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: "baseline",
+    up: (db) => {
+      // Short-term memory table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS short_term_memory (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          expiry_time INTEGER,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_stm_timestamp ON short_term_memory(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_stm_expiry ON short_term_memory(expiry_time);
+      `);
+
+      // Episodic memory table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS episodic_memory (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT,
+          type TEXT NOT NULL,
+          content TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          importance INTEGER DEFAULT 1,
+          related_ids TEXT,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_em_timestamp ON episodic_memory(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_em_conversation ON episodic_memory(conversation_id);
+        CREATE INDEX IF NOT EXISTS idx_em_importance ON episodic_memory(importance);
+        CREATE INDEX IF NOT EXISTS idx_em_type ON episodic_memory(type);
+      `);
+
+      // Semantic memory table - knowledge nodes
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS semantic_knowledge (
+          id TEXT PRIMARY KEY,
+          category TEXT NOT NULL,
+          topic TEXT NOT NULL,
+          content TEXT NOT NULL,
+          confidence REAL DEFAULT 1.0,
+          timestamp INTEGER NOT NULL,
+          last_accessed INTEGER,
+          source TEXT,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sk_category ON semantic_knowledge(category);
+        CREATE INDEX IF NOT EXISTS idx_sk_topic ON semantic_knowledge(topic);
+        CREATE INDEX IF NOT EXISTS idx_sk_timestamp ON semantic_knowledge(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_sk_last_accessed ON semantic_knowledge(last_accessed);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_sk_category_topic ON semantic_knowledge(category, topic);
+      `);
+
+      // Semantic memory table - relationships
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS knowledge_relationships (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_id TEXT NOT NULL,
+          target_id TEXT NOT NULL,
+          relationship_type TEXT NOT NULL,
+          strength REAL DEFAULT 1.0,
+          timestamp INTEGER NOT NULL,
+          metadata TEXT,
+          UNIQUE(source_id, target_id, relationship_type),
+          FOREIGN KEY (source_id) REFERENCES semantic_knowledge(id),
+          FOREIGN KEY (target_id) REFERENCES semantic_knowledge(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_kr_source ON knowledge_relationships(source_id);
+        CREATE INDEX IF NOT EXISTS idx_kr_target ON knowledge_relationships(target_id);
+        CREATE INDEX IF NOT EXISTS idx_kr_relationship ON knowledge_relationships(relationship_type);
+      `);
+
+      // Memory queries log
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_queries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_type TEXT NOT NULL,
+          query TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          result_count INTEGER DEFAULT 0,
+          duration_ms INTEGER DEFAULT 0,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_mq_timestamp ON memory_queries(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_mq_memory_type ON memory_queries(memory_type);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "episodic_fts",
+    up: (db) => {
+      // FTS5 index over episodic content, kept in sync by triggers
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS episodic_memory_fts USING fts5(
+          content,
+          content = 'episodic_memory',
+          content_rowid = 'id',
+          tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS trg_em_fts_insert AFTER INSERT ON episodic_memory BEGIN
+          INSERT INTO episodic_memory_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_em_fts_delete AFTER DELETE ON episodic_memory BEGIN
+          INSERT INTO episodic_memory_fts (episodic_memory_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_em_fts_update AFTER UPDATE OF content ON episodic_memory BEGIN
+          INSERT INTO episodic_memory_fts (episodic_memory_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+          INSERT INTO episodic_memory_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+      `);
+
+      // Backfill episodes captured before the index existed
+      db.exec(
+        `INSERT INTO episodic_memory_fts (episodic_memory_fts) VALUES ('rebuild')`
+      );
+    },
+  },
+  {
+    version: 3,
+    name: "semantic_knowledge_history",
+    up: (db) => {
+      // Prior versions of knowledge nodes, one row per superseded revision
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS semantic_knowledge_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          knowledge_id TEXT NOT NULL,
+          revision INTEGER NOT NULL,
+          category TEXT NOT NULL,
+          topic TEXT NOT NULL,
+          content TEXT NOT NULL,
+          confidence REAL,
+          source TEXT,
+          metadata TEXT,
+          timestamp INTEGER NOT NULL,
+          archived_at INTEGER NOT NULL,
+          UNIQUE(knowledge_id, revision)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_skh_knowledge ON semantic_knowledge_history(knowledge_id);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "semantic_embeddings",
+    up: (db) => {
+      // Offline embedding vectors for semantic similarity search
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS semantic_embeddings (
+          knowledge_id TEXT PRIMARY KEY,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          updated_at INTEGER NOT NULL,
+          FOREIGN KEY (knowledge_id) REFERENCES semantic_knowledge(id)
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "conversations",
+    up: (db) => {
+      // One row per conversation; episodes link to it via conversation_id
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          title TEXT,
+          status TEXT NOT NULL DEFAULT 'active',
+          started_at INTEGER NOT NULL,
+          ended_at INTEGER,
+          last_activity INTEGER NOT NULL,
+          participants TEXT,
+          message_count INTEGER NOT NULL DEFAULT 0,
+          user_message_count INTEGER NOT NULL DEFAULT 0,
+          assistant_message_count INTEGER NOT NULL DEFAULT 0,
+          summary TEXT,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_conv_status ON conversations(status);
+        CREATE INDEX IF NOT EXISTS idx_conv_last_activity ON conversations(last_activity);
+      `);
+
+      // Backfill conversations already referenced by episodes
+      db.exec(`
+        INSERT OR IGNORE INTO conversations
+        (id, status, started_at, ended_at, last_activity, participants,
+         message_count, user_message_count, assistant_message_count)
+        SELECT conversation_id, 'closed', MIN(timestamp), MAX(timestamp), MAX(timestamp), '[]',
+               COUNT(*),
+               SUM(CASE WHEN type = 'user_message' THEN 1 ELSE 0 END),
+               SUM(CASE WHEN type = 'assistant_response' THEN 1 ELSE 0 END)
+        FROM episodic_memory
+        WHERE conversation_id IS NOT NULL AND conversation_id != ''
+        GROUP BY conversation_id;
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "memory_blind_index",
+    up: (db) => {
+      // Keyed token hashes for searching encrypted content
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_blind_index (
+          table_name TEXT NOT NULL,
+          row_id TEXT NOT NULL,
+          token TEXT NOT NULL,
+          PRIMARY KEY (table_name, row_id, token)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_mbi_token ON memory_blind_index(table_name, token);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "knowledge_categories",
+    up: (db) => {
+      // Category tree; semantic_knowledge.category holds a path into it
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS knowledge_categories (
+          path TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          parent_path TEXT,
+          description TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_kc_parent ON knowledge_categories(parent_path);
+      `);
+
+      // Backfill every category in use, with its ancestors
+      const insert = db.prepare(`
+        INSERT OR IGNORE INTO knowledge_categories (path, name, parent_path, created_at)
+        VALUES (?, ?, ?, ?)
+      `);
+      const now = Date.now();
+      const categories = db
+        .prepare(`SELECT DISTINCT category FROM semantic_knowledge`)
+        .all();
+
+      for (const { category } of categories) {
+        const segments = category.split("/").filter(Boolean);
+        for (let i = 0; i < segments.length; i++) {
+          insert.run(
+            segments.slice(0, i + 1).join("/"),
+            segments[i],
+            i > 0 ? segments.slice(0, i).join("/") : null,
+            now
+          );
+        }
+      }
+    },
+  },
+  {
+    version: 8,
+    name: "encryption_salts",
+    up: (db) => {
+      // Per-database salts for stretching an encryption passphrase
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS encryption_salts (
+          salt TEXT PRIMARY KEY,
+          created_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "embedding_content_hash",
+    up: (db) => {
+      // Fingerprint of the text each vector was built from
+      db.exec(`ALTER TABLE semantic_embeddings ADD COLUMN content_hash TEXT`);
+    },
+  },
+];
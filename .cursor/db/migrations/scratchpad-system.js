@@ -0,0 +1,262 @@
+/**
+ * Scratchpad System Schema Migrations
+ *
+ * Ordered up-migrations for scratchpad-system.db. Never edit a migration that
+ * has shipped; add a new one with the next version number instead.
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: "baseline",
+    up: (db) => {
+      // Messages table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id TEXT PRIMARY KEY,
+          thread_id TEXT,
+          from_agent TEXT NOT NULL,
+          to_agent TEXT NOT NULL,
+          message_type TEXT NOT NULL,
+          content TEXT,
+          timestamp INTEGER NOT NULL,
+          read INTEGER DEFAULT 0,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_msg_thread ON messages(thread_id);
+        CREATE INDEX IF NOT EXISTS idx_msg_from ON messages(from_agent);
+        CREATE INDEX IF NOT EXISTS idx_msg_to ON messages(to_agent);
+        CREATE INDEX IF NOT EXISTS idx_msg_timestamp ON messages(timestamp);
+      `);
+
+      // Threads table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS threads (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL,
+          creator_id TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          status TEXT DEFAULT 'active',
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_thread_creator ON threads(creator_id);
+        CREATE INDEX IF NOT EXISTS idx_thread_status ON threads(status);
+      `);
+
+      // Tasks table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tasks (
+          id TEXT PRIMARY KEY,
+          thread_id TEXT,
+          description TEXT NOT NULL,
+          assigned_to TEXT NOT NULL,
+          status TEXT NOT NULL,
+          priority INTEGER DEFAULT 3,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          result TEXT,
+          metadata TEXT,
+          FOREIGN KEY (thread_id) REFERENCES threads(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_task_thread ON tasks(thread_id);
+        CREATE INDEX IF NOT EXISTS idx_task_assigned ON tasks(assigned_to);
+        CREATE INDEX IF NOT EXISTS idx_task_status ON tasks(status);
+        CREATE INDEX IF NOT EXISTS idx_task_priority ON tasks(priority);
+      `);
+
+      // Workspace variables table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS workspace_variables (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          scope TEXT DEFAULT 'global',
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          created_by TEXT,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_var_scope ON workspace_variables(scope);
+      `);
+
+      // Agents table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS agents (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          status TEXT NOT NULL,
+          capabilities TEXT,
+          last_active INTEGER,
+          metadata TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "task_dependencies",
+    up: (db) => {
+      // A task cannot start until every task it depends on is completed
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_dependencies (
+          task_id TEXT NOT NULL,
+          depends_on_id TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          PRIMARY KEY (task_id, depends_on_id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id),
+          FOREIGN KEY (depends_on_id) REFERENCES tasks(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_td_depends_on ON task_dependencies(depends_on_id);
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "task_events",
+    up: (db) => {
+      // Every task status change, with who made it and why
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          from_status TEXT,
+          to_status TEXT,
+          actor TEXT,
+          reason TEXT,
+          timestamp INTEGER NOT NULL,
+          metadata TEXT,
+          FOREIGN KEY (task_id) REFERENCES tasks(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_te_task ON task_events(task_id, timestamp);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "task_leases",
+    up: (db) => {
+      // Work-queue leases: who holds a task, until when, and how often it
+      // has been handed out
+      db.exec(`
+        ALTER TABLE tasks ADD COLUMN required_capabilities TEXT;
+        ALTER TABLE tasks ADD COLUMN lease_owner TEXT;
+        ALTER TABLE tasks ADD COLUMN lease_expires_at INTEGER;
+        ALTER TABLE tasks ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE tasks ADD COLUMN max_attempts INTEGER;
+
+        CREATE INDEX IF NOT EXISTS idx_task_queue ON tasks(status, priority DESC, created_at);
+        CREATE INDEX IF NOT EXISTS idx_task_lease ON tasks(lease_expires_at);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "scratchpad_changes",
+    up: (db) => {
+      // Change log read by subscribers in other processes
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS scratchpad_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity TEXT NOT NULL,
+          action TEXT NOT NULL,
+          entity_id TEXT NOT NULL,
+          thread_id TEXT,
+          agent_id TEXT,
+          message_type TEXT,
+          origin TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          payload TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sc_timestamp ON scratchpad_changes(timestamp);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "thread_archive",
+    up: (db) => {
+      // Raw messages of archived threads, replaced by a summary message
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS archived_messages (
+          id TEXT PRIMARY KEY,
+          thread_id TEXT NOT NULL,
+          from_agent TEXT NOT NULL,
+          to_agent TEXT NOT NULL,
+          message_type TEXT NOT NULL,
+          content TEXT,
+          timestamp INTEGER NOT NULL,
+          read INTEGER DEFAULT 0,
+          metadata TEXT,
+          archived_at INTEGER NOT NULL,
+          FOREIGN KEY (thread_id) REFERENCES threads(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_am_thread ON archived_messages(thread_id, timestamp);
+
+        ALTER TABLE threads ADD COLUMN archived_at INTEGER;
+        ALTER TABLE threads ADD COLUMN summary_message_id TEXT;
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "variable_versions",
+    up: (db) => {
+      // Rebuild with (key, scope) as the key so one name can exist in
+      // several scopes, adding a version counter and an optional value type
+      db.exec(`
+        CREATE TABLE workspace_variables_new (
+          key TEXT NOT NULL,
+          value TEXT NOT NULL,
+          scope TEXT NOT NULL DEFAULT 'global',
+          value_type TEXT,
+          version INTEGER NOT NULL DEFAULT 1,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          created_by TEXT,
+          updated_by TEXT,
+          metadata TEXT,
+          PRIMARY KEY (key, scope)
+        );
+
+        INSERT INTO workspace_variables_new
+          (key, value, scope, version, created_at, updated_at, created_by, updated_by, metadata)
+        SELECT key, value, COALESCE(scope, 'global'), 1, created_at, updated_at, created_by, created_by, metadata
+        FROM workspace_variables;
+
+        DROP TABLE workspace_variables;
+        ALTER TABLE workspace_variables_new RENAME TO workspace_variables;
+
+        CREATE INDEX IF NOT EXISTS idx_var_scope ON workspace_variables(scope);
+      `);
+
+      // Every value a variable has had
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS variable_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT NOT NULL,
+          scope TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          value TEXT,
+          value_type TEXT,
+          changed_by TEXT,
+          changed_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_vh_key ON variable_history(key, scope, version);
+
+        INSERT INTO variable_history (key, scope, version, action, value, changed_by, changed_at)
+        SELECT key, scope, 1, 'set', value, created_by, updated_at FROM workspace_variables;
+      `);
+    },
+  },
+];
@@ -0,0 +1,125 @@
+/**
+ * Schema Migration Runner
+ * Version: 1.0.0
+ *
+ * Applies ordered up-migrations to a SQLite database and records each applied
+ * step in a `schema_migrations` table. Every step runs in its own transaction
+ * so a failing migration leaves the database at the last good version.
+ */
+
+/**
+ * Create the migrations bookkeeping table if it doesn't exist
+ * @param {Object} db - better-sqlite3 database connection
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+}
+
+/**
+ * Get the highest applied migration version
+ * @param {Object} db - better-sqlite3 database connection
+ * @returns {number} Current schema version (0 for an unversioned database)
+ */
+function getSchemaVersion(db) {
+  const table = db
+    .prepare(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`
+    )
+    .get();
+
+  if (!table) return 0;
+
+  const row = db
+    .prepare(`SELECT MAX(version) AS version FROM schema_migrations`)
+    .get();
+
+  return (row && row.version) || 0;
+}
+
+/**
+ * Get the list of applied migrations
+ * @param {Object} db - better-sqlite3 database connection
+ * @returns {Array} Applied migrations ordered by version
+ */
+function getAppliedMigrations(db) {
+  if (getSchemaVersion(db) === 0) return [];
+
+  return db
+    .prepare(
+      `SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC`
+    )
+    .all();
+}
+
+/**
+ * Get the version the code expects a database to be at
+ * @param {Array} migrations - Migration definitions
+ * @returns {number} Latest known migration version
+ */
+function getLatestVersion(migrations) {
+  return migrations.reduce(
+    (latest, migration) => Math.max(latest, migration.version),
+    0
+  );
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} db - better-sqlite3 database connection
+ * @param {Array} migrations - Migration definitions ({ version, name, up })
+ * @param {Object} options - Options ({ label } used in log output)
+ * @returns {Object} { from, to, applied } describing what was run
+ * @throws {Error} With code SCHEMA_TOO_NEW when the database is ahead of the code
+ */
+function migrate(db, migrations, options = {}) {
+  const label = options.label || "DB";
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  const latest = getLatestVersion(ordered);
+
+  ensureMigrationsTable(db);
+  const from = getSchemaVersion(db);
+
+  if (from > latest) {
+    const error = new Error(
+      `${label} schema version ${from} is newer than this code supports (${latest}); refusing to open`
+    );
+    error.code = "SCHEMA_TOO_NEW";
+    throw error;
+  }
+
+  const recordStmt = db.prepare(`
+    INSERT INTO schema_migrations (version, name, applied_at)
+    VALUES (?, ?, ?)
+  `);
+
+  const applied = [];
+  for (const migration of ordered) {
+    if (migration.version <= from) continue;
+
+    console.log(
+      `${label}: applying migration ${migration.version} (${migration.name})`
+    );
+
+    db.transaction(() => {
+      migration.up(db);
+      recordStmt.run(migration.version, migration.name, Date.now());
+    })();
+
+    applied.push(migration.version);
+  }
+
+  return { from, to: getSchemaVersion(db), applied };
+}
+
+module.exports = {
+  migrate,
+  getSchemaVersion,
+  getAppliedMigrations,
+  getLatestVersion,
+};
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const migrator = require("./migrator");
+
+const notes = {
+  version: 1,
+  name: "notes",
+  up: (db) => db.exec(`CREATE TABLE notes (id INTEGER PRIMARY KEY)`),
+};
+const tags = {
+  version: 2,
+  name: "tags",
+  up: (db) => db.exec(`ALTER TABLE notes ADD COLUMN tags TEXT`),
+};
+
+function columns(db, table) {
+  return db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .map((column) => column.name);
+}
+
+test("pending migrations run once, in version order", () => {
+  const db = new sqlite3(":memory:");
+
+  const first = migrator.migrate(db, [tags, notes]);
+  assert.deepStrictEqual(first, { from: 0, to: 2, applied: [1, 2] });
+  assert.deepStrictEqual(columns(db, "notes"), ["id", "tags"]);
+  assert.deepStrictEqual(
+    migrator.getAppliedMigrations(db).map((row) => row.name),
+    ["notes", "tags"]
+  );
+
+  const again = migrator.migrate(db, [notes, tags]);
+  assert.deepStrictEqual(again, { from: 2, to: 2, applied: [] });
+});
+
+test("a failing migration is rolled back and stops the run", () => {
+  const db = new sqlite3(":memory:");
+  const broken = {
+    version: 2,
+    name: "broken",
+    up: (db) => {
+      db.exec(`ALTER TABLE notes ADD COLUMN half TEXT`);
+      throw new Error("boom");
+    },
+  };
+  const later = { version: 3, name: "later", up: () => {} };
+
+  assert.throws(() => migrator.migrate(db, [notes, broken, later]), /boom/);
+  assert.strictEqual(migrator.getSchemaVersion(db), 1);
+  assert.deepStrictEqual(columns(db, "notes"), ["id"]);
+});
+
+test("a database ahead of the code is refused", () => {
+  const db = new sqlite3(":memory:");
+  migrator.migrate(db, [notes, tags]);
+
+  assert.throws(() => migrator.migrate(db, [notes]), {
+    code: "SCHEMA_TOO_NEW",
+  });
+  assert.strictEqual(migrator.getSchemaVersion(db), 2);
+});
+
+test("the shipped migrations apply cleanly to an empty database", () => {
+  for (const name of [
+    "memory-system",
+    "scratchpad-system",
+    "global-knowledge",
+  ]) {
+    const migrations = require(`./migrations/${name}`);
+    const versions = migrations.map((migration) => migration.version);
+    assert.strictEqual(new Set(versions).size, versions.length, name);
+
+    const db = new sqlite3(":memory:");
+    const result = migrator.migrate(db, migrations);
+    assert.strictEqual(result.to, migrator.getLatestVersion(migrations), name);
+    assert.strictEqual(result.applied.length, migrations.length, name);
+  }
+});
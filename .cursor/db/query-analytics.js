@@ -0,0 +1,248 @@
+/**
+ * Memory Query Analytics
+ * Version: 1.0.0
+ *
+ * Reads the memory_queries log written by every memory search and reports
+ * latency, zero-result queries and usage per memory type, so we can tell
+ * whether retrieval is actually helping the agents.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes accepted by frequency reports
+const BUCKETS = {
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+};
+
+// Index advice per memory type, used when a type is consistently slow
+const INDEX_ADVICE = {
+  episodic:
+    "Episodic search is slow: check that episodic_memory_fts exists (node .cursor/check-schema.js) and narrow searches with type or conversationId filters",
+  semantic:
+    "Semantic search uses LIKE '%query%' on topic/content, which cannot use idx_sk_topic; a full-text index over semantic_knowledge would help",
+  semantic_similar:
+    "Similarity search scans every stored vector; restrict it with a category filter or prune low-confidence knowledge",
+};
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+// Reports over memory_queries, mounted as MemoryDB.analytics
+function createQueryAnalytics(context) {
+  const { getDb } = context;
+
+  // Build the shared WHERE clause for time range and memory type filters
+  function buildFilter(options = {}) {
+    let where = `WHERE 1=1`;
+    const params = [];
+
+    if (options.since) {
+      where += ` AND timestamp >= ?`;
+      params.push(options.since);
+    }
+
+    if (options.until) {
+      where += ` AND timestamp <= ?`;
+      params.push(options.until);
+    }
+
+    if (options.memoryType) {
+      where += ` AND memory_type = ?`;
+      params.push(options.memoryType);
+    }
+
+    return { where, params };
+  }
+
+  return {
+    /**
+     * Slowest individual queries
+     * @param {Object} options - { since, until, memoryType, limit = 10 }
+     * @returns {Array} Query log rows ordered by duration
+     */
+    slowestQueries: function (options = {}) {
+      const { where, params } = buildFilter(options);
+
+      return getDb()
+        .prepare(
+          `
+          SELECT id, memory_type, query, timestamp, result_count, duration_ms
+          FROM memory_queries
+          ${where}
+          ORDER BY duration_ms DESC, timestamp DESC
+          LIMIT ?
+        `
+        )
+        .all(...params, options.limit || 10);
+    },
+
+    /**
+     * Queries that returned nothing, grouped by text
+     * @param {Object} options - { since, until, memoryType, limit = 20 }
+     * @returns {Array} { memory_type, query, occurrences, last_seen }
+     */
+    zeroResultQueries: function (options = {}) {
+      const { where, params } = buildFilter(options);
+
+      return getDb()
+        .prepare(
+          `
+          SELECT memory_type, query, COUNT(*) AS occurrences, MAX(timestamp) AS last_seen
+          FROM memory_queries
+          ${where} AND result_count = 0
+          GROUP BY memory_type, query
+          ORDER BY occurrences DESC, last_seen DESC
+          LIMIT ?
+        `
+        )
+        .all(...params, options.limit || 20);
+    },
+
+    /**
+     * Query counts per memory type per time bucket
+     * @param {Object} options - { since, until, memoryType, bucket = "day" }
+     * @returns {Array} { bucket_start, memory_type, count, zero_results }
+     */
+    frequencyByType: function (options = {}) {
+      const bucketMs = BUCKETS[options.bucket || "day"] || BUCKETS.day;
+      const { where, params } = buildFilter(options);
+
+      return getDb()
+        .prepare(
+          `
+          SELECT CAST(timestamp / ? AS INTEGER) * ? AS bucket_start, memory_type,
+                 COUNT(*) AS count,
+                 SUM(CASE WHEN result_count = 0 THEN 1 ELSE 0 END) AS zero_results
+          FROM memory_queries
+          ${where}
+          GROUP BY bucket_start, memory_type
+          ORDER BY bucket_start ASC, memory_type ASC
+        `
+        )
+        .all(bucketMs, bucketMs, ...params);
+    },
+
+    /**
+     * Latency distribution per memory type
+     * @param {Object} options - { since, until, memoryType }
+     * @returns {Object} { [memoryType]: { count, avg, p50, p95, max, zeroResultRate } }
+     */
+    latency: function (options = {}) {
+      const { where, params } = buildFilter(options);
+      const rows = getDb()
+        .prepare(
+          `
+          SELECT memory_type, duration_ms, result_count
+          FROM memory_queries
+          ${where}
+          ORDER BY memory_type, duration_ms ASC
+        `
+        )
+        .all(...params);
+
+      const byType = {};
+      for (const row of rows) {
+        (byType[row.memory_type] = byType[row.memory_type] || []).push(row);
+      }
+
+      const stats = {};
+      for (const [memoryType, entries] of Object.entries(byType)) {
+        const durations = entries.map((entry) => entry.duration_ms);
+        const total = durations.reduce((sum, value) => sum + value, 0);
+
+        stats[memoryType] = {
+          count: entries.length,
+          avg: Math.round((total / entries.length) * 100) / 100,
+          p50: percentile(durations, 50),
+          p95: percentile(durations, 95),
+          max: durations[durations.length - 1],
+          zeroResultRate:
+            entries.filter((entry) => entry.result_count === 0).length /
+            entries.length,
+        };
+      }
+
+      return stats;
+    },
+
+    /**
+     * Flag memory types and repeated queries that would benefit from indexes
+     * @param {Object} options - { since, slowMs = 50, minOccurrences = 3 }
+     * @returns {Array} { memoryType, query?, reason, suggestion }
+     */
+    indexSuggestions: function (options = {}) {
+      const slowMs = options.slowMs || 50;
+      const minOccurrences = options.minOccurrences || 3;
+      const suggestions = [];
+
+      for (const [memoryType, stats] of Object.entries(this.latency(options))) {
+        if (stats.count >= minOccurrences && stats.p95 >= slowMs) {
+          suggestions.push({
+            memoryType,
+            reason: `p95 latency ${stats.p95}ms over ${stats.count} queries`,
+            suggestion:
+              INDEX_ADVICE[memoryType] ||
+              `Queries against ${memoryType} memory are slow; review the columns they filter on`,
+          });
+        }
+      }
+
+      const { where, params } = buildFilter(options);
+      const repeated = getDb()
+        .prepare(
+          `
+          SELECT memory_type, query, COUNT(*) AS occurrences, AVG(duration_ms) AS avg_ms
+          FROM memory_queries
+          ${where}
+          GROUP BY memory_type, query
+          HAVING COUNT(*) >= ? AND AVG(duration_ms) >= ?
+          ORDER BY avg_ms DESC
+          LIMIT 10
+        `
+        )
+        .all(...params, minOccurrences, slowMs);
+
+      for (const row of repeated) {
+        suggestions.push({
+          memoryType: row.memory_type,
+          query: row.query,
+          reason: `Ran ${row.occurrences} times averaging ${Math.round(
+            row.avg_ms
+          )}ms`,
+          suggestion:
+            "Frequent slow query: cache its results in short-term memory or add an index on the columns it matches",
+        });
+      }
+
+      return suggestions;
+    },
+
+    /**
+     * Full analytics report
+     * @param {Object} options - { days = 7, bucket = "day", slowMs, minOccurrences }
+     * @returns {Object} Combined report
+     */
+    report: function (options = {}) {
+      const since = options.since || Date.now() - (options.days || 7) * DAY_MS;
+      const scoped = { ...options, since };
+
+      return {
+        since,
+        generatedAt: Date.now(),
+        latency: this.latency(scoped),
+        slowest: this.slowestQueries(scoped),
+        zeroResults: this.zeroResultQueries(scoped),
+        frequency: this.frequencyByType(scoped),
+        suggestions: this.indexSuggestions(scoped),
+      };
+    },
+  };
+}
+
+module.exports = createQueryAnalytics;
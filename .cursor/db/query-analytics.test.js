@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const migrator = require("./migrator");
+const createQueryAnalytics = require("./query-analytics");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const now = Date.now();
+
+const db = new sqlite3(":memory:");
+migrator.migrate(db, require("./migrations/memory-system"));
+const analytics = createQueryAnalytics({ getDb: () => db });
+
+const log = db.prepare(`
+  INSERT INTO memory_queries (memory_type, query, timestamp, result_count, duration_ms)
+  VALUES (?, ?, ?, ?, ?)
+`);
+for (const duration of [10, 20, 30, 40, 200]) {
+  log.run("episodic", "deploy", now - HOUR_MS, 2, duration);
+}
+log.run("episodic", "rollback plan", now - 2 * HOUR_MS, 0, 5);
+log.run("episodic", "rollback plan", now - HOUR_MS, 0, 5);
+log.run("semantic", "staging", now - 2 * DAY_MS, 0, 1);
+log.run("semantic", "ancient", now - 30 * DAY_MS, 0, 999);
+
+test("latency is summarised per memory type", () => {
+  const stats = analytics.latency({ since: now - DAY_MS });
+  assert.deepStrictEqual(Object.keys(stats), ["episodic"]);
+  assert.deepStrictEqual(stats.episodic, {
+    count: 7,
+    avg: 44.29,
+    p50: 20,
+    p95: 200,
+    max: 200,
+    zeroResultRate: 2 / 7,
+  });
+});
+
+test("zero-result and slow queries are grouped and ranked", () => {
+  assert.deepStrictEqual(
+    analytics
+      .zeroResultQueries({ since: now - 7 * DAY_MS })
+      .map((row) => [row.query, row.occurrences]),
+    [
+      ["rollback plan", 2],
+      ["staging", 1],
+    ]
+  );
+  assert.deepStrictEqual(
+    analytics
+      .slowestQueries({ memoryType: "episodic", limit: 2 })
+      .map((row) => row.duration_ms),
+    [200, 40]
+  );
+
+  const suggestions = analytics.indexSuggestions({
+    since: now - DAY_MS,
+    slowMs: 50,
+  });
+  assert.deepStrictEqual(
+    suggestions.map((row) => [row.memoryType, row.query]),
+    [
+      ["episodic", undefined],
+      ["episodic", "deploy"],
+    ]
+  );
+});
+
+test("the report covers the requested window only", () => {
+  const report = analytics.report({ days: 7 });
+  assert.ok(!report.slowest.some((row) => row.query === "ancient"));
+  assert.deepStrictEqual(
+    report.frequency
+      .filter((row) => row.memory_type === "semantic")
+      .map((row) => [row.count, row.zero_results]),
+    [[1, 1]]
+  );
+  assert.strictEqual(report.latency.semantic.count, 1);
+});
@@ -0,0 +1,326 @@
+/**
+ * Relationship Inference From Co-occurrence
+ * Version: 1.0.0
+ *
+ * Finds knowledge topics mentioned together in the same conversations (or
+ * episodes) and records `related_to` edges between them. Edge strength is the
+ * normalised pointwise mutual information (NPMI) of the two topics:
+ *
+ *   npmi(a, b) = log(p(a, b) / (p(a) p(b))) / -log(p(a, b))
+ *
+ * which is 1 when two topics only ever appear together and 0 when they are
+ * independent. Inferred edges carry `metadata.inferred = true`; edges created
+ * by hand are never changed. Every run re-scores all inferred edges from the
+ * current episodes, so running it periodically keeps strengths current.
+ */
+
+const RELATIONSHIP_TYPE = "related_to";
+const LAST_RUN_KEY = "relationship_inference_last_run";
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lowercase and turn separators into spaces so topics match prose
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[_\-/]+/g, " ")
+    .replace(/\s+/g, " ");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Order a pair so each undirected edge has one key
+function pairKey(a, b) {
+  return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+/**
+ * Co-occurrence job that keeps inferred related_to edges current
+ * @param {Object} context - { getDb, getMemoryDB } where getMemoryDB()
+ *   keeps the last run in short-term memory
+ * @returns {Object} MemoryDB.inference
+ */
+function createRelationshipInference(context) {
+  const { getDb, getMemoryDB } = context;
+
+  // Knowledge nodes with a pattern that finds their topic in prose
+  function loadTopics(minTopicLength) {
+    return getDb()
+      .prepare(`SELECT id, topic FROM semantic_knowledge`)
+      .all()
+      .map((row) => ({ id: row.id, phrase: normalizeText(row.topic).trim() }))
+      .filter((row) => row.phrase.length >= minTopicLength)
+      .map((row) => ({
+        id: row.id,
+        pattern: new RegExp(`\\b${escapeRegExp(row.phrase)}\\b`),
+      }));
+  }
+
+  // Group episodes into co-occurrence windows and find the topics in each
+  function collectWindows(topics, options) {
+    const knownIds = new Set(topics.map((topic) => topic.id));
+    const windows = new Map();
+
+    const rows = getDb()
+      .prepare(
+        `
+        SELECT id, conversation_id, content, related_ids
+        FROM episodic_memory
+        ORDER BY id DESC
+        LIMIT ?
+      `
+      )
+      .all(options.limit);
+
+    for (const row of rows) {
+      const key =
+        options.window === "episode" || !row.conversation_id
+          ? `episode:${row.id}`
+          : `conversation:${row.conversation_id}`;
+      if (!windows.has(key)) windows.set(key, new Set());
+      const mentioned = windows.get(key);
+
+      const text = normalizeText(row.content);
+      for (const topic of topics) {
+        if (topic.pattern.test(text)) mentioned.add(topic.id);
+      }
+
+      // Knowledge the episode was explicitly linked to counts as a mention
+      try {
+        for (const id of JSON.parse(row.related_ids || "[]")) {
+          if (knownIds.has(String(id))) mentioned.add(String(id));
+        }
+      } catch (e) {
+        // Ignore related_ids that are not valid JSON
+      }
+    }
+
+    return [...windows.values()];
+  }
+
+  // Inferred related_to edges and which pairs already have a manual edge
+  function loadExistingEdges() {
+    const inferred = new Map();
+    const manual = new Set();
+
+    const rows = getDb()
+      .prepare(
+        `
+        SELECT id, source_id, target_id, metadata
+        FROM knowledge_relationships
+        WHERE relationship_type = ?
+      `
+      )
+      .all(RELATIONSHIP_TYPE);
+
+    for (const row of rows) {
+      let metadata = null;
+      try {
+        metadata = JSON.parse(row.metadata);
+      } catch (e) {
+        // Leave unparseable metadata as manual
+      }
+
+      const key = pairKey(row.source_id, row.target_id);
+      if (metadata && metadata.inferred) {
+        inferred.set(key, row);
+      } else {
+        manual.add(key);
+      }
+    }
+
+    return { inferred, manual };
+  }
+
+  return {
+    RELATIONSHIP_TYPE,
+
+    /**
+     * Score every co-occurring topic pair and create, update or remove
+     * inferred `related_to` edges to match
+     * @param {Object} options - { window = "conversation" | "episode",
+     *   minCooccurrences = 2, minStrength = 0.1, minTopicLength = 3,
+     *   limit = 5000 episodes, dryRun, prune = true }
+     * @returns {Object} Report with scored pairs and edge counts
+     */
+    run: function (options = {}) {
+      const settings = {
+        window: options.window || "conversation",
+        minCooccurrences: options.minCooccurrences || 2,
+        minStrength:
+          options.minStrength !== undefined ? options.minStrength : 0.1,
+        minTopicLength: options.minTopicLength || 3,
+        limit: options.limit || 5000,
+      };
+      const dryRun = !!options.dryRun;
+      const prune = options.prune !== false;
+      const report = {
+        ...settings,
+        dryRun,
+        windows: 0,
+        pairs: [],
+        created: 0,
+        updated: 0,
+        removed: 0,
+        skippedManual: 0,
+      };
+
+      try {
+        const db = getDb();
+        const windows = collectWindows(
+          loadTopics(settings.minTopicLength),
+          settings
+        );
+        report.windows = windows.length;
+
+        // Count single and joint mentions per window
+        const counts = new Map();
+        const jointCounts = new Map();
+        for (const mentioned of windows) {
+          const ids = [...mentioned].sort();
+          ids.forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+          for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+              const key = pairKey(ids[i], ids[j]);
+              jointCounts.set(key, (jointCounts.get(key) || 0) + 1);
+            }
+          }
+        }
+
+        const total = windows.length;
+        for (const [key, joint] of jointCounts) {
+          if (joint < settings.minCooccurrences) continue;
+
+          const [a, b] = key.split("\u0000");
+          const pJoint = joint / total;
+          const pmi = Math.log(
+            pJoint / ((counts.get(a) / total) * (counts.get(b) / total))
+          );
+          // Pairs present in every window carry no information
+          const npmi = pJoint === 1 ? 0 : pmi / -Math.log(pJoint);
+
+          if (npmi >= settings.minStrength) {
+            report.pairs.push({
+              sourceId: a,
+              targetId: b,
+              cooccurrences: joint,
+              support: [counts.get(a), counts.get(b)],
+              pmi,
+              strength: Math.min(1, npmi),
+            });
+          }
+        }
+        report.pairs.sort((x, y) => y.strength - x.strength);
+
+        if (dryRun) return report;
+
+        const { inferred, manual } = loadExistingEdges();
+        const insert = db.prepare(`
+          INSERT INTO knowledge_relationships
+          (source_id, target_id, relationship_type, strength, timestamp, metadata)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        const update = db.prepare(`
+          UPDATE knowledge_relationships
+          SET strength = ?, timestamp = ?, metadata = ?
+          WHERE id = ?
+        `);
+        const remove = db.prepare(
+          `DELETE FROM knowledge_relationships WHERE id = ?`
+        );
+
+        db.transaction(() => {
+          const now = Date.now();
+          const kept = new Set();
+
+          for (const pair of report.pairs) {
+            const key = pairKey(pair.sourceId, pair.targetId);
+            if (manual.has(key)) {
+              report.skippedManual++;
+              continue;
+            }
+
+            const metadata = JSON.stringify({
+              inferred: true,
+              method: "npmi",
+              window: settings.window,
+              cooccurrences: pair.cooccurrences,
+              support: pair.support,
+              windows: total,
+              pmi: pair.pmi,
+              scoredAt: now,
+            });
+
+            kept.add(key);
+            const existing = inferred.get(key);
+            if (existing) {
+              update.run(pair.strength, now, metadata, existing.id);
+              report.updated++;
+            } else {
+              insert.run(
+                pair.sourceId,
+                pair.targetId,
+                RELATIONSHIP_TYPE,
+                pair.strength,
+                now,
+                metadata
+              );
+              report.created++;
+            }
+          }
+
+          // Inferred edges whose topics no longer co-occur enough
+          if (prune) {
+            for (const [key, edge] of inferred) {
+              if (!kept.has(key)) {
+                remove.run(edge.id);
+                report.removed++;
+              }
+            }
+          }
+
+          getMemoryDB().shortTerm.store(LAST_RUN_KEY, {
+            runAt: now,
+            created: report.created,
+            updated: report.updated,
+            removed: report.removed,
+          });
+        })();
+
+        console.log(
+          `Inferred relationships: ${report.created} created, ${report.updated} re-scored, ${report.removed} removed`
+        );
+        return report;
+      } catch (error) {
+        console.error(`Error inferring relationships: ${error.message}`);
+        report.error = error.message;
+        return report;
+      }
+    },
+
+    /**
+     * Run inference only if the last run is older than the interval
+     * @param {Object} options - { intervalHours = 24, ...run options }
+     * @returns {Object|null} Run report, or null when not due
+     */
+    runIfDue: function (options = {}) {
+      const lastRun = this.getLastRun();
+      const intervalMs = (options.intervalHours || 24) * HOUR_MS;
+
+      if (lastRun && Date.now() - lastRun.runAt < intervalMs) return null;
+      return this.run(options);
+    },
+
+    /**
+     * Summary of the last run that wrote edges
+     * @returns {Object|null} { runAt, created, updated, removed }
+     */
+    getLastRun: function () {
+      const lastRun = getMemoryDB().shortTerm.get(LAST_RUN_KEY);
+      return lastRun && typeof lastRun === "object" ? lastRun : null;
+    },
+  };
+}
+
+module.exports = createRelationshipInference;
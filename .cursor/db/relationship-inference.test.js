@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadMemory } = require("./testing");
+
+const M = loadMemory();
+const ids = {};
+for (const topic of ["kubernetes", "helm", "coffee", "descaling"]) {
+  ids[topic] = M.semantic.storeKnowledge("topics", topic, topic);
+}
+
+const mention = (conversationId, text) =>
+  M.episodic.store(text, { conversationId });
+mention("c1", "deploying to kubernetes");
+mention("c1", "the helm chart needs a bump");
+mention("c2", "helm upgrade on the kubernetes cluster");
+const helmOnly = mention("c3", "helm values for staging");
+mention("c4", "the coffee machine needs descaling");
+mention("c5", "coffee again, descaling is overdue");
+mention("c6", "quiet day");
+
+// Hand-made edge between two topics that also co-occur
+M.semantic.createRelationship(ids.coffee, ids.descaling, "related_to");
+
+const inferredEdges = () =>
+  M.semantic
+    .getSubgraph({ relationshipType: "related_to" })
+    .edges.filter((edge) => edge.metadata && edge.metadata.inferred);
+
+test("a dry run scores pairs without writing edges", () => {
+  const report = M.inference.run({ dryRun: true });
+  assert.strictEqual(report.windows, 6);
+  assert.deepStrictEqual(
+    report.pairs
+      .map((pair) => [pair.sourceId, pair.targetId].sort().join(" "))
+      .sort(),
+    [
+      [ids.coffee, ids.descaling].sort().join(" "),
+      [ids.helm, ids.kubernetes].sort().join(" "),
+    ].sort()
+  );
+  assert.deepStrictEqual(inferredEdges(), []);
+  assert.strictEqual(M.inference.getLastRun(), null);
+});
+
+test("co-occurring topics get a scored edge and manual edges are kept", () => {
+  const report = M.inference.run();
+  assert.deepStrictEqual(
+    [report.created, report.updated, report.skippedManual],
+    [1, 0, 1]
+  );
+
+  const [edge] = inferredEdges();
+  assert.deepStrictEqual(
+    [edge.source_id, edge.target_id].sort(),
+    [ids.helm, ids.kubernetes].sort()
+  );
+  assert.ok(edge.strength > 0 && edge.strength <= 1);
+  assert.strictEqual(edge.metadata.cooccurrences, 2);
+
+  // Not due again until the interval has passed
+  assert.strictEqual(M.inference.runIfDue(), null);
+  assert.strictEqual(M.inference.getLastRun().created, 1);
+});
+
+test("re-running re-scores edges and prunes those that no longer hold", () => {
+  const before = inferredEdges()[0].strength;
+  M.episodic.delete(helmOnly);
+  const rescored = M.inference.run();
+  assert.strictEqual(rescored.updated, 1);
+  assert.ok(inferredEdges()[0].strength > before);
+
+  const pruned = M.inference.run({ minCooccurrences: 3 });
+  assert.strictEqual(pruned.removed, 1);
+  assert.deepStrictEqual(inferredEdges(), []);
+  assert.ok(
+    M.semantic.getRelationship(ids.coffee, ids.descaling, "related_to")
+  );
+});
@@ -0,0 +1,362 @@
+/**
+ * Scratchpad Change Events
+ * Version: 1.0.0
+ *
+ * Lets agents react to new messages, task changes and variable updates
+ * instead of polling. Every change is written to scratchpad_changes in the
+ * same transaction as the change itself, then delivered to listeners in
+ * this process once it has committed. watch() additionally polls
+ * PRAGMA data_version and delivers changes written by other processes
+ * sharing the database file.
+ *
+ * The change log is pruned to the retention window on the first publish in
+ * a process and every PRUNE_INTERVAL publishes after that, so it stays
+ * bounded whether or not anyone watches.
+ *
+ * Events look like:
+ *   { id, type: "message" | "task" | "variable", action, entityId,
+ *     threadId, agentId, messageType, timestamp, data, remote }
+ *
+ * agentId is the recipient of a message or the assignee of a task.
+ */
+
+const EventEmitter = require("events");
+
+const EVENT_TYPES = ["message", "task", "variable"];
+
+const DEFAULT_WATCH_OPTIONS = {
+  intervalMs: 500,
+  retentionMs: 24 * 60 * 60 * 1000,
+};
+
+// Publishes between automatic prunes of the change log
+const PRUNE_INTERVAL = 100;
+
+// Identifies this process's rows in the change log
+const ORIGIN = `${process.pid}_${Date.now()}_${Math.floor(
+  Math.random() * 10000
+)}`;
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build a predicate from a subscription filter
+ * @param {Object} filter - { types, agentId, threadId, messageType }, each
+ *   a value or a list of accepted values
+ * @returns {Function} event => boolean
+ */
+function createMatcher(filter = {}) {
+  const types = toList(filter.types || filter.type);
+  const agents = toList(filter.agentId);
+  const threads = toList(filter.threadId);
+  const messageTypes = toList(filter.messageType);
+
+  return (event) =>
+    (!types || types.includes(event.type)) &&
+    (!agents || agents.includes(event.agentId)) &&
+    (!threads || threads.includes(event.threadId)) &&
+    (!messageTypes || messageTypes.includes(event.messageType));
+}
+
+function toEvent(row, remote) {
+  let data = row.payload;
+  if (data) {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      // Leave as string if not valid JSON
+    }
+  }
+
+  return {
+    id: row.id,
+    type: row.entity,
+    action: row.action,
+    entityId: row.entity_id,
+    threadId: row.thread_id,
+    agentId: row.agent_id,
+    messageType: row.message_type,
+    timestamp: row.timestamp,
+    data,
+    remote,
+  };
+}
+
+// One emitter per scratchpad connection, mounted as ScratchpadDB.events
+function createScratchpadEvents(context) {
+  const { getDb } = context;
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  let watcher = null;
+  let retentionMs = DEFAULT_WATCH_OPTIONS.retentionMs;
+  let publishes = 0;
+
+  // Change log rows written by this process, by id, awaiting commit
+  const pending = new Map();
+  let flushing = false;
+
+  // Deliver pending rows once the surrounding transaction has finished,
+  // dropping those that were rolled back
+  function flush() {
+    try {
+      const db = getDb();
+      if (db.inTransaction) {
+        setImmediate(flush);
+        return;
+      }
+      flushing = false;
+
+      // The row under the same id must still be the one that was written
+      const committed = db.prepare(
+        `
+        SELECT 1 FROM scratchpad_changes
+        WHERE id = ? AND origin = ? AND timestamp = ? AND entity = ?
+          AND action = ? AND entity_id = ? AND payload IS ?
+      `
+      );
+      const rows = [...pending.values()];
+      pending.clear();
+
+      for (const row of rows) {
+        if (
+          committed.get(
+            row.id,
+            ORIGIN,
+            row.timestamp,
+            row.entity,
+            row.action,
+            row.entity_id,
+            row.payload
+          )
+        ) {
+          emitter.emit("change", toEvent(row, false));
+        }
+      }
+    } catch (error) {
+      flushing = false;
+      pending.clear();
+      console.error(`Error delivering scratchpad event: ${error.message}`);
+    }
+  }
+
+  return {
+    EVENT_TYPES,
+    origin: ORIGIN,
+
+    /**
+     * Record a change and notify listeners in this process after it
+     * commits. Call it inside the transaction that makes the change.
+     * Rows older than the retention window are pruned now and then.
+     * @param {string} type - message, task or variable
+     * @param {string} action - e.g. "create", "complete", "set"
+     * @param {Object} change - { entityId, threadId, agentId, messageType,
+     *   data }
+     */
+    publish: function (type, action, change) {
+      const db = getDb();
+      const row = {
+        entity: type,
+        action,
+        entity_id: change.entityId,
+        thread_id: change.threadId || null,
+        agent_id: change.agentId || null,
+        message_type: change.messageType || null,
+        timestamp: Date.now(),
+        payload: change.data !== undefined ? JSON.stringify(change.data) : null,
+      };
+      const { lastInsertRowid } = db
+        .prepare(
+          `
+          INSERT INTO scratchpad_changes
+          (entity, action, entity_id, thread_id, agent_id, message_type, origin, timestamp, payload)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `
+        )
+        .run(
+          row.entity,
+          row.action,
+          row.entity_id,
+          row.thread_id,
+          row.agent_id,
+          row.message_type,
+          ORIGIN,
+          row.timestamp,
+          row.payload
+        );
+
+      if (publishes % PRUNE_INTERVAL === 0) this.prune();
+      publishes++;
+
+      if (emitter.listenerCount("change") === 0) return;
+
+      // A rolled-back insert frees its rowid for the next one, so a later
+      // publish with the same id replaces the earlier row
+      row.id = Number(lastInsertRowid);
+      pending.set(row.id, row);
+
+      if (!flushing) {
+        flushing = true;
+        queueMicrotask(flush);
+      }
+    },
+
+    /**
+     * Call back on every change matching a filter
+     * @param {Object} filter - { types, agentId, threadId, messageType }
+     * @param {Function} callback - Receives the event
+     * @returns {Function} Unsubscribe
+     */
+    subscribe: function (filter, callback) {
+      const matches = createMatcher(filter);
+      const listener = (event) => {
+        if (!matches(event)) return;
+        try {
+          callback(event);
+        } catch (error) {
+          console.error(`Error in scratchpad subscriber: ${error.message}`);
+        }
+      };
+
+      emitter.on("change", listener);
+      return () => emitter.off("change", listener);
+    },
+
+    /**
+     * Call back on new messages
+     * @param {string|Object} filter - Recipient agent ID, or
+     *   { agentId, threadId, messageType }
+     * @param {Function} callback - Receives (message, event)
+     * @returns {Function} Unsubscribe
+     */
+    onMessage: function (filter, callback) {
+      const options = typeof filter === "string" ? { agentId: filter } : filter;
+      return this.subscribe(
+        { ...options, types: "message" },
+        (event) => event.action === "create" && callback(event.data, event)
+      );
+    },
+
+    /**
+     * Matching events as an async iterator; leaving the loop unsubscribes
+     * @param {Object} filter - { types, agentId, threadId, messageType }
+     * @returns {AsyncGenerator} Events in the order they were delivered
+     * @example
+     *   for await (const event of db.events.iterate({ agentId: "qa" })) { ... }
+     */
+    iterate: function (filter = {}) {
+      const buffer = [];
+      let wake = null;
+
+      const unsubscribe = this.subscribe(filter, (event) => {
+        buffer.push(event);
+        if (wake) {
+          wake();
+          wake = null;
+        }
+      });
+
+      return (async function* () {
+        try {
+          while (true) {
+            if (buffer.length === 0) {
+              await new Promise((resolve) => (wake = resolve));
+            }
+            yield buffer.shift();
+          }
+        } finally {
+          unsubscribe();
+        }
+      })();
+    },
+
+    /**
+     * Start delivering changes made by other processes. Only changes
+     * recorded after this call are delivered.
+     * @param {Object} options - { intervalMs = 500, retentionMs = 1 day }
+     *   where older change log rows are pruned on start and on later
+     *   publishes
+     * @returns {boolean} Whether watching started
+     */
+    watch: function (options = {}) {
+      if (watcher) return true;
+
+      try {
+        const settings = { ...DEFAULT_WATCH_OPTIONS, ...options };
+        retentionMs = settings.retentionMs;
+        this.prune(retentionMs);
+
+        const db = getDb();
+        let version = db.pragma("data_version", { simple: true });
+        let cursor = db
+          .prepare(`SELECT COALESCE(MAX(id), 0) AS id FROM scratchpad_changes`)
+          .get().id;
+
+        const timer = setInterval(() => {
+          try {
+            // data_version only moves when another connection commits
+            const current = getDb().pragma("data_version", { simple: true });
+            if (current === version) return;
+            version = current;
+
+            const rows = getDb()
+              .prepare(
+                `
+                SELECT * FROM scratchpad_changes
+                WHERE id > ?
+                ORDER BY id ASC
+              `
+              )
+              .all(cursor);
+
+            for (const row of rows) {
+              cursor = row.id;
+              if (row.origin !== ORIGIN) {
+                emitter.emit("change", toEvent(row, true));
+              }
+            }
+          } catch (error) {
+            console.error(`Error polling scratchpad changes: ${error.message}`);
+          }
+        }, settings.intervalMs);
+
+        // Watching alone should not keep the process running
+        timer.unref();
+        watcher = timer;
+        return true;
+      } catch (error) {
+        console.error(`Error watching scratchpad changes: ${error.message}`);
+        return false;
+      }
+    },
+
+    unwatch: function () {
+      if (watcher) {
+        clearInterval(watcher);
+        watcher = null;
+      }
+    },
+
+    /**
+     * Delete change log rows older than a cutoff
+     * @param {number} maxAgeMs - Age in milliseconds, defaults to the
+     *   retention window
+     * @returns {number} Rows deleted
+     */
+    prune: function (maxAgeMs = retentionMs) {
+      try {
+        return getDb()
+          .prepare(`DELETE FROM scratchpad_changes WHERE timestamp < ?`)
+          .run(Date.now() - maxAgeMs).changes;
+      } catch (error) {
+        console.error(`Error pruning scratchpad changes: ${error.message}`);
+        return 0;
+      }
+    },
+  };
+}
+
+module.exports = createScratchpadEvents;
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const migrator = require("./migrator");
+const createScratchpadEvents = require("./scratchpad-events");
+const { tempDir, loadScratchpad } = require("./testing");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("publishing prunes change log rows past the retention window", () => {
+  const dbPath = path.join(tempDir(), "scratchpad-system.db");
+  const S = loadScratchpad({ dbPath });
+  const log = new sqlite3(dbPath, { readonly: true });
+  const countChanges = () =>
+    log.prepare(`SELECT COUNT(*) AS count FROM scratchpad_changes`).get().count;
+
+  // Written as if two days ago
+  const now = Date.now;
+  Date.now = () => now() - 2 * DAY_MS;
+  const threadId = S.threads.create("Old", "lead");
+  S.messages.create("lead", "dev", "stale", { threadId });
+  Date.now = now;
+  assert.ok(countChanges() > 0);
+
+  for (let i = 0; i < 100; i++) {
+    S.variables.set(`key_${i}`, i);
+  }
+
+  // The stale rows are gone and the new ones are kept
+  assert.strictEqual(countChanges(), 100);
+  assert.strictEqual(
+    log
+      .prepare(
+        `SELECT COUNT(*) AS count FROM scratchpad_changes WHERE timestamp < ?`
+      )
+      .get(Date.now() - DAY_MS).count,
+    0
+  );
+  log.close();
+});
+
+test("rolled-back changes are not delivered, even when the id is reused", async () => {
+  const db = new sqlite3(":memory:");
+  migrator.migrate(db, require("./migrations/scratchpad-system"));
+  const events = createScratchpadEvents({ getDb: () => db });
+  const seen = [];
+  events.subscribe({}, (event) => seen.push([event.entityId, event.data]));
+
+  assert.throws(() =>
+    db.transaction(() => {
+      events.publish("variable", "set", { entityId: "draft", data: 1 });
+      throw new Error("abort");
+    })()
+  );
+  db.transaction(() => {
+    events.publish("variable", "set", { entityId: "final", data: 2 });
+  })();
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(seen, [["final", 2]]);
+});
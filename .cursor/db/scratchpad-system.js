@@ -14,12 +14,25 @@ const sqlite3 = require(path.join(
   "node_modules",
   "better-sqlite3"
 ));
+const migrator = require("./migrator");
+const dbPaths = require("./db-paths");
+const migrations = require("./migrations/scratchpad-system");
+const createFallbackStorage = require("./fallback-storage");
+const createTaskDependencies = require("./task-dependencies");
+const createTaskLifecycle = require("./task-lifecycle");
+const createTaskQueue = require("./task-queue");
+const createScratchpadEvents = require("./scratchpad-events");
+const createThreadArchive = require("./thread-archive");
+const createWorkspaceVariables = require("./workspace-variables");
 
 console.log("💾 SCRATCHPAD-DB: Initializing scratchpad database...");
 
-// Constants
-const DB_DIR = path.join(cursorRoot, "db");
-const DB_PATH = path.join(DB_DIR, "scratchpad-system.db");
+// Database location for this workspace (see db-paths.js)
+const {
+  dbPath: DB_PATH,
+  dir: DB_DIR,
+  journalPath: JOURNAL_PATH,
+} = dbPaths.resolveDbPath("scratchpad-system");
 
 // Ensure database directory exists
 if (!fs.existsSync(DB_DIR)) {
@@ -32,127 +45,145 @@ if (!fs.existsSync(DB_DIR)) {
   }
 }
 
-// Initialize database connection
-let db;
-try {
-  db = new sqlite3(DB_PATH, { verbose: console.log });
-  console.log(`Connected to database at: ${DB_PATH}`);
-} catch (error) {
-  console.error(`Failed to connect to database: ${error.message}`);
-
-  // Create a stub db object with methods that log errors
-  db = {
-    prepare: () => ({ run: () => {}, all: () => [], get: () => null }),
-    transaction: (fn) => fn,
-    exec: () => {},
-    close: () => {},
-  };
-  console.error("Using stub database object - scratchpad will not persist!");
-}
-
-// Initialize tables
-function initializeTables() {
-  console.log("Creating database tables if they don't exist...");
+// Bring a connection's schema up to date; throws if a migration fails or the
+// database is newer than this code
+function initializeTables(connection) {
+  console.log("Applying database migrations...");
 
   try {
-    // Messages table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY,
-        thread_id TEXT,
-        from_agent TEXT NOT NULL,
-        to_agent TEXT NOT NULL,
-        message_type TEXT NOT NULL,
-        content TEXT,
-        timestamp INTEGER NOT NULL,
-        read INTEGER DEFAULT 0,
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_msg_thread ON messages(thread_id);
-      CREATE INDEX IF NOT EXISTS idx_msg_from ON messages(from_agent);
-      CREATE INDEX IF NOT EXISTS idx_msg_to ON messages(to_agent);
-      CREATE INDEX IF NOT EXISTS idx_msg_timestamp ON messages(timestamp);
-    `);
-
-    // Threads table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS threads (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        creator_id TEXT NOT NULL,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL,
-        status TEXT DEFAULT 'active',
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_thread_creator ON threads(creator_id);
-      CREATE INDEX IF NOT EXISTS idx_thread_status ON threads(status);
-    `);
-
-    // Tasks table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS tasks (
-        id TEXT PRIMARY KEY,
-        thread_id TEXT,
-        description TEXT NOT NULL,
-        assigned_to TEXT NOT NULL,
-        status TEXT NOT NULL,
-        priority INTEGER DEFAULT 3,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL,
-        result TEXT,
-        metadata TEXT,
-        FOREIGN KEY (thread_id) REFERENCES threads(id)
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_task_thread ON tasks(thread_id);
-      CREATE INDEX IF NOT EXISTS idx_task_assigned ON tasks(assigned_to);
-      CREATE INDEX IF NOT EXISTS idx_task_status ON tasks(status);
-      CREATE INDEX IF NOT EXISTS idx_task_priority ON tasks(priority);
-    `);
-
-    // Workspace variables table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS workspace_variables (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL,
-        scope TEXT DEFAULT 'global',
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL,
-        created_by TEXT,
-        metadata TEXT
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_var_scope ON workspace_variables(scope);
-    `);
-
-    // Agents table
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS agents (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        status TEXT NOT NULL,
-        capabilities TEXT,
-        last_active INTEGER,
-        metadata TEXT
-      );
-    `);
-
-    console.log("Database tables created successfully");
-    return true;
+    const result = migrator.migrate(connection, migrations, {
+      label: "SCRATCHPAD-DB",
+    });
+    console.log(
+      `Database schema at version ${result.to} (${result.applied.length} migration(s) applied)`
+    );
   } catch (error) {
-    console.error(`Failed to create database tables: ${error.message}`);
-    return false;
+    // A file with an unknown schema is never used: SCHEMA_TOO_NEW reaches the
+    // caller, and any other failure makes the storage fall back to memory
+    if (error.code !== "SCHEMA_TOO_NEW") {
+      console.error(`Failed to migrate database tables: ${error.message}`);
+    }
+    throw error;
   }
 }
 
-// Initialize tables
-initializeTables();
+// Opens the file, or an in-memory database with a write journal if it fails
+const storage = createFallbackStorage({
+  label: "SCRATCHPAD-DB",
+  system: "SCRATCHPAD SYSTEM",
+  activeBanner: "💬 [SCRATCHPAD SYSTEM: ACTIVE]",
+  dbPath: DB_PATH,
+  journalPath: JOURNAL_PATH,
+  // Set CURSOR_DB_VERBOSE=1 to echo every SQL statement
+  open: (target) =>
+    new sqlite3(target, {
+      verbose: process.env.CURSOR_DB_VERBOSE ? console.log : undefined,
+    }),
+  initialize: initializeTables,
+});
+
+// Initialize database connection
+let db = storage.connect();
+
+// Publish a task change with the task's thread and assignee for filtering
+function publishTaskChange(taskId, action) {
+  const task = db
+    .prepare(
+      `SELECT id, thread_id, assigned_to, status, priority, description FROM tasks WHERE id = ?`
+    )
+    .get(taskId);
+  if (!task) return;
+
+  ScratchpadDB.events.publish("task", action, {
+    entityId: taskId,
+    threadId: task.thread_id,
+    agentId: task.assigned_to,
+    data: task,
+  });
+}
 
 // Define database methods
 const ScratchpadDB = {
+  // Task prerequisites, blocked status, execution order and critical path
+  dependencies: createTaskDependencies({
+    getDb: () => db,
+    recordEvent: (taskId, event) => {
+      ScratchpadDB.lifecycle.record(taskId, event);
+      publishTaskChange(taskId, event.action);
+    },
+  }),
+
+  // Validated status transitions and the task_events timeline
+  lifecycle: createTaskLifecycle({
+    getDb: () => db,
+    onStatusChanged: (taskId, status, action) => {
+      ScratchpadDB.queue.onStatusChanged(taskId, status, action);
+      publishTaskChange(taskId, action);
+      // Finishing or reopening a task can unblock or block others
+      ScratchpadDB.dependencies.refreshDependents(taskId);
+      if (status === "pending") ScratchpadDB.dependencies.refresh([taskId]);
+    },
+  }),
+
+  // Leasing tasks to agents, heartbeats, expiry and dead letters
+  queue: createTaskQueue({
+    getDb: () => db,
+    getScratchpadDB: () => ScratchpadDB,
+  }),
+
+  // Change notifications for messages, tasks and variables
+  events: createScratchpadEvents({ getDb: () => db }),
+
+  // Compacting inactive threads into summary messages
+  archive: createThreadArchive({ getDb: () => db }),
+
+  // Storage status and recovery from the in-memory fallback
+  storage: {
+    getStatus: function () {
+      return storage.getStatus();
+    },
+
+    /**
+     * Switch back to the database file if it can be opened again,
+     * replaying writes journaled while running in memory
+     * @returns {Object} Storage status after the attempt
+     */
+    reconnect: function () {
+      const connection = storage.reconnect();
+      if (connection) {
+        db.close();
+        db = connection;
+        storage.reportStatus();
+      }
+      return storage.getStatus();
+    },
+  },
+
+  // Schema version methods
+  schema: {
+    getVersion: function () {
+      try {
+        return migrator.getSchemaVersion(db);
+      } catch (error) {
+        console.error(`Error reading schema version: ${error.message}`);
+        return 0;
+      }
+    },
+
+    getLatestVersion: function () {
+      return migrator.getLatestVersion(migrations);
+    },
+
+    getAppliedMigrations: function () {
+      try {
+        return migrator.getAppliedMigrations(db);
+      } catch (error) {
+        console.error(`Error reading applied migrations: ${error.message}`);
+        return [];
+      }
+    },
+  },
+
   // Messages methods
   messages: {
     create: function (fromAgent, toAgent, content, options = {}) {
@@ -166,6 +197,7 @@ const ScratchpadDB = {
         const metadata = options.metadata
           ? JSON.stringify(options.metadata)
           : null;
+        const timestamp = Date.now();
 
         const stmt = db.prepare(`
           INSERT INTO messages 
@@ -173,19 +205,39 @@ const ScratchpadDB = {
           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
-        stmt.run(
-          id,
-          threadId,
-          fromAgent,
-          toAgent,
-          messageType,
-          typeof content === "object"
-            ? JSON.stringify(content)
-            : String(content),
-          Date.now(),
-          0, // not read
-          metadata
-        );
+        db.transaction(() => {
+          stmt.run(
+            id,
+            threadId,
+            fromAgent,
+            toAgent,
+            messageType,
+            typeof content === "object"
+              ? JSON.stringify(content)
+              : String(content),
+            timestamp,
+            0, // not read
+            metadata
+          );
+
+          ScratchpadDB.events.publish("message", "create", {
+            entityId: id,
+            threadId,
+            agentId: toAgent,
+            messageType,
+            data: {
+              id,
+              thread_id: threadId || null,
+              from_agent: fromAgent,
+              to_agent: toAgent,
+              message_type: messageType,
+              content,
+              timestamp,
+              read: 0,
+              metadata: options.metadata || null,
+            },
+          });
+        })();
 
         console.log(`Created message from ${fromAgent} to ${toAgent}`);
 
@@ -332,6 +384,11 @@ const ScratchpadDB = {
       }
     },
 
+    // New message notifications; see scratchpad-events.js
+    onMessage: function (filter, callback) {
+      return ScratchpadDB.events.onMessage(filter, callback);
+    },
+
     markAsRead: function (id) {
       try {
         const stmt = db.prepare(`
@@ -402,7 +459,8 @@ const ScratchpadDB = {
     get: function (id) {
       try {
         const stmt = db.prepare(`
-          SELECT id, title, creator_id, created_at, updated_at, status, metadata
+          SELECT id, title, creator_id, created_at, updated_at, status, metadata,
+                 archived_at, summary_message_id
           FROM threads
           WHERE id = ?
         `);
@@ -429,10 +487,17 @@ const ScratchpadDB = {
       }
     },
 
+    /**
+     * List threads, most recently active first. Archived threads are left
+     * out unless `status: "archived"` or `includeArchived: true` is passed.
+     * @param {Object} options - { status, creatorId, limit, includeArchived }
+     * @returns {Array} Thread rows
+     */
     getAll: function (options = {}) {
       try {
         let query = `
-          SELECT id, title, creator_id, created_at, updated_at, status, metadata
+          SELECT id, title, creator_id, created_at, updated_at, status, metadata,
+                 archived_at, summary_message_id
           FROM threads
           WHERE 1=1
         `;
@@ -442,6 +507,8 @@ const ScratchpadDB = {
         if (options.status) {
           query += ` AND status = ?`;
           params.push(options.status);
+        } else if (!options.includeArchived) {
+          query += ` AND status != 'archived'`;
         }
 
         if (options.creatorId) {
@@ -492,10 +559,30 @@ const ScratchpadDB = {
         return false;
       }
     },
+
+    // Archival; see thread-archive.js
+    archive: function (id, options = {}) {
+      return ScratchpadDB.archive.archive(id, options);
+    },
+
+    unarchive: function (id) {
+      return ScratchpadDB.archive.unarchive(id);
+    },
   },
 
   // Tasks methods
   tasks: {
+    /**
+     * Create a task. Pass `dependsOn` with prerequisite task IDs to start
+     * it as "blocked" until they are completed.
+     * @param {string} description - What to do
+     * @param {string} assignedTo - Agent ID
+     * @param {Object} options - { id, threadId, priority, status, metadata,
+     *   dependsOn, createdBy, capabilities, maxAttempts }
+     *   where capabilities lists what an agent needs to claim it from the
+     *   work queue
+     * @returns {string|null} Task ID
+     */
     create: function (description, assignedTo, options = {}) {
       try {
         const id =
@@ -507,26 +594,50 @@ const ScratchpadDB = {
         const metadata = options.metadata
           ? JSON.stringify(options.metadata)
           : null;
+        const capabilities = options.capabilities
+          ? JSON.stringify(options.capabilities)
+          : null;
         const now = Date.now();
 
+        if (!ScratchpadDB.lifecycle.STATUSES.includes(status)) {
+          throw new Error(`Invalid task status: ${status}`);
+        }
+
         const stmt = db.prepare(`
           INSERT INTO tasks 
-          (id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          (id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata,
+           required_capabilities, max_attempts)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
-        stmt.run(
-          id,
-          threadId,
-          description,
-          assignedTo,
-          status,
-          priority,
-          now,
-          now,
-          null, // result
-          metadata
-        );
+        db.transaction(() => {
+          stmt.run(
+            id,
+            threadId,
+            description,
+            assignedTo,
+            status,
+            priority,
+            now,
+            now,
+            null, // result
+            metadata,
+            capabilities,
+            options.maxAttempts || null
+          );
+          ScratchpadDB.lifecycle.record(id, {
+            action: "create",
+            to: status,
+            actor: options.createdBy,
+          });
+          publishTaskChange(id, "create");
+
+          const dependsOn = options.dependsOn || [];
+          dependsOn.forEach((prerequisiteId) =>
+            ScratchpadDB.dependencies.link(id, prerequisiteId)
+          );
+          if (dependsOn.length > 0) ScratchpadDB.dependencies.refresh([id]);
+        })();
 
         console.log(`Created task: ${description} (assigned to ${assignedTo})`);
         return id;
@@ -539,7 +650,8 @@ const ScratchpadDB = {
     get: function (id) {
       try {
         const stmt = db.prepare(`
-          SELECT id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata
+          SELECT id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata,
+                 required_capabilities, lease_owner, lease_expires_at, attempts, max_attempts
           FROM tasks
           WHERE id = ?
         `);
@@ -563,6 +675,14 @@ const ScratchpadDB = {
           }
         }
 
+        if (row.required_capabilities) {
+          try {
+            row.required_capabilities = JSON.parse(row.required_capabilities);
+          } catch (e) {
+            // Leave as string if not valid JSON
+          }
+        }
+
         return row;
       } catch (error) {
         console.error(`Error getting task: ${error.message}`);
@@ -573,7 +693,8 @@ const ScratchpadDB = {
     getByAgent: function (agentId, options = {}) {
       try {
         let query = `
-          SELECT id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata
+          SELECT id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata,
+                 required_capabilities, lease_owner, lease_expires_at, attempts, max_attempts
           FROM tasks
           WHERE assigned_to = ?
         `;
@@ -617,6 +738,14 @@ const ScratchpadDB = {
             }
           }
 
+          if (row.required_capabilities) {
+            try {
+              row.required_capabilities = JSON.parse(row.required_capabilities);
+            } catch (e) {
+              // Leave as string if not valid JSON
+            }
+          }
+
           return row;
         });
       } catch (error) {
@@ -625,165 +754,76 @@ const ScratchpadDB = {
       }
     },
 
-    updateStatus: function (id, status, result = null) {
-      try {
-        const stmt = db.prepare(`
-          UPDATE tasks
-          SET status = ?, updated_at = ?, result = ?
-          WHERE id = ?
-        `);
-
-        const resultStr =
-          result !== null
-            ? typeof result === "object"
-              ? JSON.stringify(result)
-              : String(result)
-            : null;
-
-        const dbResult = stmt.run(status, Date.now(), resultStr, id);
-        return dbResult.changes > 0;
-      } catch (error) {
-        console.error(`Error updating task status: ${error.message}`);
-        return false;
-      }
+    /**
+     * Move a task to a new status. Only changes allowed by the lifecycle
+     * are applied (see task-lifecycle.js); a result, if given, is stored.
+     * @param {string} id - Task ID
+     * @param {string} status - Target status
+     * @param {*} result - Optional result to store
+     * @param {Object} options - { actor, reason }
+     * @returns {boolean} Whether the status changed
+     */
+    updateStatus: function (id, status, result = null, options = {}) {
+      return ScratchpadDB.lifecycle.setStatus(id, status, {
+        ...options,
+        result: result !== null ? result : undefined,
+      });
     },
-  },
-
-  // Variables methods
-  variables: {
-    set: function (key, value, options = {}) {
-      try {
-        const scope = options.scope || "global";
-        const createdBy = options.createdBy || options.created_by || "system";
-        const metadata = options.metadata
-          ? JSON.stringify(options.metadata)
-          : null;
-        const now = Date.now();
-
-        // Check if the variable exists
-        const existingVar = this.get(key, scope);
-
-        if (existingVar) {
-          // Update existing variable
-          const stmt = db.prepare(`
-            UPDATE workspace_variables
-            SET value = ?, updated_at = ?, metadata = ?
-            WHERE key = ? AND scope = ?
-          `);
-
-          stmt.run(
-            typeof value === "object" ? JSON.stringify(value) : String(value),
-            now,
-            metadata,
-            key,
-            scope
-          );
-        } else {
-          // Create new variable
-          const stmt = db.prepare(`
-            INSERT INTO workspace_variables
-            (key, value, scope, created_at, updated_at, created_by, metadata)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `);
 
-          stmt.run(
-            key,
-            typeof value === "object" ? JSON.stringify(value) : String(value),
-            scope,
-            now,
-            now,
-            createdBy,
-            metadata
-          );
-        }
-
-        console.log(`Set variable: ${key} (scope: ${scope})`);
-        return true;
-      } catch (error) {
-        console.error(`Error setting variable: ${error.message}`);
-        return false;
-      }
+    // Explicit transitions; options are { actor, reason, result }
+    start: function (id, options = {}) {
+      return ScratchpadDB.lifecycle.transition(id, "start", options);
     },
 
-    get: function (key, scope = "global") {
-      try {
-        const stmt = db.prepare(`
-          SELECT key, value, scope, created_at, updated_at, created_by, metadata
-          FROM workspace_variables
-          WHERE key = ? AND scope = ?
-        `);
-
-        const row = stmt.get(key, scope);
-
-        if (!row) return null;
-
-        // Parse JSON value if possible
-        try {
-          row.value = JSON.parse(row.value);
-        } catch (e) {
-          // Leave as string if not valid JSON
-        }
-
-        if (row.metadata) {
-          try {
-            row.metadata = JSON.parse(row.metadata);
-          } catch (e) {
-            // Leave as string if not valid JSON
-          }
-        }
+    complete: function (id, options = {}) {
+      return ScratchpadDB.lifecycle.transition(id, "complete", options);
+    },
 
-        return row.value;
-      } catch (error) {
-        console.error(`Error getting variable: ${error.message}`);
-        return null;
-      }
+    fail: function (id, options = {}) {
+      return ScratchpadDB.lifecycle.transition(id, "fail", options);
     },
 
-    getByScope: function (scope = "global") {
-      try {
-        const stmt = db.prepare(`
-          SELECT key, value, scope, created_at, updated_at, created_by, metadata
-          FROM workspace_variables
-          WHERE scope = ?
-          ORDER BY key
-        `);
+    retry: function (id, options = {}) {
+      return ScratchpadDB.lifecycle.transition(id, "retry", options);
+    },
 
-        const rows = stmt.all(scope);
+    reopen: function (id, options = {}) {
+      return ScratchpadDB.lifecycle.transition(id, "reopen", options);
+    },
 
-        // Parse JSON values if possible
-        const result = {};
+    cancel: function (id, options = {}) {
+      return ScratchpadDB.lifecycle.transition(id, "cancel", options);
+    },
 
-        rows.forEach((row) => {
-          try {
-            result[row.key] = JSON.parse(row.value);
-          } catch (e) {
-            result[row.key] = row.value;
-          }
-        });
+    getTimeline: function (id) {
+      return ScratchpadDB.lifecycle.getTimeline(id);
+    },
 
-        return result;
-      } catch (error) {
-        console.error(`Error getting variables by scope: ${error.message}`);
-        return {};
-      }
+    // Task change notifications; see scratchpad-events.js
+    subscribe: function (filter, callback) {
+      return ScratchpadDB.events.subscribe(
+        { ...filter, types: "task" },
+        callback
+      );
     },
 
-    remove: function (key, scope = "global") {
-      try {
-        const stmt = db.prepare(`
-          DELETE FROM workspace_variables
-          WHERE key = ? AND scope = ?
-        `);
+    // Work queue; see task-queue.js
+    claimNext: function (agentId, options = {}) {
+      return ScratchpadDB.queue.claimNext(agentId, options);
+    },
 
-        const result = stmt.run(key, scope);
-        return result.changes > 0;
-      } catch (error) {
-        console.error(`Error removing variable: ${error.message}`);
-        return false;
-      }
+    heartbeat: function (id, agentId, options = {}) {
+      return ScratchpadDB.queue.heartbeat(id, agentId, options);
     },
   },
 
+  // Typed, versioned variables with scope resolution
+  variables: createWorkspaceVariables({
+    getDb: () => db,
+    publish: (action, change) =>
+      ScratchpadDB.events.publish("variable", action, change),
+  }),
+
   // Agents methods
   agents: {
     register: function (id, name, options = {}) {
@@ -1017,16 +1057,8 @@ if (typeof globalThis !== "undefined" && !globalThis.nextResponsePrepend) {
   globalThis.nextResponsePrepend = [];
 }
 
-if (typeof globalThis !== "undefined" && globalThis.nextResponsePrepend) {
-  // Check if scratchpad system banner is already present
-  const hasScratchpadBanner = globalThis.nextResponsePrepend.some((banner) =>
-    banner.includes("SCRATCHPAD SYSTEM")
-  );
-
-  if (!hasScratchpadBanner) {
-    globalThis.nextResponsePrepend.push("💬 [SCRATCHPAD SYSTEM: ACTIVE]");
-  }
-}
+// Show active or degraded storage in the response banners
+storage.reportStatus();
 
 // Export module
 module.exports = ScratchpadDB;
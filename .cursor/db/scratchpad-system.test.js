@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const sqlite3 = require(path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "better-sqlite3"
+));
+const { tempDir, loadScratchpad } = require("./testing");
+
+test("a failed migration leaves the file alone and falls back to memory", () => {
+  // Claims to be at version 3 but has no tasks table for migration 4 to alter
+  const dbPath = path.join(tempDir(), "scratchpad-system.db");
+  const broken = new sqlite3(dbPath);
+  broken.exec(`
+    CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL);
+    INSERT INTO schema_migrations VALUES (1, 'baseline', 0), (2, 'b', 0), (3, 'c', 0);
+  `);
+  broken.close();
+
+  const S = loadScratchpad({ dbPath });
+  const status = S.storage.getStatus();
+  assert.strictEqual(status.degraded, true);
+  assert.match(status.reason, /no such table: tasks/);
+
+  const file = new sqlite3(dbPath, { readonly: true });
+  assert.strictEqual(
+    file.prepare(`SELECT MAX(version) AS version FROM schema_migrations`).get()
+      .version,
+    3
+  );
+  file.close();
+});
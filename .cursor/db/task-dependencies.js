@@ -0,0 +1,502 @@
+/**
+ * Scratchpad Task Dependencies
+ * Version: 1.0.0
+ *
+ * "B cannot start until A is done": task_dependencies holds one row per
+ * (task, prerequisite) pair and must stay acyclic, so links that would close
+ * a cycle are refused. A pending task with an unfinished prerequisite is
+ * switched to "blocked", and back to "pending" once every prerequisite is
+ * completed or cancelled. Only these two statuses are ever changed
+ * automatically, and each change is recorded as a "block" or "unblock" task
+ * event.
+ *
+ * The same rule drives the execution order: completed and cancelled tasks
+ * are left out of the graph, so they never hold a dependent back. Any other
+ * status, including "failed" and "dead_letter", still does until the task
+ * is retried to completion or cancelled.
+ *
+ * Dependencies may cross threads. When ordering one thread, unfinished
+ * prerequisites in other threads are kept in the graph as fixed
+ * constraints: they push back the levels and finishing times of the
+ * thread's tasks but are not listed as part of its work.
+ */
+
+// Length of a task without a usable metadata.estimate on the critical path
+const DEFAULT_ESTIMATE = 1;
+
+// Prerequisites in these statuses no longer hold their dependents back
+const SATISFIED_STATUSES = ["completed", "cancelled"];
+const SATISFIED_LIST = SATISFIED_STATUSES.map((status) => `'${status}'`).join(
+  ", "
+);
+
+const TASK_COLUMNS = `id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata,
+  required_capabilities, lease_owner, lease_expires_at, attempts, max_attempts`;
+
+// Prerequisites of tasks.id that still hold it back
+const UNFINISHED_PREREQUISITES = `
+  SELECT 1 FROM task_dependencies d
+  JOIN tasks prerequisite ON prerequisite.id = d.depends_on_id
+  WHERE d.task_id = tasks.id AND prerequisite.status NOT IN (${SATISFIED_LIST})
+`;
+
+function parseTask(row) {
+  try {
+    row.result = JSON.parse(row.result);
+  } catch (e) {
+    // Leave as string if not valid JSON
+  }
+
+  if (row.metadata) {
+    try {
+      row.metadata = JSON.parse(row.metadata);
+    } catch (e) {
+      // Leave as string if not valid JSON
+    }
+  }
+
+  if (row.required_capabilities) {
+    try {
+      row.required_capabilities = JSON.parse(row.required_capabilities);
+    } catch (e) {
+      // Leave as string if not valid JSON
+    }
+  }
+
+  return row;
+}
+
+// Higher priority first, then oldest first
+function byPriority(a, b) {
+  return b.priority - a.priority || a.created_at - b.created_at;
+}
+
+/**
+ * Prerequisite links between tasks and the blocked/pending status they drive
+ * @param {Object} context - { getDb, recordEvent }
+ *   recordEvent(taskId, event) adds an entry to the task's timeline
+ * @returns {Object} ScratchpadDB.dependencies
+ */
+function createTaskDependencies(context) {
+  const { getDb } = context;
+
+  // Unsatisfied tasks and their links. For one thread, that is the
+  // thread's tasks plus every unsatisfied task they wait for, directly or
+  // not, in other threads; those are marked `external`.
+  function loadGraph(threadId) {
+    const db = getDb();
+    let rows;
+
+    if (threadId) {
+      rows = db
+        .prepare(
+          `
+          WITH RECURSIVE needed(id) AS (
+            SELECT id FROM tasks
+            WHERE thread_id = ? AND status NOT IN (${SATISFIED_LIST})
+            UNION
+            SELECT d.depends_on_id FROM task_dependencies d
+            JOIN needed n ON d.task_id = n.id
+            JOIN tasks prerequisite ON prerequisite.id = d.depends_on_id
+            WHERE prerequisite.status NOT IN (${SATISFIED_LIST})
+          )
+          SELECT ${TASK_COLUMNS} FROM tasks WHERE id IN (SELECT id FROM needed)
+        `
+        )
+        .all(threadId)
+        .map((row) => ({ ...row, external: row.thread_id !== threadId }));
+    } else {
+      rows = db
+        .prepare(
+          `SELECT ${TASK_COLUMNS} FROM tasks WHERE status NOT IN (${SATISFIED_LIST})`
+        )
+        .all();
+    }
+
+    const tasks = new Map(rows.map((row) => [row.id, parseTask(row)]));
+    const prerequisites = new Map([...tasks.keys()].map((id) => [id, []]));
+    const dependents = new Map([...tasks.keys()].map((id) => [id, []]));
+
+    for (const link of db
+      .prepare(`SELECT task_id, depends_on_id FROM task_dependencies`)
+      .all()) {
+      if (tasks.has(link.task_id) && tasks.has(link.depends_on_id)) {
+        prerequisites.get(link.task_id).push(link.depends_on_id);
+        dependents.get(link.depends_on_id).push(link.task_id);
+      }
+    }
+
+    return { tasks, prerequisites, dependents };
+  }
+
+  // Kahn's algorithm, taking the highest-priority available task each step
+  function sortGraph({ tasks, prerequisites, dependents }) {
+    const remaining = new Map(
+      [...tasks.keys()].map((id) => [id, prerequisites.get(id).length])
+    );
+    const available = [...tasks.values()].filter(
+      (task) => remaining.get(task.id) === 0
+    );
+    const levels = new Map();
+    const order = [];
+
+    while (available.length > 0) {
+      available.sort(byPriority);
+      const task = available.shift();
+      const level = Math.max(
+        -1,
+        ...prerequisites.get(task.id).map((id) => levels.get(id))
+      );
+      levels.set(task.id, level + 1);
+      order.push({ ...task, level: level + 1 });
+
+      for (const dependentId of dependents.get(task.id)) {
+        remaining.set(dependentId, remaining.get(dependentId) - 1);
+        if (remaining.get(dependentId) === 0) {
+          available.push(tasks.get(dependentId));
+        }
+      }
+    }
+
+    if (order.length < tasks.size) {
+      console.error(
+        `Task dependencies contain a cycle; ${
+          tasks.size - order.length
+        } task(s) left out of the order`
+      );
+    }
+
+    return order;
+  }
+
+  return {
+    /**
+     * Record that a task depends on another. Throws if either task is
+     * missing or the link would create a cycle; add() is the non-throwing
+     * variant. Does not update blocked status.
+     * @param {string} taskId - Dependent task
+     * @param {string} dependsOnId - Prerequisite task
+     */
+    link: function (taskId, dependsOnId) {
+      const db = getDb();
+
+      if (taskId === dependsOnId) {
+        throw new Error(`Task ${taskId} cannot depend on itself`);
+      }
+
+      const exists = db.prepare(`SELECT 1 FROM tasks WHERE id = ?`);
+      for (const id of [taskId, dependsOnId]) {
+        if (!exists.get(id)) throw new Error(`Task ${id} does not exist`);
+      }
+
+      // A cycle closes if the prerequisite already depends on the task
+      const cycle = db
+        .prepare(
+          `
+          WITH RECURSIVE reachable(id) AS (
+            SELECT ?
+            UNION
+            SELECT d.depends_on_id FROM task_dependencies d
+            JOIN reachable r ON d.task_id = r.id
+          )
+          SELECT 1 FROM reachable WHERE id = ?
+        `
+        )
+        .get(dependsOnId, taskId);
+      if (cycle) {
+        throw new Error(
+          `Task ${taskId} cannot depend on ${dependsOnId}: ${dependsOnId} already depends on ${taskId}`
+        );
+      }
+
+      db.prepare(
+        `
+        INSERT OR IGNORE INTO task_dependencies (task_id, depends_on_id, created_at)
+        VALUES (?, ?, ?)
+      `
+      ).run(taskId, dependsOnId, Date.now());
+    },
+
+    /**
+     * Make a task wait for another, blocking it if the prerequisite is
+     * not completed
+     * @param {string} taskId - Dependent task
+     * @param {string} dependsOnId - Prerequisite task
+     * @returns {boolean} Success status
+     */
+    add: function (taskId, dependsOnId) {
+      try {
+        getDb().transaction(() => {
+          this.link(taskId, dependsOnId);
+          this.refresh([taskId]);
+        })();
+        return true;
+      } catch (error) {
+        console.error(`Error adding task dependency: ${error.message}`);
+        return false;
+      }
+    },
+
+    remove: function (taskId, dependsOnId) {
+      try {
+        let removed = false;
+        getDb().transaction(() => {
+          removed =
+            getDb()
+              .prepare(
+                `DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?`
+              )
+              .run(taskId, dependsOnId).changes > 0;
+          this.refresh([taskId]);
+        })();
+        return removed;
+      } catch (error) {
+        console.error(`Error removing task dependency: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Tasks a task waits for
+     * @param {string} taskId - Task ID
+     * @returns {Array} Prerequisite task rows
+     */
+    getPrerequisites: function (taskId) {
+      try {
+        return getDb()
+          .prepare(
+            `
+            SELECT ${TASK_COLUMNS} FROM tasks
+            WHERE id IN (SELECT depends_on_id FROM task_dependencies WHERE task_id = ?)
+            ORDER BY priority DESC, created_at ASC
+          `
+          )
+          .all(taskId)
+          .map(parseTask);
+      } catch (error) {
+        console.error(`Error getting task prerequisites: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Tasks waiting for a task
+     * @param {string} taskId - Task ID
+     * @returns {Array} Dependent task rows
+     */
+    getDependents: function (taskId) {
+      try {
+        return getDb()
+          .prepare(
+            `
+            SELECT ${TASK_COLUMNS} FROM tasks
+            WHERE id IN (SELECT task_id FROM task_dependencies WHERE depends_on_id = ?)
+            ORDER BY priority DESC, created_at ASC
+          `
+          )
+          .all(taskId)
+          .map(parseTask);
+      } catch (error) {
+        console.error(`Error getting dependent tasks: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Switch tasks between "pending" and "blocked" to match their
+     * prerequisites. Tasks in any other status are left alone.
+     * @param {Array} taskIds - Tasks to check
+     * @returns {number} Tasks whose status changed
+     */
+    refresh: function (taskIds) {
+      const db = getDb();
+      const ids = JSON.stringify(taskIds);
+      const changes = [
+        {
+          action: "block",
+          from: "pending",
+          to: "blocked",
+          condition: `EXISTS (${UNFINISHED_PREREQUISITES})`,
+          reason: "Waiting for prerequisites",
+        },
+        {
+          action: "unblock",
+          from: "blocked",
+          to: "pending",
+          condition: `NOT EXISTS (${UNFINISHED_PREREQUISITES})`,
+          reason: "Prerequisites completed or cancelled",
+        },
+      ];
+      let changed = 0;
+
+      for (const change of changes) {
+        const matching = db
+          .prepare(
+            `
+            SELECT id FROM tasks
+            WHERE id IN (SELECT value FROM json_each(?))
+              AND status = ? AND ${change.condition}
+          `
+          )
+          .all(ids, change.from);
+        const update = db.prepare(
+          `UPDATE tasks SET status = ?, updated_at = ? WHERE id = ?`
+        );
+
+        for (const { id } of matching) {
+          update.run(change.to, Date.now(), id);
+          if (context.recordEvent) {
+            context.recordEvent(id, {
+              action: change.action,
+              from: change.from,
+              to: change.to,
+              actor: "system",
+              reason: change.reason,
+            });
+          }
+        }
+        changed += matching.length;
+      }
+
+      return changed;
+    },
+
+    /**
+     * Re-check the tasks waiting for a task after its status changed
+     * @param {string} taskId - Task whose status changed
+     * @returns {number} Dependent tasks whose status changed
+     */
+    refreshDependents: function (taskId) {
+      const ids = getDb()
+        .prepare(
+          `SELECT task_id FROM task_dependencies WHERE depends_on_id = ?`
+        )
+        .all(taskId)
+        .map((row) => row.task_id);
+      return ids.length > 0 ? this.refresh(ids) : 0;
+    },
+
+    /**
+     * Pending tasks whose prerequisites are all completed or cancelled
+     * @param {Object} options - { threadId, assignedTo, limit }
+     * @returns {Array} Task rows, highest priority first
+     */
+    getReady: function (options = {}) {
+      try {
+        let sql = `
+          SELECT ${TASK_COLUMNS} FROM tasks
+          WHERE status = 'pending' AND NOT EXISTS (${UNFINISHED_PREREQUISITES})
+        `;
+        const params = [];
+
+        if (options.threadId) {
+          sql += ` AND thread_id = ?`;
+          params.push(options.threadId);
+        }
+
+        if (options.assignedTo) {
+          sql += ` AND assigned_to = ?`;
+          params.push(options.assignedTo);
+        }
+
+        sql += ` ORDER BY priority DESC, created_at ASC`;
+
+        if (options.limit) {
+          sql += ` LIMIT ?`;
+          params.push(options.limit);
+        }
+
+        return getDb()
+          .prepare(sql)
+          .all(...params)
+          .map(parseTask);
+      } catch (error) {
+        console.error(`Error getting ready tasks: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Every unfinished task in an order that respects dependencies. Each
+     * task gets a `level`: 0 can start now, 1 once level 0 is done, etc.
+     * For one thread, levels count prerequisites in other threads too.
+     * @param {Object} options - { threadId }
+     * @returns {Array} Task rows in execution order
+     */
+    getExecutionOrder: function (options = {}) {
+      try {
+        return sortGraph(loadGraph(options.threadId))
+          .filter((task) => !task.external)
+          .map(({ external, ...task }) => task);
+      } catch (error) {
+        console.error(`Error ordering tasks: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * The longest chain of unfinished tasks in a thread, which bounds how
+     * soon the thread can finish. A task's length is its
+     * `metadata.estimate` if that is a non-negative number, otherwise
+     * `defaultEstimate`. Prerequisites in other threads count towards the
+     * length and appear in the chain with `external: true`.
+     * @param {string} threadId - Thread ID
+     * @param {Object} options - { defaultEstimate = 1 }
+     * @returns {Object} { tasks, length }
+     */
+    getCriticalPath: function (threadId, options = {}) {
+      try {
+        const graph = loadGraph(threadId);
+        const defaultEstimate =
+          options.defaultEstimate !== undefined
+            ? options.defaultEstimate
+            : DEFAULT_ESTIMATE;
+        const estimate = (task) => {
+          const value = task.metadata ? task.metadata.estimate : undefined;
+          return typeof value === "number" &&
+            Number.isFinite(value) &&
+            value >= 0
+            ? value
+            : defaultEstimate;
+        };
+
+        // Longest finishing time through each task, in dependency order.
+        // Ties keep the first prerequisite, so zero-length tasks still link up.
+        const finish = new Map();
+        const previous = new Map();
+        let last = null;
+
+        for (const task of sortGraph(graph)) {
+          let start = 0;
+          for (const id of graph.prerequisites.get(task.id)) {
+            if (!previous.has(task.id) || finish.get(id) > start) {
+              start = finish.get(id);
+              previous.set(task.id, id);
+            }
+          }
+          finish.set(task.id, start + estimate(task));
+
+          // The path ends at one of the thread's own tasks
+          if (
+            !task.external &&
+            (!last || finish.get(task.id) > finish.get(last))
+          ) {
+            last = task.id;
+          }
+        }
+
+        const tasks = [];
+        for (let id = last; id; id = previous.get(id)) {
+          tasks.unshift(graph.tasks.get(id));
+        }
+
+        return { tasks, length: last ? finish.get(last) : 0 };
+      } catch (error) {
+        console.error(`Error computing critical path: ${error.message}`);
+        return { tasks: [], length: 0 };
+      }
+    },
+  };
+}
+
+module.exports = createTaskDependencies;
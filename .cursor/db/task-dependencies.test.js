@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScratchpad } = require("./testing");
+
+const S = loadScratchpad();
+const threadId = S.threads.create("Dependencies", "lead");
+
+function createChain(...descriptions) {
+  return createChainIn(threadId, ...descriptions);
+}
+
+function createChainIn(thread, ...descriptions) {
+  const ids = [];
+  for (const description of descriptions) {
+    ids.push(
+      S.tasks.create(description, "dev", {
+        threadId: thread,
+        dependsOn: ids.length > 0 ? [ids[ids.length - 1]] : [],
+      })
+    );
+  }
+  return ids;
+}
+
+test("dependents stay blocked until prerequisites complete", () => {
+  const [design, build] = createChain("design", "build");
+  assert.strictEqual(S.tasks.get(build).status, "blocked");
+
+  S.tasks.start(design);
+  assert.strictEqual(S.tasks.get(build).status, "blocked");
+  S.tasks.complete(design);
+  assert.strictEqual(S.tasks.get(build).status, "pending");
+
+  S.tasks.reopen(design);
+  assert.strictEqual(S.tasks.get(build).status, "blocked");
+});
+
+test("links that would form a cycle are refused", () => {
+  const [a, b, c] = createChain("a", "b", "c");
+  assert.throws(() => S.dependencies.link(a, c), /already depends on/);
+  assert.throws(() => S.dependencies.link(b, b));
+  assert.deepStrictEqual(
+    S.dependencies.getPrerequisites(c).map((task) => task.id),
+    [b]
+  );
+});
+
+test("a cancelled prerequisite releases its dependents everywhere", () => {
+  const [spike, follow] = createChain("spike", "follow-up");
+  const order = () =>
+    S.dependencies
+      .getExecutionOrder({ threadId })
+      .find((task) => task.id === follow);
+
+  assert.strictEqual(order().level, 1);
+  assert.strictEqual(S.tasks.cancel(spike), true);
+
+  // Unblocked, ready, and first in line in the execution order
+  assert.strictEqual(S.tasks.get(follow).status, "pending");
+  assert.ok(
+    S.dependencies.getReady({ threadId }).some((task) => task.id === follow)
+  );
+  assert.strictEqual(order().level, 0);
+
+  // Reopening the prerequisite holds the dependent back again
+  S.tasks.reopen(spike);
+  assert.strictEqual(S.tasks.get(follow).status, "blocked");
+  assert.strictEqual(order().level, 1);
+});
+
+test("a dead-lettered prerequisite keeps dependents blocked", () => {
+  const queueThread = S.threads.create("Dead letters", "lead");
+  const [job, report] = createChainIn(queueThread, "job", "report");
+  S.queue.configure({ maxAttempts: 1 });
+  const claimed = S.tasks.claimNext("dev", {
+    threadId: queueThread,
+    capabilities: [],
+  });
+  assert.strictEqual(claimed.id, job);
+  assert.strictEqual(S.queue.fail(job, "dev"), "dead_letter");
+
+  assert.strictEqual(S.tasks.get(report).status, "blocked");
+  assert.strictEqual(
+    S.dependencies
+      .getExecutionOrder({ threadId: queueThread })
+      .find((task) => task.id === report).level,
+    1
+  );
+});
+
+test("the critical path follows the longest estimate chain", () => {
+  const thread = S.threads.create("Path", "lead");
+  const create = (description, estimate, dependsOn = []) =>
+    S.tasks.create(description, "dev", {
+      threadId: thread,
+      dependsOn,
+      metadata: { estimate },
+    });
+
+  const design = create("design", 2);
+  const api = create("api", 5, [design]);
+  const ui = create("ui", 1, [design]);
+  const release = create("release", 1, [api, ui]);
+
+  const path = S.dependencies.getCriticalPath(thread);
+  assert.deepStrictEqual(
+    path.tasks.map((task) => task.id),
+    [design, api, release]
+  );
+  assert.strictEqual(path.length, 8);
+});
+
+test("prerequisites in other threads hold back a thread's order and path", () => {
+  const backend = S.threads.create("Backend", "lead");
+  const frontend = S.threads.create("Frontend", "lead");
+  const [schema, endpoint] = createChainIn(backend, "schema", "endpoint");
+  const screen = S.tasks.create("screen", "dev", {
+    threadId: frontend,
+    dependsOn: [endpoint],
+    metadata: { estimate: 3 },
+  });
+
+  const order = S.dependencies.getExecutionOrder({ threadId: frontend });
+  assert.deepStrictEqual(
+    order.map((task) => [task.id, task.level]),
+    [[screen, 2]]
+  );
+  assert.strictEqual(order[0].external, undefined);
+
+  const path = S.dependencies.getCriticalPath(frontend);
+  assert.deepStrictEqual(
+    path.tasks.map((task) => [task.id, task.external]),
+    [
+      [schema, true],
+      [endpoint, true],
+      [screen, false],
+    ]
+  );
+  assert.strictEqual(path.length, 5);
+});
+
+test("missing, invalid and zero estimates are handled explicitly", () => {
+  const thread = S.threads.create("Estimates", "lead");
+  const create = (description, metadata, dependsOn = []) =>
+    S.tasks.create(description, "dev", {
+      threadId: thread,
+      dependsOn,
+      metadata,
+    });
+
+  const review = create("review", { estimate: 0 });
+  const merge = create("merge", { estimate: 0 }, [review]);
+  const deploy = create("deploy", { estimate: -4 }, [merge]);
+  const announce = create("announce", {}, [deploy]);
+
+  const path = S.dependencies.getCriticalPath(thread);
+  assert.deepStrictEqual(
+    path.tasks.map((task) => task.id),
+    [review, merge, deploy, announce]
+  );
+  assert.strictEqual(path.length, 2);
+  assert.strictEqual(
+    S.dependencies.getCriticalPath(thread, { defaultEstimate: 3 }).length,
+    6
+  );
+});
@@ -0,0 +1,244 @@
+/**
+ * Scratchpad Task Lifecycle
+ * Version: 1.0.0
+ *
+ * Task status only changes through named transitions:
+ *
+ *   start     pending                           -> in_progress
+ *   complete  in_progress                       -> completed
+ *   fail      in_progress                       -> failed
+ *   retry     failed, dead_letter               -> pending
+ *   reopen    completed, cancelled              -> pending
+ *   cancel    pending, blocked, in_progress,
+ *             failed, dead_letter               -> cancelled
+ *
+ * The remaining transitions are applied by the system: "block"/"unblock"
+ * by task dependencies, and "claim", "requeue" and "dead_letter" by the
+ * work queue. Requesting them needs `system: true`. Every change, including
+ * creation, is recorded in task_events with who made it and why.
+ */
+
+const STATUSES = [
+  "pending",
+  "blocked",
+  "in_progress",
+  "completed",
+  "failed",
+  "cancelled",
+  "dead_letter",
+];
+
+const TRANSITIONS = {
+  start: { from: ["pending"], to: "in_progress" },
+  complete: { from: ["in_progress"], to: "completed" },
+  fail: { from: ["in_progress"], to: "failed" },
+  retry: { from: ["failed", "dead_letter"], to: "pending" },
+  reopen: { from: ["completed", "cancelled"], to: "pending" },
+  cancel: {
+    from: ["pending", "blocked", "in_progress", "failed", "dead_letter"],
+    to: "cancelled",
+  },
+  block: { from: ["pending"], to: "blocked", automatic: true },
+  unblock: { from: ["blocked"], to: "pending", automatic: true },
+  claim: { from: ["pending"], to: "in_progress", automatic: true },
+  requeue: { from: ["in_progress"], to: "pending", automatic: true },
+  dead_letter: { from: ["in_progress"], to: "dead_letter", automatic: true },
+};
+
+/**
+ * Guarded task status transitions and the task_events timeline
+ * @param {Object} context - { getDb, onStatusChanged }
+ *   onStatusChanged(taskId, status, action) runs inside the transition's
+ *   transaction
+ * @returns {Object} ScratchpadDB.lifecycle
+ */
+function createTaskLifecycle(context) {
+  const { getDb } = context;
+
+  return {
+    STATUSES,
+    TRANSITIONS,
+
+    /**
+     * Append an event to a task's timeline
+     * @param {string} taskId - Task ID
+     * @param {Object} event - { action, from, to, actor, reason, metadata }
+     */
+    record: function (taskId, event) {
+      getDb()
+        .prepare(
+          `
+          INSERT INTO task_events
+          (task_id, action, from_status, to_status, actor, reason, timestamp, metadata)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `
+        )
+        .run(
+          taskId,
+          event.action,
+          event.from || null,
+          event.to || null,
+          event.actor || null,
+          event.reason || null,
+          Date.now(),
+          event.metadata ? JSON.stringify(event.metadata) : null
+        );
+    },
+
+    /**
+     * Actions that can be requested for a task in its current status
+     * @param {string} taskId - Task ID
+     * @returns {Array} Action names
+     */
+    getAllowedActions: function (taskId) {
+      try {
+        const task = getDb()
+          .prepare(`SELECT status FROM tasks WHERE id = ?`)
+          .get(taskId);
+        if (!task) return [];
+
+        return Object.keys(TRANSITIONS).filter(
+          (action) =>
+            !TRANSITIONS[action].automatic &&
+            TRANSITIONS[action].from.includes(task.status)
+        );
+      } catch (error) {
+        console.error(`Error getting allowed task actions: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Apply a named transition
+     * @param {string} taskId - Task ID
+     * @param {string} action - start, complete, fail, retry, reopen or cancel
+     * @param {Object} options - { actor, reason, result, metadata, system }
+     *   where `system: true` allows the automatic transitions
+     * @returns {boolean} Whether the transition was applied
+     */
+    transition: function (taskId, action, options = {}) {
+      try {
+        const db = getDb();
+        const rule = TRANSITIONS[action];
+
+        if (!rule || (rule.automatic && !options.system)) {
+          throw new Error(`Unknown task action: ${action}`);
+        }
+
+        db.transaction(() => {
+          const task = db
+            .prepare(`SELECT status FROM tasks WHERE id = ?`)
+            .get(taskId);
+          if (!task) throw new Error(`Task ${taskId} does not exist`);
+          if (!rule.from.includes(task.status)) {
+            throw new Error(
+              `Cannot ${action} task ${taskId} while it is ${task.status}`
+            );
+          }
+
+          let sql = `UPDATE tasks SET status = ?, updated_at = ?`;
+          const params = [rule.to, Date.now()];
+
+          if (options.result !== undefined) {
+            sql += `, result = ?`;
+            params.push(
+              options.result === null
+                ? null
+                : typeof options.result === "object"
+                ? JSON.stringify(options.result)
+                : String(options.result)
+            );
+          }
+
+          db.prepare(`${sql} WHERE id = ?`).run(...params, taskId);
+          this.record(taskId, {
+            action,
+            from: task.status,
+            to: rule.to,
+            actor: options.actor,
+            reason: options.reason,
+            metadata: options.metadata,
+          });
+
+          if (context.onStatusChanged) {
+            context.onStatusChanged(taskId, rule.to, action);
+          }
+        })();
+
+        return true;
+      } catch (error) {
+        console.error(`Error changing task status: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Move a task to a status through whichever transition leads there
+     * @param {string} taskId - Task ID
+     * @param {string} status - Target status
+     * @param {Object} options - Transition options
+     * @returns {boolean} Whether the transition was applied
+     */
+    setStatus: function (taskId, status, options = {}) {
+      try {
+        const task = getDb()
+          .prepare(`SELECT status FROM tasks WHERE id = ?`)
+          .get(taskId);
+        if (!task) throw new Error(`Task ${taskId} does not exist`);
+
+        const action = Object.keys(TRANSITIONS).find(
+          (name) =>
+            !TRANSITIONS[name].automatic &&
+            TRANSITIONS[name].to === status &&
+            TRANSITIONS[name].from.includes(task.status)
+        );
+        if (!action) {
+          throw new Error(
+            `Task ${taskId} cannot go from ${task.status} to ${status}`
+          );
+        }
+
+        return this.transition(taskId, action, options);
+      } catch (error) {
+        console.error(`Error changing task status: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Every recorded change of a task, oldest first
+     * @param {string} taskId - Task ID
+     * @returns {Array} { id, action, from_status, to_status, actor, reason,
+     *   timestamp, metadata }
+     */
+    getTimeline: function (taskId) {
+      try {
+        return getDb()
+          .prepare(
+            `
+            SELECT id, action, from_status, to_status, actor, reason, timestamp, metadata
+            FROM task_events
+            WHERE task_id = ?
+            ORDER BY timestamp ASC, id ASC
+          `
+          )
+          .all(taskId)
+          .map((row) => {
+            if (row.metadata) {
+              try {
+                row.metadata = JSON.parse(row.metadata);
+              } catch (e) {
+                // Leave as string if not valid JSON
+              }
+            }
+            return row;
+          });
+      } catch (error) {
+        console.error(`Error getting task timeline: ${error.message}`);
+        return [];
+      }
+    },
+  };
+}
+
+module.exports = createTaskLifecycle;
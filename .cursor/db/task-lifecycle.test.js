@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScratchpad } = require("./testing");
+
+const S = loadScratchpad();
+const threadId = S.threads.create("Lifecycle", "lead");
+const createTask = (description) =>
+  S.tasks.create(description, "dev", { threadId, createdBy: "lead" });
+
+test("tasks move through named transitions and record a timeline", () => {
+  const id = createTask("write the docs");
+  assert.deepStrictEqual(S.lifecycle.getAllowedActions(id), [
+    "start",
+    "cancel",
+  ]);
+
+  assert.strictEqual(S.tasks.start(id, { actor: "dev" }), true);
+  assert.strictEqual(
+    S.tasks.fail(id, { actor: "dev", reason: "build broke" }),
+    true
+  );
+  assert.strictEqual(S.tasks.retry(id, { actor: "lead" }), true);
+  assert.strictEqual(S.tasks.updateStatus(id, "in_progress"), true);
+  assert.strictEqual(
+    S.tasks.complete(id, { actor: "dev", result: { pages: 3 } }),
+    true
+  );
+  assert.deepStrictEqual(S.tasks.get(id).result, { pages: 3 });
+
+  assert.deepStrictEqual(
+    S.tasks
+      .getTimeline(id)
+      .map((event) => [
+        event.action,
+        event.from_status,
+        event.to_status,
+        event.actor,
+      ]),
+    [
+      ["create", null, "pending", "lead"],
+      ["start", "pending", "in_progress", "dev"],
+      ["fail", "in_progress", "failed", "dev"],
+      ["retry", "failed", "pending", "lead"],
+      ["start", "pending", "in_progress", null],
+      ["complete", "in_progress", "completed", "dev"],
+    ]
+  );
+  assert.strictEqual(S.tasks.getTimeline(id)[2].reason, "build broke");
+});
+
+test("transitions from the wrong status are refused and leave no trace", () => {
+  const id = createTask("review the PR");
+
+  assert.strictEqual(S.tasks.complete(id), false);
+  assert.strictEqual(S.tasks.updateStatus(id, "failed"), false);
+  assert.strictEqual(S.tasks.reopen(id), false);
+  assert.strictEqual(S.tasks.get(id).status, "pending");
+  assert.strictEqual(S.tasks.getTimeline(id).length, 1);
+
+  assert.strictEqual(S.tasks.cancel(id, { reason: "superseded" }), true);
+  assert.strictEqual(S.tasks.cancel(id), false);
+  assert.strictEqual(S.tasks.reopen(id), true);
+  assert.strictEqual(S.tasks.get(id).status, "pending");
+});
+
+test("system transitions need to be asked for explicitly", () => {
+  const id = createTask("run the migration");
+
+  assert.strictEqual(S.lifecycle.transition(id, "claim"), false);
+  assert.strictEqual(S.lifecycle.transition(id, "fly"), false);
+  assert.strictEqual(S.tasks.get(id).status, "pending");
+
+  assert.strictEqual(
+    S.lifecycle.transition(id, "claim", { system: true, actor: "worker" }),
+    true
+  );
+  assert.strictEqual(S.tasks.get(id).status, "in_progress");
+  assert.ok(!S.lifecycle.getAllowedActions(id).includes("requeue"));
+});
@@ -0,0 +1,343 @@
+/**
+ * Scratchpad Work Queue
+ * Version: 1.0.0
+ *
+ * Lets several agent processes pull tasks without handing the same task out
+ * twice. claimNext() leases the highest-priority ready task inside an
+ * immediate (write-locked) transaction. The lease holder extends it with
+ * heartbeat(); a lease that runs out puts the task back to "pending", or
+ * to "dead_letter" once it has been attempted max_attempts times.
+ *
+ * A task is claimable by an agent when it is pending (so its prerequisites
+ * are done), assigned_to is that agent or "any", and the agent has every
+ * capability listed in required_capabilities.
+ */
+
+const ANY_AGENT = "any";
+
+const DEFAULT_QUEUE_POLICY = {
+  leaseMs: 5 * 60 * 1000,
+  maxAttempts: 3,
+};
+
+const TASK_COLUMNS = `id, thread_id, description, assigned_to, status, priority, created_at, updated_at, result, metadata,
+  required_capabilities, lease_owner, lease_expires_at, attempts, max_attempts`;
+
+function parseList(value) {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseTask(row) {
+  for (const column of ["result", "metadata", "required_capabilities"]) {
+    if (row[column]) {
+      try {
+        row[column] = JSON.parse(row[column]);
+      } catch (e) {
+        // Leave as string if not valid JSON
+      }
+    }
+  }
+  return row;
+}
+
+/**
+ * Lease-based work queue over the tasks table
+ * @param {Object} context - { getDb, getScratchpadDB } where status
+ *   changes go through getScratchpadDB().lifecycle
+ * @returns {Object} ScratchpadDB.queue
+ */
+function createTaskQueue(context) {
+  const { getDb, getScratchpadDB } = context;
+  let policy = { ...DEFAULT_QUEUE_POLICY };
+
+  // Apply a system transition, failing the surrounding transaction if refused
+  function apply(taskId, action, options) {
+    const applied = getScratchpadDB().lifecycle.transition(taskId, action, {
+      ...options,
+      system: true,
+    });
+    if (!applied) {
+      throw new Error(`Could not ${action} task ${taskId}`);
+    }
+  }
+
+  // The task, if the agent currently holds its lease
+  function getLeased(taskId, agentId) {
+    const task = getDb()
+      .prepare(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ?`)
+      .get(taskId);
+
+    if (!task) throw new Error(`Task ${taskId} does not exist`);
+    if (task.status !== "in_progress" || task.lease_owner !== agentId) {
+      throw new Error(`${agentId} does not hold the lease on task ${taskId}`);
+    }
+    if (task.lease_expires_at < Date.now()) {
+      throw new Error(`The lease on task ${taskId} has expired`);
+    }
+    return task;
+  }
+
+  return {
+    ANY_AGENT,
+    DEFAULT_QUEUE_POLICY,
+
+    /**
+     * Change the lease length or attempt limit
+     * @param {Object} overrides - { leaseMs, maxAttempts }
+     * @returns {Object} The policy now in effect
+     */
+    configure: function (overrides = {}) {
+      policy = { ...policy, ...overrides };
+      return { ...policy };
+    },
+
+    /**
+     * Lease the highest-priority task this agent can work on
+     * @param {string} agentId - Claiming agent
+     * @param {Object} options - { capabilities, threadId, leaseMs }
+     *   capabilities default to those the agent registered with
+     * @returns {Object|null} The leased task, or null if none is ready
+     */
+    claimNext: function (agentId, options = {}) {
+      try {
+        const db = getDb();
+        const leaseMs = options.leaseMs || policy.leaseMs;
+        let claimed = null;
+
+        db.transaction(() => {
+          this.expireLeases();
+
+          let capabilities = options.capabilities;
+          if (!capabilities) {
+            const agent = db
+              .prepare(`SELECT capabilities FROM agents WHERE id = ?`)
+              .get(agentId);
+            capabilities = agent ? parseList(agent.capabilities) : [];
+          }
+
+          let sql = `
+            SELECT id, required_capabilities FROM tasks
+            WHERE status = 'pending' AND assigned_to IN (?, ?)
+          `;
+          const params = [agentId, ANY_AGENT];
+
+          if (options.threadId) {
+            sql += ` AND thread_id = ?`;
+            params.push(options.threadId);
+          }
+
+          sql += ` ORDER BY priority DESC, created_at ASC`;
+
+          const candidate = db
+            .prepare(sql)
+            .all(...params)
+            .find((task) =>
+              parseList(task.required_capabilities).every((capability) =>
+                capabilities.includes(capability)
+              )
+            );
+          if (!candidate) return;
+
+          const expiresAt = Date.now() + leaseMs;
+          db.prepare(
+            `
+            UPDATE tasks
+            SET lease_owner = ?, lease_expires_at = ?, attempts = attempts + 1
+            WHERE id = ?
+          `
+          ).run(agentId, expiresAt, candidate.id);
+
+          const { attempts } = db
+            .prepare(`SELECT attempts FROM tasks WHERE id = ?`)
+            .get(candidate.id);
+          apply(candidate.id, "claim", {
+            actor: agentId,
+            metadata: { attempt: attempts, leaseExpiresAt: expiresAt },
+          });
+
+          claimed = candidate.id;
+        }).immediate();
+
+        if (!claimed) return null;
+        return parseTask(
+          db
+            .prepare(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ?`)
+            .get(claimed)
+        );
+      } catch (error) {
+        console.error(`Error claiming task: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Extend a lease the agent still holds
+     * @param {string} taskId - Task ID
+     * @param {string} agentId - Lease holder
+     * @param {Object} options - { leaseMs }
+     * @returns {number|null} New expiry time, or null if the lease was lost
+     */
+    heartbeat: function (taskId, agentId, options = {}) {
+      try {
+        const expiresAt = Date.now() + (options.leaseMs || policy.leaseMs);
+        const changed = getDb()
+          .prepare(
+            `
+            UPDATE tasks SET lease_expires_at = ?
+            WHERE id = ? AND status = 'in_progress' AND lease_owner = ? AND lease_expires_at >= ?
+          `
+          )
+          .run(expiresAt, taskId, agentId, Date.now()).changes;
+
+        if (changed === 0) {
+          throw new Error(`${agentId} does not hold a live lease on ${taskId}`);
+        }
+        return expiresAt;
+      } catch (error) {
+        console.error(`Error extending task lease: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Finish a leased task
+     * @param {string} taskId - Task ID
+     * @param {string} agentId - Lease holder
+     * @param {Object} options - { result, reason }
+     * @returns {boolean} Success status
+     */
+    complete: function (taskId, agentId, options = {}) {
+      try {
+        getDb().transaction(() => {
+          getLeased(taskId, agentId);
+          apply(taskId, "complete", { ...options, actor: agentId });
+        })();
+        return true;
+      } catch (error) {
+        console.error(`Error completing leased task: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Give up on a leased task. It goes back in the queue, or to
+     * "dead_letter" if it has used up its attempts.
+     * @param {string} taskId - Task ID
+     * @param {string} agentId - Lease holder
+     * @param {Object} options - { reason, result }
+     * @returns {string|null} The task's new status
+     */
+    fail: function (taskId, agentId, options = {}) {
+      try {
+        let status = null;
+        getDb().transaction(() => {
+          const task = getLeased(taskId, agentId);
+          const action =
+            task.attempts >= (task.max_attempts || policy.maxAttempts)
+              ? "dead_letter"
+              : "requeue";
+          apply(taskId, action, { ...options, actor: agentId });
+          status = action === "requeue" ? "pending" : "dead_letter";
+        })();
+        return status;
+      } catch (error) {
+        console.error(`Error failing leased task: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Requeue (or dead-letter) every task whose lease has run out
+     * @returns {Object} { requeued, deadLettered } task IDs
+     */
+    expireLeases: function () {
+      const report = { requeued: [], deadLettered: [] };
+
+      try {
+        const db = getDb();
+        db.transaction(() => {
+          const expired = db
+            .prepare(
+              `
+              SELECT id, lease_owner, attempts, max_attempts FROM tasks
+              WHERE status = 'in_progress' AND lease_expires_at < ?
+            `
+            )
+            .all(Date.now());
+
+          for (const task of expired) {
+            const exhausted =
+              task.attempts >= (task.max_attempts || policy.maxAttempts);
+            apply(task.id, exhausted ? "dead_letter" : "requeue", {
+              actor: "system",
+              reason: `Lease held by ${task.lease_owner} expired`,
+            });
+            (exhausted ? report.deadLettered : report.requeued).push(task.id);
+          }
+        })();
+      } catch (error) {
+        console.error(`Error expiring task leases: ${error.message}`);
+      }
+
+      return report;
+    },
+
+    /**
+     * Drop the lease once a task leaves in_progress; a retry from the dead
+     * letter queue starts counting attempts again
+     * @param {string} taskId - Task ID
+     * @param {string} status - New status
+     * @param {string} action - Transition applied
+     */
+    onStatusChanged: function (taskId, status, action) {
+      if (status === "in_progress") return;
+
+      getDb()
+        .prepare(
+          `
+          UPDATE tasks
+          SET lease_owner = NULL, lease_expires_at = NULL,
+              attempts = CASE WHEN ? THEN 0 ELSE attempts END
+          WHERE id = ?
+        `
+        )
+        .run(action === "retry" ? 1 : 0, taskId);
+    },
+
+    /**
+     * Tasks that ran out of attempts
+     * @param {Object} options - { threadId, limit = 100 }
+     * @returns {Array} Task rows, most recently failed first
+     */
+    getDeadLetters: function (options = {}) {
+      try {
+        let sql = `SELECT ${TASK_COLUMNS} FROM tasks WHERE status = 'dead_letter'`;
+        const params = [];
+
+        if (options.threadId) {
+          sql += ` AND thread_id = ?`;
+          params.push(options.threadId);
+        }
+
+        sql += ` ORDER BY updated_at DESC LIMIT ?`;
+        params.push(options.limit || 100);
+
+        return getDb()
+          .prepare(sql)
+          .all(...params)
+          .map(parseTask);
+      } catch (error) {
+        console.error(`Error getting dead-letter tasks: ${error.message}`);
+        return [];
+      }
+    },
+  };
+}
+
+module.exports = createTaskQueue;
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tempDir, loadScratchpad } = require("./testing");
+
+// Claims must behave the same on the database file and on the in-memory
+// fallback, which wraps transactions to journal their writes
+const modes = {
+  disk: () => loadScratchpad(),
+  fallback: () => loadScratchpad({ dbPath: tempDir() }),
+};
+
+for (const [mode, load] of Object.entries(modes)) {
+  test(`work queue (${mode})`, async (t) => {
+    const S = load();
+    assert.strictEqual(S.storage.getStatus().degraded, mode === "fallback");
+
+    const threadId = S.threads.create("Queue", "lead");
+
+    await t.test("claims the highest-priority task the agent can do", () => {
+      const low = S.tasks.create("low", "any", { threadId, priority: 1 });
+      const gpu = S.tasks.create("gpu", "any", {
+        threadId,
+        priority: 5,
+        capabilities: ["gpu"],
+      });
+
+      const first = S.tasks.claimNext("cpu-worker", { capabilities: [] });
+      assert.strictEqual(first.id, low);
+      assert.strictEqual(first.status, "in_progress");
+      assert.strictEqual(first.lease_owner, "cpu-worker");
+      assert.strictEqual(first.attempts, 1);
+
+      assert.strictEqual(
+        S.tasks.claimNext("cpu-worker", { capabilities: [] }),
+        null
+      );
+      assert.strictEqual(
+        S.tasks.claimNext("gpu-worker", { capabilities: ["gpu"] }).id,
+        gpu
+      );
+    });
+
+    await t.test("only the lease holder can heartbeat or finish", () => {
+      const id = S.tasks.create("lease", "any", { threadId, priority: 9 });
+      S.tasks.claimNext("owner", { capabilities: [] });
+
+      assert.strictEqual(S.tasks.heartbeat(id, "intruder"), null);
+      assert.strictEqual(typeof S.tasks.heartbeat(id, "owner"), "number");
+      assert.strictEqual(S.queue.complete(id, "intruder"), false);
+      assert.strictEqual(S.queue.complete(id, "owner"), true);
+
+      const task = S.tasks.get(id);
+      assert.strictEqual(task.status, "completed");
+      assert.strictEqual(task.lease_owner, null);
+    });
+
+    await t.test("failures requeue, then dead-letter", () => {
+      const id = S.tasks.create("flaky", "any", {
+        threadId,
+        priority: 9,
+        maxAttempts: 2,
+      });
+
+      S.tasks.claimNext("w", { capabilities: [] });
+      assert.strictEqual(S.queue.fail(id, "w"), "pending");
+      S.tasks.claimNext("w", { capabilities: [] });
+      assert.strictEqual(S.queue.fail(id, "w"), "dead_letter");
+      assert.deepStrictEqual(
+        S.queue.getDeadLetters({ threadId }).map((task) => task.id),
+        [id]
+      );
+
+      assert.strictEqual(S.tasks.retry(id), true);
+      assert.strictEqual(S.tasks.get(id).attempts, 0);
+    });
+
+    await t.test("expired leases go back to the queue", async () => {
+      const id = S.tasks.create("slow", "any", { threadId, priority: 10 });
+      S.tasks.claimNext("sleepy", { capabilities: [], leaseMs: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      assert.deepStrictEqual(S.queue.expireLeases().requeued, [id]);
+      assert.strictEqual(S.tasks.get(id).status, "pending");
+    });
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Test Helpers
+ * Version: 1.0.0
+ *
+ * Used by the *.test.js files next to the database modules (`npm test`).
+ * The memory and scratchpad modules open their database when first
+ * required, so each load clears them from the require cache and points
+ * them at a throwaway file first.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Create an empty temporary directory
+ * @returns {string} Directory path
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "cursor-db-test-"));
+}
+
+// Forget every module in db/ so the next require starts from scratch
+function clearDbModules() {
+  for (const file of Object.keys(require.cache)) {
+    if (file.startsWith(`${__dirname}${path.sep}`)) {
+      delete require.cache[file];
+    }
+  }
+}
+
+/**
+ * Load a fresh scratchpad database module
+ * @param {Object} options - { dbPath } defaults to a new temporary file;
+ *   a path that cannot be opened (e.g. a directory) gives fallback mode
+ * @returns {Object} ScratchpadDB
+ */
+function loadScratchpad(options = {}) {
+  process.env.SCRATCHPAD_DB_PATH =
+    options.dbPath || path.join(tempDir(), "scratchpad-system.db");
+  clearDbModules();
+  return require("./scratchpad-system");
+}
+
+/**
+ * Load a fresh memory database module, without the global knowledge store
+ * @param {Object} options - { dbPath, env } where env sets extra
+ *   environment variables before loading
+ * @returns {Object} MemoryDB
+ */
+function loadMemory(options = {}) {
+  process.env.MEMORY_DB_PATH =
+    options.dbPath || path.join(tempDir(), "memory-system.db");
+  process.env.CURSOR_GLOBAL_DB_PATH = "off";
+  Object.assign(process.env, options.env || {});
+  clearDbModules();
+  return require("./memory-system");
+}
+
+module.exports = {
+  tempDir,
+  loadScratchpad,
+  loadMemory,
+};
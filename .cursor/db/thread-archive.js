@@ -0,0 +1,400 @@
+/**
+ * Scratchpad Thread Archive
+ * Version: 1.0.0
+ *
+ * Threads with no activity for a while are compacted: their messages move
+ * to archived_messages, a single "summary" message takes their place, and
+ * the thread's status becomes "archived". Threads with unfinished tasks are
+ * left alone. unarchive() puts the original messages back.
+ *
+ * The summary is built from the messages themselves (participants, time
+ * span, message types, task outcomes and the last few messages), so no
+ * model is needed to produce it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUMMARY_TYPE = "summary";
+const SUMMARY_AGENT = "system";
+
+const DEFAULT_ARCHIVE_POLICY = {
+  inactiveDays: 30,
+  excerptCount: 5,
+  excerptLength: 160,
+};
+
+const MESSAGE_COLUMNS = `id, thread_id, from_agent, to_agent, message_type, content, timestamp, read, metadata`;
+
+// Tasks in these statuses keep a thread from being archived
+const OPEN_TASK_STATUSES = ["pending", "blocked", "in_progress"];
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function excerpt(content, length) {
+  const text = String(content).replace(/\s+/g, " ").trim();
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function countBy(rows, key) {
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row[key]] = (counts[row[key]] || 0) + 1;
+  });
+  return counts;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `${count} ${name}`)
+    .join(", ");
+}
+
+// Thread compaction, mounted as ScratchpadDB.archive
+function createThreadArchive(context) {
+  const { getDb } = context;
+  let policy = { ...DEFAULT_ARCHIVE_POLICY };
+
+  function countOpenTasks(threadId) {
+    return getDb()
+      .prepare(
+        `SELECT COUNT(*) AS count FROM tasks
+         WHERE thread_id = ? AND status IN (${OPEN_TASK_STATUSES.map(
+           () => "?"
+         ).join(", ")})`
+      )
+      .get(threadId, ...OPEN_TASK_STATUSES).count;
+  }
+
+  return {
+    SUMMARY_TYPE,
+    DEFAULT_ARCHIVE_POLICY,
+
+    /**
+     * Change the archive policy
+     * @param {Object} overrides - { inactiveDays, excerptCount, excerptLength }
+     * @returns {Object} The policy now in effect
+     */
+    configure: function (overrides = {}) {
+      policy = { ...policy, ...overrides };
+      return { ...policy };
+    },
+
+    /**
+     * Summarise a thread's current messages without changing anything
+     * @param {string} threadId - Thread ID
+     * @returns {Object|null} { text, stats: { messageCount, participants,
+     *   firstAt, lastAt, messageTypes, tasks } }
+     */
+    summarize: function (threadId) {
+      try {
+        const db = getDb();
+        const thread = db
+          .prepare(`SELECT id, title FROM threads WHERE id = ?`)
+          .get(threadId);
+        if (!thread) throw new Error(`Thread ${threadId} does not exist`);
+
+        const messages = db
+          .prepare(
+            `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE thread_id = ? ORDER BY timestamp ASC`
+          )
+          .all(threadId);
+        const tasks = db
+          .prepare(`SELECT status FROM tasks WHERE thread_id = ?`)
+          .all(threadId);
+
+        const participants = [
+          ...new Set(
+            messages.flatMap((message) => [
+              message.from_agent,
+              message.to_agent,
+            ])
+          ),
+        ];
+        const stats = {
+          messageCount: messages.length,
+          participants,
+          firstAt: messages.length > 0 ? messages[0].timestamp : null,
+          lastAt:
+            messages.length > 0
+              ? messages[messages.length - 1].timestamp
+              : null,
+          messageTypes: countBy(messages, "message_type"),
+          tasks: countBy(tasks, "status"),
+        };
+
+        const lines = [`Archived thread "${thread.title}".`];
+        if (messages.length === 0) {
+          lines.push("It had no messages.");
+        } else {
+          lines.push(
+            `${messages.length} message(s) from ${formatDate(
+              stats.firstAt
+            )} to ${formatDate(stats.lastAt)} between ${participants.join(
+              ", "
+            )}.`
+          );
+          lines.push(`Message types: ${formatCounts(stats.messageTypes)}.`);
+        }
+        if (tasks.length > 0) {
+          lines.push(`Tasks: ${formatCounts(stats.tasks)}.`);
+        }
+
+        const last = messages.slice(-policy.excerptCount);
+        if (last.length > 0) {
+          lines.push("", "Last messages:");
+          last.forEach((message) => {
+            lines.push(
+              `- ${message.from_agent} → ${message.to_agent}: ${excerpt(
+                message.content,
+                policy.excerptLength
+              )}`
+            );
+          });
+        }
+
+        return { text: lines.join("\n"), stats };
+      } catch (error) {
+        console.error(`Error summarising thread: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Archive one thread: move its messages out and leave a summary
+     * @param {string} threadId - Thread ID
+     * @param {Object} options - { force } archives even with open tasks
+     * @returns {Object|null} { threadId, summaryMessageId, archivedMessages }
+     */
+    archive: function (threadId, options = {}) {
+      try {
+        const db = getDb();
+        const thread = db
+          .prepare(`SELECT id, status, creator_id FROM threads WHERE id = ?`)
+          .get(threadId);
+
+        if (!thread) throw new Error(`Thread ${threadId} does not exist`);
+        if (thread.status === "archived") {
+          throw new Error(`Thread ${threadId} is already archived`);
+        }
+        if (!options.force && countOpenTasks(threadId) > 0) {
+          throw new Error(`Thread ${threadId} still has unfinished tasks`);
+        }
+
+        const summary = this.summarize(threadId);
+        if (!summary) throw new Error(`Could not summarise ${threadId}`);
+
+        const now = Date.now();
+        const summaryMessageId = `msg_${now}_${Math.floor(
+          Math.random() * 10000
+        )}`;
+
+        db.transaction(() => {
+          db.prepare(
+            `
+            INSERT INTO archived_messages (${MESSAGE_COLUMNS}, archived_at)
+            SELECT ${MESSAGE_COLUMNS}, ? FROM messages WHERE thread_id = ?
+          `
+          ).run(now, threadId);
+          db.prepare(`DELETE FROM messages WHERE thread_id = ?`).run(threadId);
+
+          // Addressed to the creator, already read so it stays out of inboxes
+          db.prepare(
+            `
+            INSERT INTO messages (${MESSAGE_COLUMNS})
+            VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)
+          `
+          ).run(
+            summaryMessageId,
+            threadId,
+            SUMMARY_AGENT,
+            thread.creator_id,
+            SUMMARY_TYPE,
+            summary.text,
+            summary.stats.lastAt || now,
+            JSON.stringify({ archived: true, ...summary.stats })
+          );
+
+          // updated_at is left alone so it still shows when work stopped
+          db.prepare(
+            `
+            UPDATE threads
+            SET status = 'archived', archived_at = ?, summary_message_id = ?
+            WHERE id = ?
+          `
+          ).run(now, summaryMessageId, threadId);
+        })();
+
+        console.log(
+          `Archived thread ${threadId} (${summary.stats.messageCount} message(s))`
+        );
+        return {
+          threadId,
+          summaryMessageId,
+          archivedMessages: summary.stats.messageCount,
+        };
+      } catch (error) {
+        console.error(`Error archiving thread: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Restore an archived thread's messages and remove its summary
+     * @param {string} threadId - Thread ID
+     * @returns {number|null} Messages restored
+     */
+    unarchive: function (threadId) {
+      try {
+        const db = getDb();
+        const thread = db
+          .prepare(
+            `SELECT id, status, summary_message_id FROM threads WHERE id = ?`
+          )
+          .get(threadId);
+
+        if (!thread) throw new Error(`Thread ${threadId} does not exist`);
+        if (thread.status !== "archived") {
+          throw new Error(`Thread ${threadId} is not archived`);
+        }
+
+        let restored = 0;
+        db.transaction(() => {
+          if (thread.summary_message_id) {
+            db.prepare(`DELETE FROM messages WHERE id = ?`).run(
+              thread.summary_message_id
+            );
+          }
+
+          restored = db
+            .prepare(
+              `
+              INSERT INTO messages (${MESSAGE_COLUMNS})
+              SELECT ${MESSAGE_COLUMNS} FROM archived_messages WHERE thread_id = ?
+            `
+            )
+            .run(threadId).changes;
+          db.prepare(`DELETE FROM archived_messages WHERE thread_id = ?`).run(
+            threadId
+          );
+
+          db.prepare(
+            `
+            UPDATE threads
+            SET status = 'active', archived_at = NULL, summary_message_id = NULL, updated_at = ?
+            WHERE id = ?
+          `
+          ).run(Date.now(), threadId);
+        })();
+
+        console.log(`Unarchived thread ${threadId} (${restored} message(s))`);
+        return restored;
+      } catch (error) {
+        console.error(`Error unarchiving thread: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Archive every thread inactive for longer than the policy allows
+     * @param {Object} options - { inactiveDays, dryRun = false }
+     * @returns {Object} { dryRun, cutoff, archived, skipped: [{ threadId,
+     *   reason }], messages }
+     */
+    archiveInactive: function (options = {}) {
+      const inactiveDays = options.inactiveDays || policy.inactiveDays;
+      const report = {
+        dryRun: !!options.dryRun,
+        cutoff: Date.now() - inactiveDays * DAY_MS,
+        archived: [],
+        skipped: [],
+        messages: 0,
+      };
+
+      try {
+        const candidates = getDb()
+          .prepare(
+            `
+            SELECT t.id, (SELECT COUNT(*) FROM messages m WHERE m.thread_id = t.id) AS message_count
+            FROM threads t
+            WHERE t.status != 'archived' AND t.updated_at < ?
+            ORDER BY t.updated_at ASC
+          `
+          )
+          .all(report.cutoff);
+
+        for (const candidate of candidates) {
+          if (countOpenTasks(candidate.id) > 0) {
+            report.skipped.push({
+              threadId: candidate.id,
+              reason: "unfinished tasks",
+            });
+            continue;
+          }
+
+          if (report.dryRun) {
+            report.archived.push(candidate.id);
+            report.messages += candidate.message_count;
+            continue;
+          }
+
+          const result = this.archive(candidate.id);
+          if (result) {
+            report.archived.push(candidate.id);
+            report.messages += result.archivedMessages;
+          } else {
+            report.skipped.push({ threadId: candidate.id, reason: "failed" });
+          }
+        }
+      } catch (error) {
+        console.error(`Error archiving inactive threads: ${error.message}`);
+        report.error = error.message;
+      }
+
+      return report;
+    },
+
+    /**
+     * The original messages of an archived thread, oldest first
+     * @param {string} threadId - Thread ID
+     * @returns {Array} Message rows with archived_at
+     */
+    getArchivedMessages: function (threadId) {
+      try {
+        return getDb()
+          .prepare(
+            `
+            SELECT ${MESSAGE_COLUMNS}, archived_at FROM archived_messages
+            WHERE thread_id = ?
+            ORDER BY timestamp ASC
+          `
+          )
+          .all(threadId)
+          .map((row) => {
+            try {
+              row.content = JSON.parse(row.content);
+            } catch (e) {
+              // Leave as string if not valid JSON
+            }
+
+            if (row.metadata) {
+              try {
+                row.metadata = JSON.parse(row.metadata);
+              } catch (e) {
+                // Leave as string if not valid JSON
+              }
+            }
+
+            return row;
+          });
+      } catch (error) {
+        console.error(`Error getting archived messages: ${error.message}`);
+        return [];
+      }
+    },
+  };
+}
+
+module.exports = createThreadArchive;
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScratchpad } = require("./testing");
+
+const S = loadScratchpad();
+
+test("archiving replaces messages with a summary and unarchive restores them", () => {
+  const threadId = S.threads.create("Release notes", "lead");
+  S.messages.create("lead", "dev", "draft the notes", { threadId });
+  S.messages.create("dev", "lead", "done", { threadId });
+
+  const result = S.archive.archive(threadId);
+  assert.strictEqual(result.archivedMessages, 2);
+  assert.strictEqual(S.threads.get(threadId).status, "archived");
+  assert.strictEqual(S.archive.getArchivedMessages(threadId).length, 2);
+
+  const [summary] = S.messages.getByThread(threadId);
+  assert.strictEqual(summary.message_type, S.archive.SUMMARY_TYPE);
+  assert.match(summary.content, /2 message\(s\)/);
+
+  assert.strictEqual(S.archive.unarchive(threadId), 2);
+  assert.strictEqual(S.threads.get(threadId).status, "active");
+  assert.deepStrictEqual(
+    S.messages.getByThread(threadId).map((message) => message.content),
+    ["draft the notes", "done"]
+  );
+});
+
+test("threads with unfinished tasks are not archived", () => {
+  const threadId = S.threads.create("Busy", "lead");
+  S.tasks.create("still open", "dev", { threadId });
+
+  assert.strictEqual(S.archive.archive(threadId), null);
+  assert.ok(S.archive.archive(threadId, { force: true }));
+});
@@ -0,0 +1,508 @@
+/**
+ * Scratchpad Workspace Variables
+ * Version: 1.0.0
+ *
+ * Shared key/value state for agents. Each variable lives in a scope:
+ * "global", "thread:<threadId>" or "agent:<agentId>" (any other string
+ * works as an exact-match scope). resolve() looks a key up from the most
+ * specific scope to the least: agent, then thread, then global.
+ *
+ * Every write bumps the variable's version and is kept in
+ * variable_history. compareAndSet() only writes if the version is still
+ * the one the caller read, so two agents cannot silently overwrite each
+ * other.
+ *
+ * A variable may be typed (string, number, bool, json, date). Values are
+ * validated on write, the type sticks to the variable, and reads return
+ * the value as that type. Untyped variables behave as before: objects are
+ * stored as JSON and reads parse JSON where they can.
+ */
+
+const GLOBAL_SCOPE = "global";
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+const VARIABLE_COLUMNS = `key, value, scope, value_type, version, created_at, updated_at, created_by, updated_by, metadata`;
+
+// How each type is validated, stored and read back
+const TYPES = {
+  string: {
+    encode: (value) => (typeof value === "string" ? value : undefined),
+    decode: (text) => text,
+  },
+  number: {
+    encode: (value) => {
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      return typeof number === "number" && Number.isFinite(number)
+        ? String(number)
+        : undefined;
+    },
+    decode: (text) => Number(text),
+  },
+  bool: {
+    encode: (value) =>
+      value === true || value === "true"
+        ? "true"
+        : value === false || value === "false"
+        ? "false"
+        : undefined,
+    decode: (text) => text === "true",
+  },
+  json: {
+    encode: (value) => JSON.stringify(value),
+    decode: (text) => JSON.parse(text),
+  },
+  date: {
+    encode: (value) => {
+      if (
+        !(value instanceof Date) &&
+        typeof value !== "string" &&
+        typeof value !== "number"
+      ) {
+        return undefined;
+      }
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? undefined : date.toISOString();
+    },
+    decode: (text) => new Date(text),
+  },
+};
+
+function agentScope(agentId) {
+  return `agent:${agentId}`;
+}
+
+function threadScope(threadId) {
+  return `thread:${threadId}`;
+}
+
+function encodeValue(key, value, type) {
+  if (!type) {
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  const codec = TYPES[type];
+  if (!codec) throw new Error(`Unknown variable type: ${type}`);
+
+  const text = codec.encode(value);
+  if (text === undefined) {
+    throw new Error(
+      `Variable ${key} must be a ${type}, got ${JSON.stringify(value)}`
+    );
+  }
+  return text;
+}
+
+function decodeValue(text, type) {
+  if (text === null || text === undefined) return null;
+
+  try {
+    return type ? TYPES[type].decode(text) : JSON.parse(text);
+  } catch (e) {
+    // Leave as string if not valid JSON
+    return text;
+  }
+}
+
+function parseEntry(row) {
+  if (!row) return null;
+
+  let metadata = row.metadata;
+  if (metadata) {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (e) {
+      // Leave as string if not valid JSON
+    }
+  }
+
+  return {
+    key: row.key,
+    value: decodeValue(row.value, row.value_type),
+    scope: row.scope,
+    type: row.value_type,
+    version: row.version,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    created_by: row.created_by,
+    updated_by: row.updated_by,
+    metadata,
+  };
+}
+
+// Agent and thread IDs carried by a scope, for event filters
+function scopeOwners(scope) {
+  return {
+    agentId: scope.startsWith("agent:") ? scope.slice(6) : null,
+    threadId: scope.startsWith("thread:") ? scope.slice(7) : null,
+  };
+}
+
+/**
+ * Scoped, versioned key/value state shared by agents
+ * @param {Object} context - { getDb, publish }
+ *   publish(action, change) announces a change (see scratchpad-events.js)
+ * @returns {Object} ScratchpadDB.variables
+ */
+function createWorkspaceVariables(context) {
+  const { getDb } = context;
+
+  function publish(action, scope, data) {
+    if (context.publish) {
+      context.publish(action, {
+        entityId: data.key,
+        ...scopeOwners(scope),
+        data,
+      });
+    }
+  }
+
+  /*
+   * Write a value, optionally only if the current version matches.
+   * Returns { updated, version, current } where current is the existing
+   * row when the version did not match. The transaction takes the write
+   * lock before reading, so the version check and the write cannot be
+   * split by another connection.
+   */
+  function write(key, value, options, expectedVersion) {
+    const db = getDb();
+    const scope = options.scope || GLOBAL_SCOPE;
+    const author = options.updatedBy || options.createdBy || options.created_by;
+    const metadata = options.metadata ? JSON.stringify(options.metadata) : null;
+    const now = Date.now();
+    let outcome = null;
+
+    const read = () =>
+      db
+        .prepare(
+          `SELECT ${VARIABLE_COLUMNS} FROM workspace_variables WHERE key = ? AND scope = ?`
+        )
+        .get(key, scope);
+
+    db.transaction(() => {
+      const existing = read();
+
+      if (
+        expectedVersion !== undefined &&
+        (existing ? existing.version : 0) !== expectedVersion
+      ) {
+        outcome = { updated: false, current: existing };
+        return;
+      }
+
+      // A type, once given, sticks to the variable
+      const type = options.type || (existing && existing.value_type) || null;
+      const text = encodeValue(key, value, type);
+      let version;
+
+      if (existing) {
+        version = existing.version + 1;
+        const { changes } = db
+          .prepare(
+            `
+          UPDATE workspace_variables
+          SET value = ?, value_type = ?, version = ?, updated_at = ?, updated_by = ?, metadata = ?
+          WHERE key = ? AND scope = ? AND version = ?
+        `
+          )
+          .run(
+            text,
+            type,
+            version,
+            now,
+            author || null,
+            metadata,
+            key,
+            scope,
+            existing.version
+          );
+
+        if (changes === 0) {
+          outcome = { updated: false, current: read() };
+          return;
+        }
+      } else {
+        // Versions keep counting if the variable was removed and set again
+        const { last } = db
+          .prepare(
+            `SELECT MAX(version) AS last FROM variable_history WHERE key = ? AND scope = ?`
+          )
+          .get(key, scope);
+        version = (last || 0) + 1;
+
+        db.prepare(
+          `
+          INSERT INTO workspace_variables (${VARIABLE_COLUMNS})
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `
+        ).run(
+          key,
+          text,
+          scope,
+          type,
+          version,
+          now,
+          now,
+          author || "system",
+          author || "system",
+          metadata
+        );
+      }
+
+      recordHistory(key, scope, version, "set", text, type, author);
+      publish("set", scope, {
+        key,
+        scope,
+        type,
+        version,
+        value: decodeValue(text, type),
+      });
+
+      outcome = { updated: true, version };
+    }).immediate();
+
+    return outcome;
+  }
+
+  function recordHistory(key, scope, version, action, text, type, author) {
+    const db = getDb();
+    db.prepare(
+      `
+      INSERT INTO variable_history (key, scope, version, action, value, value_type, changed_by, changed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(
+      key,
+      scope,
+      version,
+      action,
+      text,
+      type,
+      author || "system",
+      Date.now()
+    );
+
+    // Keep the most recent entries per variable
+    db.prepare(
+      `DELETE FROM variable_history WHERE key = ? AND scope = ? AND version <= ?`
+    ).run(key, scope, version - DEFAULT_HISTORY_LIMIT);
+  }
+
+  return {
+    TYPES: Object.keys(TYPES),
+    GLOBAL_SCOPE,
+    agentScope,
+    threadScope,
+
+    /**
+     * Set a variable, overwriting whatever is there
+     * @param {string} key - Variable name
+     * @param {*} value - Value, validated against the variable's type
+     * @param {Object} options - { scope = "global", type, createdBy,
+     *   metadata }
+     * @returns {boolean} Success status
+     */
+    set: function (key, value, options = {}) {
+      try {
+        const scope = options.scope || GLOBAL_SCOPE;
+        write(key, value, options);
+
+        console.log(`Set variable: ${key} (scope: ${scope})`);
+        return true;
+      } catch (error) {
+        console.error(`Error setting variable: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Set a variable only if nobody changed it since it was read
+     * @param {string} key - Variable name
+     * @param {number} expectedVersion - Version read earlier, or 0 if the
+     *   variable must not exist yet
+     * @param {*} value - New value
+     * @param {Object} options - As for set()
+     * @returns {Object|null} { updated, version, value }; when not updated,
+     *   version and value are the current ones so the caller can retry
+     */
+    compareAndSet: function (key, expectedVersion, value, options = {}) {
+      try {
+        const outcome = write(key, value, options, expectedVersion);
+        if (outcome.updated) {
+          return { updated: true, version: outcome.version, value };
+        }
+
+        const current = parseEntry(outcome.current);
+        return {
+          updated: false,
+          version: current ? current.version : 0,
+          value: current ? current.value : null,
+        };
+      } catch (error) {
+        console.error(`Error setting variable: ${error.message}`);
+        return null;
+      }
+    },
+
+    get: function (key, scope = GLOBAL_SCOPE) {
+      const entry = this.getEntry(key, scope);
+      return entry ? entry.value : null;
+    },
+
+    /**
+     * A variable with its type, version and authorship
+     * @param {string} key - Variable name
+     * @param {string} scope - Scope
+     * @returns {Object|null} { key, value, scope, type, version, created_at,
+     *   updated_at, created_by, updated_by, metadata }
+     */
+    getEntry: function (key, scope = GLOBAL_SCOPE) {
+      try {
+        return parseEntry(
+          getDb()
+            .prepare(
+              `SELECT ${VARIABLE_COLUMNS} FROM workspace_variables WHERE key = ? AND scope = ?`
+            )
+            .get(key, scope)
+        );
+      } catch (error) {
+        console.error(`Error getting variable: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * The most specific entry for a key: agent scope, then thread scope,
+     * then global
+     * @param {string} key - Variable name
+     * @param {Object} context - { agentId, threadId }
+     * @returns {Object|null} Entry as returned by getEntry()
+     */
+    resolveEntry: function (key, context = {}) {
+      const scopes = [
+        context.agentId && agentScope(context.agentId),
+        context.threadId && threadScope(context.threadId),
+        GLOBAL_SCOPE,
+      ].filter(Boolean);
+
+      for (const scope of scopes) {
+        const entry = this.getEntry(key, scope);
+        if (entry) return entry;
+      }
+      return null;
+    },
+
+    /**
+     * The most specific value for a key (see resolveEntry)
+     * @param {string} key - Variable name
+     * @param {Object} context - { agentId, threadId }
+     * @returns {*} Value, or null if no scope has it
+     */
+    resolve: function (key, context = {}) {
+      const entry = this.resolveEntry(key, context);
+      return entry ? entry.value : null;
+    },
+
+    getByScope: function (scope = GLOBAL_SCOPE) {
+      try {
+        const rows = getDb()
+          .prepare(
+            `SELECT key, value, value_type FROM workspace_variables WHERE scope = ? ORDER BY key`
+          )
+          .all(scope);
+
+        const result = {};
+        rows.forEach((row) => {
+          result[row.key] = decodeValue(row.value, row.value_type);
+        });
+
+        return result;
+      } catch (error) {
+        console.error(`Error getting variables by scope: ${error.message}`);
+        return {};
+      }
+    },
+
+    /**
+     * Past values of a variable, newest first
+     * @param {string} key - Variable name
+     * @param {Object} options - { scope = "global", limit = 20 }
+     * @returns {Array} { version, action, value, type, changed_by,
+     *   changed_at }
+     */
+    getHistory: function (key, options = {}) {
+      try {
+        return getDb()
+          .prepare(
+            `
+            SELECT version, action, value, value_type, changed_by, changed_at
+            FROM variable_history
+            WHERE key = ? AND scope = ?
+            ORDER BY version DESC
+            LIMIT ?
+          `
+          )
+          .all(key, options.scope || GLOBAL_SCOPE, options.limit || 20)
+          .map((row) => ({
+            version: row.version,
+            action: row.action,
+            value: decodeValue(row.value, row.value_type),
+            type: row.value_type,
+            changed_by: row.changed_by,
+            changed_at: row.changed_at,
+          }));
+      } catch (error) {
+        console.error(`Error getting variable history: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Delete a variable; its history is kept
+     * @param {string} key - Variable name
+     * @param {string} scope - Scope
+     * @param {Object} options - { removedBy }
+     * @returns {boolean} Whether it existed
+     */
+    remove: function (key, scope = GLOBAL_SCOPE, options = {}) {
+      try {
+        const db = getDb();
+        let removed = false;
+
+        db.transaction(() => {
+          const existing = db
+            .prepare(
+              `SELECT version FROM workspace_variables WHERE key = ? AND scope = ?`
+            )
+            .get(key, scope);
+          if (!existing) return;
+
+          db.prepare(
+            `DELETE FROM workspace_variables WHERE key = ? AND scope = ?`
+          ).run(key, scope);
+          recordHistory(
+            key,
+            scope,
+            existing.version + 1,
+            "remove",
+            null,
+            null,
+            options.removedBy
+          );
+          publish("remove", scope, { key, scope });
+          removed = true;
+        })();
+
+        return removed;
+      } catch (error) {
+        console.error(`Error removing variable: ${error.message}`);
+        return false;
+      }
+    },
+  };
+}
+
+module.exports = createWorkspaceVariables;
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { tempDir, loadScratchpad } = require("./testing");
+
+const dbPath = path.join(tempDir(), "scratchpad-system.db");
+const S = loadScratchpad({ dbPath });
+
+test("compare-and-set only writes over the version that was read", () => {
+  const created = S.variables.compareAndSet("release", 0, "alpha");
+  assert.deepStrictEqual(created, {
+    updated: true,
+    version: 1,
+    value: "alpha",
+  });
+
+  assert.strictEqual(
+    S.variables.compareAndSet("release", 1, "beta").updated,
+    true
+  );
+  const stale = S.variables.compareAndSet("release", 1, "gamma");
+  assert.deepStrictEqual(stale, { updated: false, version: 2, value: "beta" });
+
+  assert.deepStrictEqual(
+    S.variables.getHistory("release").map((entry) => entry.value),
+    ["beta", "alpha"]
+  );
+});
+
+test("typed variables validate writes and read back as their type", () => {
+  assert.strictEqual(S.variables.set("workers", "4", { type: "number" }), true);
+  assert.strictEqual(S.variables.get("workers"), 4);
+  assert.strictEqual(S.variables.set("workers", "many"), false);
+  assert.strictEqual(S.variables.get("workers"), 4);
+});
+
+test("resolve prefers agent, then thread, then global scope", () => {
+  const threadId = S.threads.create("Scopes", "lead");
+  S.variables.set("model", "global-default");
+  S.variables.set("model", "thread-choice", { scope: `thread:${threadId}` });
+  S.variables.set("model", "agent-choice", { scope: "agent:dev" });
+
+  assert.strictEqual(
+    S.variables.resolve("model", { agentId: "dev", threadId }),
+    "agent-choice"
+  );
+  assert.strictEqual(
+    S.variables.resolve("model", { agentId: "qa", threadId }),
+    "thread-choice"
+  );
+  assert.strictEqual(
+    S.variables.resolve("model", { agentId: "qa" }),
+    "global-default"
+  );
+});
+
+test("compare-and-set sees writes from another connection", () => {
+  const other = loadScratchpad({ dbPath });
+  S.variables.set("leader", "dev");
+  const { version } = S.variables.getEntry("leader");
+
+  other.variables.set("leader", "qa");
+  assert.deepStrictEqual(S.variables.compareAndSet("leader", version, "ops"), {
+    updated: false,
+    version: version + 1,
+    value: "qa",
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Manage Memory Encryption
+ *
+ * Shows encryption status, encrypts existing plaintext rows, rotates to a new
+ * key or decrypts everything. The current key comes from MEMORY_DB_KEY_FILE or
+ * MEMORY_DB_PASSPHRASE.
+ *
+ * Usage: node .cursor/encrypt-memory.js status
+ *        node .cursor/encrypt-memory.js encrypt
+ *        node .cursor/encrypt-memory.js rotate --key-file=<path> | --passphrase=<text>
+ *        node .cursor/encrypt-memory.js decrypt
+ */
+
+const path = require("path");
+
+const [command = "status", ...args] = process.argv.slice(2);
+const option = (name) => {
+  const flag = args.find((arg) => arg.startsWith(`--${name}=`));
+  return flag ? flag.slice(name.length + 3) : undefined;
+};
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+
+let result = null;
+switch (command) {
+  case "encrypt":
+    result = MemoryDB.encryption.encryptExisting();
+    break;
+  case "rotate":
+    result = MemoryDB.encryption.rotateKey({
+      keyFile: option("key-file"),
+      passphrase: option("passphrase"),
+    });
+    if (!result.error) {
+      console.log(
+        "🔑 Update MEMORY_DB_KEY_FILE / MEMORY_DB_PASSPHRASE to the new key before the next start"
+      );
+    }
+    break;
+  case "decrypt":
+    result = MemoryDB.encryption.rotateKey(null);
+    break;
+  case "status":
+    break;
+  default:
+    console.error(`Unknown command: ${command}`);
+    process.exit(1);
+}
+
+const status = MemoryDB.encryption.getStatus();
+console.log(
+  `\n🔒 Encryption ${status.enabled ? `enabled (key ${status.keyId})` : "off"}${
+    status.blindIndex ? ", blind index on" : ""
+  }`
+);
+console.log("\n--- ENCRYPTED ROWS ---");
+for (const [table, counts] of Object.entries(status.tables)) {
+  console.log(
+    counts.error
+      ? `- ${table}: ${counts.error}`
+      : `- ${table}: ${counts.encrypted}/${counts.total}`
+  );
+}
+
+if (result && result.error) {
+  console.error(`\n❌ ${result.error}`);
+  process.exit(1);
+}
@@ -0,0 +1,57 @@
+/**
+ * Infer Knowledge Relationships
+ *
+ * Scores knowledge topics that are mentioned together in the same
+ * conversations and creates, re-scores or removes inferred `related_to` edges.
+ *
+ * Usage: node .cursor/infer-relationships.js [--window=conversation|episode] [--min-cooccurrences=2] [--min-strength=0.1] [--dry-run] [--no-prune]
+ */
+
+const path = require("path");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const flag = args.find((arg) => arg.startsWith(`--${name}=`));
+  return flag ? flag.split("=")[1] : fallback;
+};
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+
+const report = MemoryDB.inference.run({
+  window: option("window", "conversation"),
+  minCooccurrences: Number(option("min-cooccurrences", 2)),
+  minStrength: Number(option("min-strength", 0.1)),
+  dryRun: args.includes("--dry-run"),
+  prune: !args.includes("--no-prune"),
+});
+
+console.log(
+  `\n🔗 Relationship inference ${report.dryRun ? "(dry run) " : ""}over ${
+    report.windows
+  } ${report.window} window(s)`
+);
+
+console.log("\n--- RELATED TOPICS ---");
+if (report.pairs.length === 0) {
+  console.log("No topics co-occur often enough");
+}
+for (const pair of report.pairs) {
+  console.log(
+    `- ${pair.sourceId} ↔ ${pair.targetId} (strength ${pair.strength.toFixed(
+      2
+    )}, together ${pair.cooccurrences}, mentions ${pair.support.join("/")})`
+  );
+}
+
+if (!report.dryRun) {
+  console.log("\n--- EDGES ---");
+  console.log(`Created: ${report.created}`);
+  console.log(`Re-scored: ${report.updated}`);
+  console.log(`Removed: ${report.removed}`);
+  console.log(`Skipped (manual edge exists): ${report.skippedManual}`);
+}
+
+if (report.error) {
+  console.error(`\n❌ ${report.error}`);
+  process.exit(1);
+}
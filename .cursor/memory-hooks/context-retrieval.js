@@ -77,6 +77,49 @@ function retrieveConversationHistory(options = {}) {
   }
 }
 
+/**
+ * Retrieve the most recent conversation about a topic with its messages
+ * @param {string} topic Text to match against titles, summaries and messages
+ * @param {Object} options Options such as { limit } for the message count
+ * @returns {Object|null} { conversation, history } or null if none matches
+ */
+function retrieveLastConversationAbout(topic, options = {}) {
+  try {
+    if (
+      !topic ||
+      !MEMORY_SYSTEM.db ||
+      typeof MEMORY_SYSTEM.findConversation !== "function"
+    ) {
+      return null;
+    }
+
+    const [conversation] = MEMORY_SYSTEM.findConversation(topic, { limit: 1 });
+    if (!conversation) return null;
+
+    const episodes = MEMORY_SYSTEM.db.conversations.getMessages(
+      conversation.id,
+      { limit: options.limit || 20, orderDesc: true }
+    );
+
+    const history = episodes
+      .filter((episode) =>
+        ["user_message", "assistant_response"].includes(episode.type)
+      )
+      .map((episode) => ({
+        role: episode.type === "user_message" ? "user" : "assistant",
+        content: episode.content,
+        id: episode.id,
+        timestamp: episode.timestamp,
+      }))
+      .reverse(); // Return in chronological order
+
+    return { conversation, history };
+  } catch (error) {
+    console.error("Failed to retrieve conversation about topic:", error);
+    return null;
+  }
+}
+
 /**
  * Retrieve semantic knowledge relevant to the current conversation
  * @param {Object} options Options for retrieving knowledge
@@ -135,20 +178,25 @@ function retrieveContext(
 
 /**
  * Get comprehensive memory context for the current conversation
+ * @param {Object} options Options such as { topic } to pull in a related past conversation
  * @returns {Object} Consolidated memory context
  */
-function getMemoryContext() {
+function getMemoryContext(options = {}) {
   try {
     const history = retrieveConversationHistory({ limit: 10 });
     const context = retrieveContext();
     const knowledge = retrieveSemanticKnowledge({
       query: context.last_user_message?.value || "",
     });
+    const relatedConversation = retrieveLastConversationAbout(
+      options.topic || ""
+    );
 
     return {
       history,
       context,
       knowledge,
+      relatedConversation,
       timestamp: new Date(),
       success: true,
     };
@@ -158,6 +206,7 @@ function getMemoryContext() {
       history: [],
       context: {},
       knowledge: [],
+      relatedConversation: null,
       timestamp: new Date(),
       success: false,
       error: error.message,
@@ -170,6 +219,7 @@ module.exports = {
   initialize,
   retrieveConversationHistory,
   retrieveSemanticKnowledge,
+  retrieveLastConversationAbout,
   retrieveContext,
   getMemoryContext,
 };
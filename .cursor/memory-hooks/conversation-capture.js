@@ -12,6 +12,7 @@ const isNode =
 
 // Define the module and its dependencies
 const path = isNode ? require("path") : null;
+const redaction = isNode ? require("./redaction") : null;
 const MEMORY_SYSTEM = global.MEMORY_SYSTEM || {};
 
 // Track conversation state
@@ -19,6 +20,28 @@ let currentConversationId = null;
 let messageCount = 0;
 let conversationStartTime = null;
 
+// IDs of the currently active agent, if the multi-agent system is loaded
+function getActiveAgentIds() {
+  const agentSystem = global.MULTI_AGENT_SYSTEM;
+  const agent =
+    agentSystem && typeof agentSystem.getActiveAgent === "function"
+      ? agentSystem.getActiveAgent()
+      : null;
+  return agent && agent.id ? [agent.id] : [];
+}
+
+// Strip secrets from captured text and log what was removed
+function redactForMemory(value, context) {
+  if (!redaction) return value;
+
+  const result = redaction.redact(value);
+  redaction.report(result.redactions, {
+    conversationId: currentConversationId,
+    ...context,
+  });
+  return result.value;
+}
+
 /**
  * Initialize the conversation capture system
  */
@@ -32,20 +55,22 @@ function initialize() {
       return false;
     }
 
-    // Generate a conversation ID if not exists
+    // Start a conversation record; the memory database assigns its ID
     if (!currentConversationId) {
-      currentConversationId = `conv_${Date.now()}`;
-      conversationStartTime = new Date();
+      const conversation =
+        typeof MEMORY_SYSTEM.startConversation === "function"
+          ? MEMORY_SYSTEM.startConversation({ agents: getActiveAgentIds() })
+          : null;
+
+      if (!conversation) {
+        console.warn("Could not start a conversation, capture disabled");
+        return false;
+      }
+
+      currentConversationId = conversation.id;
+      conversationStartTime = new Date(conversation.started_at);
       messageCount = 0;
 
-      // Store conversation start event
-      MEMORY_SYSTEM.storeEpisode({
-        id: `${currentConversationId}_start`,
-        type: "conversation_start",
-        timestamp: conversationStartTime,
-        metadata: { conversationId: currentConversationId },
-      });
-
       console.log(
         `Conversation capture initialized with ID: ${currentConversationId}`
       );
@@ -69,23 +94,26 @@ function captureUserMessage(message) {
 
     messageCount++;
     const messageId = `${currentConversationId}_user_${messageCount}`;
+    const content = redactForMemory(
+      message.content || message.text || message,
+      {
+        type: "user_message",
+        messageId,
+      }
+    );
 
     // Store in episodic memory
-    MEMORY_SYSTEM.storeEpisode({
-      id: messageId,
+    MEMORY_SYSTEM.storeEpisode(content, {
       type: "user_message",
-      content: message.content || message.text || message,
-      timestamp: new Date(),
+      conversationId: currentConversationId,
       metadata: {
-        conversationId: currentConversationId,
+        messageId: messageId,
         messageNumber: messageCount,
       },
     });
 
     // Store relevant context
-    MEMORY_SYSTEM.storeContext({
-      key: "last_user_message",
-      value: message.content || message.text || message,
+    MEMORY_SYSTEM.storeContext("last_user_message", content, {
       metadata: {
         messageId: messageId,
         timestamp: new Date(),
@@ -109,24 +137,29 @@ function captureAssistantResponse(response) {
     if (!initialize()) return false;
 
     const responseId = `${currentConversationId}_assistant_${messageCount}`;
+    const content = redactForMemory(
+      response.content || response.text || response,
+      { type: "assistant_response", messageId: responseId }
+    );
+    const toolCalls = redactForMemory(response.tool_calls || [], {
+      type: "tool_calls",
+      messageId: responseId,
+    });
 
     // Store in episodic memory
-    MEMORY_SYSTEM.storeEpisode({
-      id: responseId,
+    MEMORY_SYSTEM.storeEpisode(content, {
       type: "assistant_response",
-      content: response.content || response.text || response,
-      timestamp: new Date(),
+      conversationId: currentConversationId,
+      agent: response.agent || getActiveAgentIds()[0],
       metadata: {
-        conversationId: currentConversationId,
+        messageId: responseId,
         messageNumber: messageCount,
-        toolCalls: response.tool_calls || [],
+        toolCalls,
       },
     });
 
     // Store relevant context
-    MEMORY_SYSTEM.storeContext({
-      key: "last_assistant_response",
-      value: response.content || response.text || response,
+    MEMORY_SYSTEM.storeContext("last_assistant_response", content, {
       metadata: {
         messageId: responseId,
         timestamp: new Date(),
@@ -140,11 +173,59 @@ function captureAssistantResponse(response) {
   }
 }
 
+/**
+ * Continue capturing into an earlier conversation
+ * @param {string} conversationId The conversation to resume
+ * @returns {boolean} Success status
+ */
+function resumeConversation(conversationId) {
+  try {
+    if (typeof MEMORY_SYSTEM.resumeConversation !== "function") return false;
+
+    const conversation = MEMORY_SYSTEM.resumeConversation(conversationId);
+    if (!conversation) return false;
+
+    currentConversationId = conversation.id;
+    conversationStartTime = new Date(conversation.started_at);
+    messageCount = conversation.user_message_count || 0;
+    return true;
+  } catch (error) {
+    console.error("Failed to resume conversation:", error);
+    return false;
+  }
+}
+
+/**
+ * Close the current conversation; the next message starts a new one
+ * @param {Object} options Close options such as { summary }
+ * @returns {boolean} Success status
+ */
+function endConversation(options = {}) {
+  try {
+    if (!currentConversationId) return false;
+
+    const closed =
+      MEMORY_SYSTEM.db && MEMORY_SYSTEM.db.conversations
+        ? MEMORY_SYSTEM.db.conversations.close(currentConversationId, options)
+        : false;
+
+    currentConversationId = null;
+    conversationStartTime = null;
+    messageCount = 0;
+    return closed;
+  } catch (error) {
+    console.error("Failed to end conversation:", error);
+    return false;
+  }
+}
+
 // Export the module functions
 module.exports = {
   initialize,
   captureUserMessage,
   captureAssistantResponse,
+  resumeConversation,
+  endConversation,
   getCurrentConversationId: () => currentConversationId,
 };
 
@@ -0,0 +1,259 @@
+/**
+ * Secret and PII Redaction for Memory Capture
+ * Version: 1.0.0
+ *
+ * Replaces API keys, tokens, private keys, email addresses and passwords in
+ * connection strings with typed placeholders such as [REDACTED:API_KEY]
+ * before captured messages reach memory.
+ *
+ * Extra rules and disabled detectors come from `systems.memory.redaction` in
+ * .cursor/cursor.json:
+ *
+ *   "redaction": {
+ *     "enabled": true,
+ *     "disabled": ["email"],
+ *     "rules": [
+ *       { "name": "employee-id", "type": "EMPLOYEE_ID", "pattern": "\\bEMP-\\d{6}\\b", "flags": "i" }
+ *     ]
+ *   }
+ */
+
+// Check if we're in a Node.js environment (for compatibility)
+const isNode =
+  typeof process !== "undefined" && process.versions && process.versions.node;
+
+const fs = isNode ? require("fs") : null;
+const path = isNode ? require("path") : null;
+
+const CONFIG_PATH = isNode ? path.join(__dirname, "..", "cursor.json") : null;
+
+// Placeholders never match a detector, so redacting twice changes nothing
+const NOT_REDACTED = "(?!\\[REDACTED:)";
+
+// Built-in detectors, applied in order. Each pattern matches only the secret.
+const BUILT_IN_RULES = [
+  {
+    name: "private-key",
+    type: "PRIVATE_KEY",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    name: "connection-string-password",
+    type: "PASSWORD",
+    pattern: new RegExp(
+      `(?<=\\b[a-z][a-z0-9+.-]*://[^\\s:/@]+:)${NOT_REDACTED}[^\\s@/]+(?=@)`,
+      "gi"
+    ),
+  },
+  {
+    name: "jwt",
+    type: "TOKEN",
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  },
+  {
+    name: "bearer-token",
+    type: "TOKEN",
+    pattern: new RegExp(
+      `(?<=\\bBearer\\s+)${NOT_REDACTED}[A-Za-z0-9._~+/-]{20,}=*`,
+      "g"
+    ),
+  },
+  {
+    name: "github-token",
+    type: "TOKEN",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g,
+  },
+  {
+    name: "slack-token",
+    type: "TOKEN",
+    pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g,
+  },
+  {
+    name: "aws-access-key",
+    type: "API_KEY",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    name: "google-api-key",
+    type: "API_KEY",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    name: "prefixed-api-key",
+    type: "API_KEY",
+    pattern:
+      /\b(?:sk|pk|rk)[-_](?:live[-_]|test[-_]|ant[-_]|proj[-_])?[A-Za-z0-9_-]{20,}\b/g,
+  },
+  {
+    // Values assigned to key-like names: API_KEY=..., "token": "...", password: ...
+    name: "secret-assignment",
+    type: "SECRET",
+    pattern: new RegExp(
+      `(?<=\\b[A-Za-z0-9_]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key)["']?\\s*[:=]\\s*["']?)${NOT_REDACTED}[^\\s"',;]{6,}`,
+      "gi"
+    ),
+  },
+  {
+    name: "email",
+    type: "EMAIL",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+];
+
+// Loaded configuration and compiled custom rules
+let config = null;
+let rules = null;
+
+// Read the redaction section of cursor.json
+function loadConfig() {
+  if (!isNode || !fs.existsSync(CONFIG_PATH)) return {};
+
+  try {
+    const cursorConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+    return (
+      (cursorConfig.systems &&
+        cursorConfig.systems.memory &&
+        cursorConfig.systems.memory.redaction) ||
+      {}
+    );
+  } catch (error) {
+    console.error(`Failed to read redaction config: ${error.message}`);
+    return {};
+  }
+}
+
+// Compile custom rules, skipping any whose pattern is not a valid regex
+function compileRules(options) {
+  const disabled = options.disabled || [];
+  const custom = [];
+
+  for (const rule of options.rules || []) {
+    try {
+      const flags = (rule.flags || "").replace("g", "") + "g";
+      custom.push({
+        name: rule.name || rule.type || "custom",
+        type: String(rule.type || "CUSTOM").toUpperCase(),
+        pattern: new RegExp(rule.pattern, flags),
+      });
+    } catch (error) {
+      console.error(
+        `Skipping redaction rule ${rule.name || rule.pattern}: ${error.message}`
+      );
+    }
+  }
+
+  // Custom rules run first so they can claim text a built-in would also match
+  return [
+    ...custom,
+    ...BUILT_IN_RULES.filter((rule) => !disabled.includes(rule.name)),
+  ];
+}
+
+function getRules() {
+  if (!rules) {
+    config = loadConfig();
+    rules = compileRules(config);
+  }
+  return rules;
+}
+
+/**
+ * Replace the configuration read from cursor.json
+ * @param {Object} options - { enabled, disabled, rules }
+ */
+function configure(options = {}) {
+  config = options;
+  rules = compileRules(options);
+}
+
+// Redact a single string, counting matches per rule
+function redactString(text, counts) {
+  let result = text;
+
+  for (const rule of getRules()) {
+    rule.pattern.lastIndex = 0;
+    result = result.replace(rule.pattern, () => {
+      counts[rule.name] = counts[rule.name] || { type: rule.type, count: 0 };
+      counts[rule.name].count++;
+      return `[REDACTED:${rule.type}]`;
+    });
+  }
+
+  return result;
+}
+
+// Redact strings anywhere inside a value, returning a copy
+function redactValue(value, counts) {
+  if (typeof value === "string") return redactString(value, counts);
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, counts));
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        redactValue(item, counts),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Redact secrets and personal data from a value before it is stored
+ * @param {*} value - String, or object/array containing strings
+ * @returns {Object} { value, redactions } where redactions lists
+ *   { rule, type, count } without the redacted text
+ */
+function redact(value) {
+  getRules();
+  if (config.enabled === false) return { value, redactions: [] };
+
+  const counts = {};
+  const redacted = redactValue(value, counts);
+
+  return {
+    value: redacted,
+    redactions: Object.entries(counts).map(([rule, { type, count }]) => ({
+      rule,
+      type,
+      count,
+    })),
+  };
+}
+
+/**
+ * Log what was redacted from a captured message
+ * @param {Array} redactions - Redactions returned by redact()
+ * @param {Object} context - Where the text came from, e.g. { messageId, type }
+ */
+function report(redactions, context = {}) {
+  if (redactions.length === 0) return;
+
+  const total = redactions.reduce((sum, item) => sum + item.count, 0);
+  const loggerSystem =
+    global.LOGGER_SYSTEM ||
+    (isNode
+      ? require(path.join(__dirname, "..", "communication", "logger.js"))
+      : null);
+
+  const message = `Redacted ${total} item(s) from ${
+    context.type || "captured text"
+  }`;
+  if (loggerSystem) {
+    loggerSystem.getLogger("Memory Redaction").warn(message, {
+      ...context,
+      redactions,
+    });
+  } else {
+    console.warn(message);
+  }
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  configure,
+  redact,
+  report,
+};
@@ -0,0 +1,85 @@
+/**
+ * Memory Query Report
+ *
+ * Summarises the memory_queries log: latency per memory type, slowest and
+ * zero-result queries, usage over time and index suggestions.
+ *
+ * Usage: node .cursor/query-report.js [--days=7] [--bucket=day|hour|week] [--json]
+ */
+
+const path = require("path");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const flag = args.find((arg) => arg.startsWith(`--${name}=`));
+  return flag ? flag.split("=")[1] : fallback;
+};
+const json = args.includes("--json");
+
+// With --json, stdout carries only the report; the database's startup and
+// status messages go to stderr instead
+const print = console.log;
+if (json) console.log = console.error;
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+const report = MemoryDB.analytics.report({
+  days: Number(option("days", 7)),
+  bucket: option("bucket", "day"),
+});
+
+if (json) {
+  print(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toISOString();
+
+console.log(`\n📊 Memory query report since ${formatTime(report.since)}`);
+
+console.log("\n--- LATENCY BY MEMORY TYPE ---");
+const latency = Object.entries(report.latency);
+if (latency.length === 0) {
+  console.log("No queries logged in this period");
+}
+for (const [memoryType, stats] of latency) {
+  console.log(
+    `- ${memoryType}: ${stats.count} queries, p50 ${stats.p50}ms, p95 ${
+      stats.p95
+    }ms, max ${stats.max}ms, ${Math.round(
+      stats.zeroResultRate * 100
+    )}% zero-result`
+  );
+}
+
+console.log("\n--- SLOWEST QUERIES ---");
+for (const row of report.slowest) {
+  console.log(
+    `- ${row.duration_ms}ms [${row.memory_type}] "${row.query}" (${row.result_count} results)`
+  );
+}
+
+console.log("\n--- ZERO-RESULT QUERIES ---");
+for (const row of report.zeroResults) {
+  console.log(`- ${row.occurrences}x [${row.memory_type}] "${row.query}"`);
+}
+
+console.log("\n--- QUERY FREQUENCY ---");
+for (const row of report.frequency) {
+  console.log(
+    `- ${formatTime(row.bucket_start)} ${row.memory_type}: ${row.count} (${
+      row.zero_results
+    } empty)`
+  );
+}
+
+console.log("\n--- INDEX SUGGESTIONS ---");
+if (report.suggestions.length === 0) {
+  console.log("✅ No slow query patterns detected");
+}
+for (const suggestion of report.suggestions) {
+  const subject = suggestion.query
+    ? `[${suggestion.memoryType}] "${suggestion.query}"`
+    : `[${suggestion.memoryType}]`;
+  console.log(`- ⚠️ ${subject}: ${suggestion.reason}`);
+  console.log(`  ${suggestion.suggestion}`);
+}
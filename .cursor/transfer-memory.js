@@ -0,0 +1,69 @@
+/**
+ * Transfer Memory Between Machines
+ *
+ * Exports the memory database to NDJSON or imports a previous export.
+ *
+ * Usage:
+ *   node .cursor/transfer-memory.js export <file> [--allow-plaintext]
+ *   node .cursor/transfer-memory.js import <file> [--strategy=<name>] [--dry-run]
+ *
+ * Strategies: skip (default), overwrite, keep-newer, keep-higher-confidence
+ *
+ * Exports are plaintext. When memory is encrypted, export needs
+ * --allow-plaintext.
+ */
+
+const path = require("path");
+
+const [command, file] = process.argv.slice(2);
+const flags = process.argv.slice(4);
+const strategyFlag = flags.find((flag) => flag.startsWith("--strategy="));
+
+if (!["export", "import"].includes(command) || !file) {
+  console.error(
+    "Usage: node .cursor/transfer-memory.js <export|import> <file> [--strategy=<name>] [--dry-run] [--allow-plaintext]"
+  );
+  process.exit(1);
+}
+
+const MemoryDB = require(path.join(__dirname, "db", "memory-system.js"));
+const filePath = path.resolve(file);
+
+if (command === "export") {
+  const counts = MemoryDB.transfer.exportToFile(filePath, {
+    allowPlaintext: flags.includes("--allow-plaintext"),
+  });
+  if (!counts) process.exit(1);
+
+  console.log("\n--- EXPORTED ROWS ---");
+  for (const [table, count] of Object.entries(counts)) {
+    console.log(`- ${table}: ${count}`);
+  }
+  process.exit(0);
+}
+
+const report = MemoryDB.transfer.importFromFile(filePath, {
+  strategy: strategyFlag ? strategyFlag.split("=")[1] : "skip",
+  dryRun: flags.includes("--dry-run"),
+});
+
+if (report.errors.length > 0) {
+  console.error("\n--- VALIDATION ERRORS ---");
+  report.errors
+    .slice(0, 20)
+    .forEach((error) => console.error(`- line ${error.line}: ${error.error}`));
+  if (report.errors.length > 20) {
+    console.error(`... and ${report.errors.length - 20} more`);
+  }
+  process.exit(1);
+}
+
+console.log(`\n--- IMPORT ${report.dryRun ? "(DRY RUN) " : ""}RESULTS ---`);
+for (const [table, counts] of Object.entries(report.tables)) {
+  console.log(
+    `- ${table}: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.skipped} skipped`
+  );
+}
+console.log(
+  `Remapped ${Object.keys(report.idMap.episodic_memory).length} episode ID(s)`
+);